@@ -1,4 +1,22 @@
 import * as THREE from 'three';
+import { arrange, measure, anchorPosition } from './uiLayout.js';
+import SDFText from './sdfText.js';
+
+// Set the canvas font, shrinking it until the text fits maxWidth pixels
+function fitFont(context, text, fontSize, fontFamily, maxWidth) {
+  context.font = `bold ${fontSize}px ${fontFamily}`;
+  const textWidth = context.measureText(text).width;
+  if (textWidth > maxWidth) {
+    context.font = `bold ${Math.floor(fontSize * maxWidth / textWidth)}px ${fontFamily}`;
+  }
+}
+
+// Text mesh options from the canvas-style options components take (textColor -> color);
+// canvas-only options, fontSize in pixels among them, are dropped
+function toTextOptions(options) {
+  const { textColor, fontSize, backgroundColor, shadow, textBaseline, width, height, ...rest } = options;
+  return textColor === undefined ? rest : { ...rest, color: textColor };
+}
 
 /**
  * SpaceUI - A flexible UI component library for Three.js applications
@@ -19,11 +37,25 @@ class SpaceUI {
     // Default settings
     this.settings = {
       fontFamily: 'Arial',
+      // Canvas text textures take fontSize in pixels, text meshes textSize in meters
       fontSize: 64,
+      textSize: 0.03,
       textColor: '#FFFFFF',
       backgroundColor: 'rgba(0,0,0,0.5)',
       renderOrder: 9999,
-      depthTest: false
+      depthTest: false,
+      // Area that anchored components are placed in: meters across, and the z of
+      // the plane the HUD panels sit on
+      hud: {
+        width: 1.4,
+        height: 0.9,
+        distance: -0.5
+      },
+      // Panel background colors for caution & warning levels
+      levelColors: {
+        caution: 0x8A6D00,
+        warning: 0x8B0000
+      }
     };
     
     console.log('SpaceUI initialized');
@@ -62,8 +94,8 @@ class SpaceUI {
       context.fillRect(0, 0, width, height);
     }
     
-    // Configure text rendering
-    context.font = `bold ${fontSize}px ${fontFamily}`;
+    // Configure text rendering, shrinking text too long for the canvas
+    fitFont(context, text, fontSize, fontFamily, width * 0.95);
     context.textAlign = textAlign;
     context.textBaseline = textBaseline;
     context.fillStyle = textColor;
@@ -117,8 +149,8 @@ class SpaceUI {
       context.fillRect(0, 0, width, height);
     }
     
-    // Configure text rendering
-    context.font = `bold ${fontSize}px ${fontFamily}`;
+    // Configure text rendering, shrinking text too long for the canvas
+    fitFont(context, text, fontSize, fontFamily, width * 0.95);
     context.textAlign = textAlign;
     context.textBaseline = textBaseline;
     context.fillStyle = textColor;
@@ -138,6 +170,20 @@ class SpaceUI {
     texture.needsUpdate = true;
   }
 
+  /**
+   * Create a text mesh sized in meters (see sdfText.js for the options)
+   * @param {Object} options - Text options; textColor is accepted for color
+   * @returns {SDFText} - The text mesh
+   */
+  createTextMesh(options = {}) {
+    return new SDFText({
+      fontFamily: this.settings.fontFamily,
+      textSize: this.settings.textSize,
+      depthTest: this.settings.depthTest,
+      ...toTextOptions(options)
+    });
+  }
+  
   /**
    * Create a basic UI component
    * @param {string} id - Unique identifier for the component
@@ -185,7 +231,9 @@ class SpaceUI {
   removeComponent(id) {
     if (this.components.has(id)) {
       const component = this.components.get(id);
-      this.root.remove(component);
+      const parent = component.parent;
+      component.removeFromParent();
+      if (parent && parent.updateLayout) parent.updateLayout();
       
       // Dispose of any textures or geometries
       component.traverse(child => {
@@ -211,6 +259,135 @@ class SpaceUI {
     return this.components.get(id) || null;
   }
   
+  /**
+   * Create a container that lays out components in a row, column or grid
+   * @param {string} id - Unique identifier for the layout
+   * @param {Object} options - Layout options (see uiLayout.js), plus:
+   *   children - components or component IDs to lay out, in order; they move onto
+   *     the layout's plane (z = 0), the layout's own position sets the depth
+   *   anchor - place the layout in the HUD frame, e.g. 'top-left' (see anchorComponent)
+   *   offset - nudge from the anchored position
+   *   background - { color, opacity } to draw a panel behind the layout, sized to it
+   * @returns {THREE.Group} - The layout container
+   */
+  createLayout(id, options = {}) {
+    const {
+      type = 'column',
+      children = [],
+      position = new THREE.Vector3(0, 0, 0),
+      anchor = null,
+      offset = null,
+      background = null,
+      renderOrder = this.settings.renderOrder,
+      ...arrangement
+    } = options;
+    
+    const layout = this.createComponent(id, { position });
+    
+    // Optional background, scaled to the layout's size on every update
+    let backgroundMesh = null;
+    if (background) {
+      backgroundMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.MeshBasicMaterial({
+          color: background.color === undefined ? 0x1A1A1A : background.color,
+          transparent: true,
+          opacity: background.opacity === undefined ? 0.8 : background.opacity,
+          depthTest: false,
+          side: THREE.DoubleSide
+        })
+      );
+      backgroundMesh.renderOrder = renderOrder;
+      layout.add(backgroundMesh);
+    }
+    
+    // Re-arrange the items, resize the background and re-anchor, then let an
+    // enclosing layout make room for the new size
+    layout.updateLayout = () => {
+      const items = layout.children.filter(child => child !== backgroundMesh);
+      layout.layoutSize = arrange(items, { type, ...arrangement });
+      
+      if (backgroundMesh) {
+        backgroundMesh.scale.set(layout.layoutSize.width || 1, layout.layoutSize.height || 1, 1);
+      }
+      if (layout.layoutAnchor) this.anchorComponent(layout, layout.layoutAnchor.anchor, layout.layoutAnchor.offset);
+      if (layout.parent && layout.parent.updateLayout) layout.parent.updateLayout();
+      return layout.layoutSize;
+    };
+    
+    // Component of an item given as a component or an ID
+    const resolve = (item) => {
+      const component = typeof item === 'string' ? this.getComponent(item) : item;
+      if (!component) {
+        throw new Error(`SpaceUI: no component "${item}" to lay out`);
+      }
+      return component;
+    };
+    
+    // Move a component (or ID) into the layout, after the current items
+    layout.addItem = (item) => {
+      const component = resolve(item);
+      const previousParent = component.parent;
+      component.removeFromParent();
+      if (previousParent && previousParent.updateLayout) previousParent.updateLayout();
+      
+      component.position.z = 0;
+      layout.add(component);
+      layout.updateLayout();
+      return component;
+    };
+    
+    children.forEach(child => {
+      const component = resolve(child);
+      component.position.z = 0;
+      layout.add(component);
+    });
+    
+    if (anchor) layout.layoutAnchor = { anchor, offset };
+    layout.updateLayout();
+    
+    return layout;
+  }
+  
+  /**
+   * Create a layout of components side by side, left to right
+   * @param {string} id - Unique identifier for the layout
+   * @param {Object} options - Options of createLayout
+   * @returns {THREE.Group} - The layout container
+   */
+  createRow(id, options = {}) {
+    return this.createLayout(id, { ...options, type: 'row' });
+  }
+  
+  /**
+   * Create a layout of components stacked top to bottom
+   * @param {string} id - Unique identifier for the layout
+   * @param {Object} options - Options of createLayout
+   * @returns {THREE.Group} - The layout container
+   */
+  createColumn(id, options = {}) {
+    return this.createLayout(id, { ...options, type: 'column' });
+  }
+  
+  /**
+   * Place a component against an edge or corner of the HUD frame (settings.hud)
+   * @param {THREE.Object3D|string} component - Component or component ID
+   * @param {string} anchor - 'top-left', 'top', 'top-right', 'left', 'center',
+   *   'right', 'bottom-left', 'bottom' or 'bottom-right'
+   * @param {THREE.Vector3} offset - Nudge from the anchored position
+   * @returns {THREE.Object3D} - The component
+   */
+  anchorComponent(component, anchor, offset = null) {
+    const object = typeof component === 'string' ? this.getComponent(component) : component;
+    if (!object) {
+      throw new Error(`SpaceUI: no component "${component}" to anchor`);
+    }
+    
+    object.layoutAnchor = { anchor, offset };
+    object.position.copy(anchorPosition(anchor, this.settings.hud, measure(object), offset));
+    return object;
+  }
+  
   /**
    * Create a panel with text
    * @param {string} id - Unique identifier for the panel
@@ -232,6 +409,7 @@ class SpaceUI {
     
     // Create panel container
     const panel = this.createComponent(id, { position });
+    panel.layoutSize = { width, height };
     
     // Create background
     const bgGeometry = new THREE.BoxGeometry(width, height, 0.01);
@@ -251,26 +429,24 @@ class SpaceUI {
       const {
         text,
         color = '#FFFFFF',
-        fontSize = this.settings.fontSize,
+        textSize = this.settings.textSize,
         yOffset = 0,
-        textId = `${id}-text-${index}`
+        textId = `${id}-text-${index}`,
+        ...textOptions
       } = textConfig;
       
-      // Create text texture
-      const texture = this.createTextTexture(text, { 
-        textColor: color,
-        fontSize: fontSize
-      });
-      
-      // Create text mesh
-      const textGeometry = new THREE.PlaneGeometry(width * 0.8, height * 0.5);
-      const textMaterial = new THREE.MeshBasicMaterial({
-        map: texture,
-        transparent: true,
-        depthTest: depthTest
+      // One line in meters, shrunk (then cut) to fit the panel
+      const textMesh = this.createTextMesh({
+        text,
+        color,
+        textSize,
+        maxWidth: width * 0.9,
+        maxHeight: height * 0.5,
+        wrap: false,
+        autoFit: true,
+        depthTest,
+        ...textOptions
       });
-      
-      const textMesh = new THREE.Mesh(textGeometry, textMaterial);
       textMesh.position.set(0, yOffset, 0.01);
       textMesh.renderOrder = renderOrder + 1;
       textMesh.name = textId;
@@ -278,14 +454,20 @@ class SpaceUI {
       panel.add(textMesh);
     });
     
-    // Update textures method
+    // Update text method (options as for the texts, e.g. textColor or textSize in meters)
     panel.updateText = (textIndex, newText, options = {}) => {
       const textMesh = panel.children.find(child => child.name === `${id}-text-${textIndex}`);
-      if (textMesh && textMesh.material.map) {
-        this.updateTextTexture(textMesh.material.map, newText, options);
+      if (textMesh && textMesh.setText) {
+        textMesh.setText(newText, toTextOptions(options));
       }
     };
     
+    // Change background color (null restores the original)
+    const originalColor = bgMaterial.color.getHex();
+    panel.setBackgroundColor = (color) => {
+      bgMaterial.color.setHex(color === null ? originalColor : color);
+    };
+    
     return panel;
   }
   
@@ -314,6 +496,7 @@ class SpaceUI {
     
     // Create button container
     const button = this.createComponent(id, { position });
+    button.layoutSize = { width, height };
     
     // Create background
     const bgGeometry = new THREE.BoxGeometry(width, height, 0.01);
@@ -402,7 +585,8 @@ class SpaceUI {
       renderOrder = this.settings.renderOrder + 1000,
       depthTest = this.settings.depthTest,
       visible = false,
-      content = null
+      content = null,
+      onClose = null
     } = options;
     
     // Create modal container
@@ -467,6 +651,10 @@ class SpaceUI {
     closeMesh.position.set(width/2 - 0.08, height/2 - 0.08, 0.01);
     closeMesh.renderOrder = renderOrder + 1;
     closeMesh.name = `${id}-close`;
+    closeMesh.userData.onClick = () => {
+      modal.visible = false;
+      if (onClose) onClose(modal);
+    };
     modal.add(closeMesh);
     
     // Add content container
@@ -515,7 +703,7 @@ class SpaceUI {
   
   /**
    * Create a map texture
-   * @param {Object} options - Map options
+   * @param {Object} options - Map options (model: map model to draw)
    * @returns {THREE.CanvasTexture} - The generated map texture
    */
   createMapTexture(options = {}) {
@@ -524,19 +712,15 @@ class SpaceUI {
       height = 512,
       backgroundColor = '#1e2d3b',
       gridColor = '#3a5c6e',
-      pathColor = '#FFFFFF',
-      startColor = '#3498db',
-      endColor = '#f1c40f',
-      currentColor = '#FFFFFF',
       gridSize = 50
     } = options;
     
-    // Create canvas for map
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
+    // Draw the static background once
+    const background = document.createElement('canvas');
+    background.width = width;
+    background.height = height;
     
-    const context = canvas.getContext('2d');
+    const context = background.getContext('2d');
     
     // Fill with background
     context.fillStyle = backgroundColor;
@@ -547,7 +731,7 @@ class SpaceUI {
     context.lineWidth = 2;
     
     // Grid lines
-    for (let i = 0; i <= width; i += gridSize) {
+    for (let i = 0; i <= Math.max(width, height); i += gridSize) {
       // Vertical line
       context.beginPath();
       context.moveTo(i, 0);
@@ -561,50 +745,12 @@ class SpaceUI {
       context.stroke();
     }
     
-    // Add a path line
-    context.strokeStyle = pathColor;
-    context.lineWidth = 4;
-    context.beginPath();
-    context.moveTo(width * 0.8, height * 0.8);
-    context.lineTo(width * 0.6, height * 0.6);
-    context.lineTo(width * 0.3, height * 0.5);
-    context.stroke();
-    
-    // Add start point
-    context.fillStyle = startColor;
-    context.beginPath();
-    context.arc(width * 0.8, height * 0.8, 10, 0, Math.PI * 2);
-    context.fill();
-    
-    // Add end point
-    context.fillStyle = endColor;
-    context.beginPath();
-    context.arc(width * 0.3, height * 0.5, 10, 0, Math.PI * 2);
-    context.fill();
-    
-    // Add current position
-    context.fillStyle = currentColor;
-    context.beginPath();
-    context.arc(width * 0.6, height * 0.6, 8, 0, Math.PI * 2);
-    context.fill();
-    
-    // Add some text labels
-    context.font = 'bold 20px Arial';
-    context.fillStyle = '#FFFFFF';
-    context.fillText('START', width * 0.8, height * 0.8 - 20);
-    context.fillText('END', width * 0.3, height * 0.5 - 20);
-    context.fillText('YOU ARE HERE', width * 0.6, height * 0.6 - 20);
-    
-    // Create texture from canvas
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.minFilter = THREE.LinearFilter;
-    texture.needsUpdate = true;
-    return texture;
+    return this.createMapOverlayTexture(background, options);
   }
   
   /**
    * Create a topographic map texture
-   * @param {Object} options - Map options
+   * @param {Object} options - Map options (model: map model to draw)
    * @returns {THREE.CanvasTexture} - The generated map texture
    */
   createTopographicMapTexture(options = {}) {
@@ -613,17 +759,14 @@ class SpaceUI {
       height = 1024,
       backgroundColor = '#1e3040',
       contourColor = '#38586c',
-      pathColor = '#FFFFFF',
-      startColor = '#3498db',
-      endColor = '#f1c40f',
-      currentColor = '#FFFFFF',
       contourLines = 30
     } = options;
     
-    const canvas = document.createElement('canvas');
-    canvas.width = width;
-    canvas.height = height;
-    const ctx = canvas.getContext('2d');
+    // Draw the static background once
+    const background = document.createElement('canvas');
+    background.width = width;
+    background.height = height;
+    const ctx = background.getContext('2d');
     
     // Background
     ctx.fillStyle = backgroundColor;
@@ -655,84 +798,185 @@ class SpaceUI {
       ctx.stroke();
     }
     
-    // Draw a path line
-    ctx.strokeStyle = pathColor;
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(width * 0.8, height * 0.8);
-    ctx.lineTo(width * 0.6, height * 0.6);
-    ctx.lineTo(width * 0.3, height * 0.5);
-    ctx.stroke();
-    
-    // Draw dotted future path
-    ctx.strokeStyle = pathColor;
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 10]);
-    ctx.beginPath();
-    ctx.moveTo(width * 0.3, height * 0.5);
-    ctx.bezierCurveTo(
-      width * 0.2, height * 0.4,
-      width * 0.15, height * 0.3, 
-      width * 0.2, height * 0.2
-    );
-    ctx.stroke();
-    ctx.setLineDash([]);
-    
-    // Add destinations
-    // Start point (blue dot)
-    ctx.fillStyle = startColor;
-    ctx.beginPath();
-    ctx.arc(width * 0.8, height * 0.8, 8, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Current point (white dot)
-    ctx.fillStyle = currentColor;
-    ctx.beginPath();
-    ctx.arc(width * 0.6, height * 0.6, 10, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#000000';
-    ctx.lineWidth = 1;
-    ctx.stroke();
-    
-    // Next point (blue dot)
-    ctx.fillStyle = startColor;
-    ctx.beginPath();
-    ctx.arc(width * 0.3, height * 0.5, 8, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // End point (yellow dot)
-    ctx.fillStyle = endColor;
-    ctx.beginPath();
-    ctx.arc(width * 0.2, height * 0.2, 10, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#000000';
-    ctx.lineWidth = 1;
-    ctx.stroke();
-    
-    // Add NASA Base label
-    ctx.font = 'bold 16px Arial';
-    ctx.fillStyle = '#FFFFFF';
-    ctx.textAlign = 'center';
-    ctx.fillText('NASA Base', width * 0.2, height * 0.2 - 15);
+    return this.createMapOverlayTexture(background, options);
+  }
+  
+  /**
+   * Create a map texture that draws a map model over a background canvas
+   * @private
+   * @returns {THREE.CanvasTexture} - Texture with userData.redraw(model)
+   */
+  createMapOverlayTexture(background, options = {}) {
+    const {
+      model = null
+    } = options;
     
-    // Add Start Point label
-    ctx.font = '14px Arial';
-    ctx.fillStyle = '#AAAAAA';
-    ctx.fillText('Start Point', width * 0.8, height * 0.8 - 15);
-    ctx.font = 'bold 14px Arial';
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillText('Point A', width * 0.8, height * 0.8 - 30);
+    const canvas = document.createElement('canvas');
+    canvas.width = background.width;
+    canvas.height = background.height;
+    const ctx = canvas.getContext('2d');
     
-    // Create texture
     const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
+    texture.minFilter = THREE.LinearFilter;
+    
+    // Redraw the background and the model's route, waypoints and position
+    texture.userData.redraw = (mapModel) => {
+      ctx.drawImage(background, 0, 0);
+      if (mapModel) {
+        this.drawMapOverlay(ctx, mapModel, canvas.width, canvas.height, options);
+      }
+      texture.needsUpdate = true;
+    };
+    
+    texture.userData.redraw(model);
     return texture;
   }
   
+  /**
+   * Draw the route, breadcrumb trail, waypoints and current position of a map model
+   * @private
+   */
+  drawMapOverlay(ctx, model, width, height, options = {}) {
+    const {
+      pathColor = '#FFFFFF',
+      trailColor = '#00FFFF',
+      startColor = '#3498db',
+      endColor = '#f1c40f',
+      poiColor = '#e67e22',
+      sampleColor = '#2ecc71',
+      hazardColor = '#e74c3c',
+      currentColor = '#FFFFFF'
+    } = options;
+    
+    const transform = model.getTransform(width, height);
+    if (!transform) return;
+    
+    // Line widths and fonts were designed for a 512 pixel map
+    const unit = Math.max(width, height) / 512;
+    
+    // Hazard zones, under everything else
+    (model.hazards || []).forEach(hazard => {
+      ctx.beginPath();
+      if (hazard.points) {
+        hazard.points.forEach((point, index) => {
+          const pixel = transform.toPixel(point.x, point.y);
+          if (index === 0) {
+            ctx.moveTo(pixel.x, pixel.y);
+          } else {
+            ctx.lineTo(pixel.x, pixel.y);
+          }
+        });
+        ctx.closePath();
+      } else {
+        const center = transform.toPixel(hazard.x, hazard.y);
+        ctx.arc(center.x, center.y, hazard.radius * transform.scale, 0, Math.PI * 2);
+      }
+      
+      ctx.globalAlpha = 0.3;
+      ctx.fillStyle = hazardColor;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = hazardColor;
+      ctx.lineWidth = 2 * unit;
+      ctx.stroke();
+    });
+    
+    // Planned route
+    if (model.route.length > 1) {
+      ctx.strokeStyle = pathColor;
+      ctx.lineWidth = 3 * unit;
+      ctx.setLineDash([10 * unit, 8 * unit]);
+      ctx.beginPath();
+      model.route.forEach((point, index) => {
+        const pixel = transform.toPixel(point.x, point.y);
+        if (index === 0) {
+          ctx.moveTo(pixel.x, pixel.y);
+        } else {
+          ctx.lineTo(pixel.x, pixel.y);
+        }
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
+    // Breadcrumb trail
+    ctx.fillStyle = trailColor;
+    model.breadcrumbs.forEach(crumb => {
+      const pixel = transform.toPixel(crumb.x, crumb.y);
+      ctx.beginPath();
+      ctx.arc(pixel.x, pixel.y, 2 * unit, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    
+    // Waypoints
+    const colors = {
+      base: endColor,
+      destination: endColor,
+      start: startColor,
+      waypoint: startColor,
+      poi: poiColor,
+      sample: sampleColor,
+      hazard: hazardColor
+    };
+    ctx.textAlign = 'center';
+    model.waypoints.forEach(waypoint => {
+      const pixel = transform.toPixel(waypoint.x, waypoint.y);
+      
+      ctx.globalAlpha = waypoint.visited ? 0.5 : 1;
+      ctx.fillStyle = colors[waypoint.type] || startColor;
+      ctx.beginPath();
+      ctx.arc(pixel.x, pixel.y, 8 * unit, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+      
+      ctx.font = `bold ${Math.round(14 * unit)}px Arial`;
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(waypoint.label, pixel.x, pixel.y - 14 * unit);
+    });
+    ctx.globalAlpha = 1;
+    
+    // Current position, kept on the map when outside the bounds
+    if (model.position) {
+      const pixel = transform.toPixel(model.position.x, model.position.y);
+      const margin = 12 * unit;
+      const x = Math.min(Math.max(pixel.x, margin), width - margin);
+      const y = Math.min(Math.max(pixel.y, margin), height - margin);
+      
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.fillStyle = currentColor;
+      ctx.strokeStyle = '#000000';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      if (model.heading === null || model.heading === undefined) {
+        ctx.arc(0, 0, 8 * unit, 0, Math.PI * 2);
+      } else {
+        // Arrow pointing along the heading (north up, clockwise)
+        ctx.rotate(model.heading * Math.PI / 180);
+        ctx.moveTo(0, -14 * unit);
+        ctx.lineTo(9 * unit, 10 * unit);
+        ctx.lineTo(0, 5 * unit);
+        ctx.lineTo(-9 * unit, 10 * unit);
+        ctx.closePath();
+      }
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+      
+      ctx.font = `bold ${Math.round(14 * unit)}px Arial`;
+      ctx.fillStyle = currentColor;
+      ctx.fillText('YOU ARE HERE', x, y - 20 * unit);
+    }
+  }
+  
   /**
    * Create a map modal
    * @param {string} id - Unique identifier for the map modal
-   * @param {Object} options - Modal options
+   * @param {Object} options - Modal options (model: MapModel with bounds,
+   *   waypoints, route, breadcrumbs and position; the map redraws when it changes;
+   *   onAddPoint: called when the sidebar's "Add Point" row is clicked)
    * @returns {THREE.Group} - The map modal container
    */
   createMapModal(id, options = {}) {
@@ -745,6 +989,8 @@ class SpaceUI {
       title = 'Maps',
       visible = false,
       mapType = 'topographic', // 'basic' or 'topographic'
+      model = null,
+      onAddPoint = null,
       renderOrder = this.settings.renderOrder + 20000
     } = options;
     
@@ -763,14 +1009,17 @@ class SpaceUI {
     // Add map content
     const contentGroup = new THREE.Group();
     
-    // Create map texture based on type
-    const mapTexture = mapType === 'topographic' ? 
-      this.createTopographicMapTexture() : 
-      this.createMapTexture();
-    
     // Map area
     const mapWidth = width - 0.35;
     const mapHeight = height - 0.2;
+    
+    // Create map texture based on type, with the same aspect ratio as the map area
+    const textureWidth = mapType === 'topographic' ? 1024 : 512;
+    const textureHeight = Math.round(textureWidth * mapHeight / mapWidth);
+    const mapTexture = mapType === 'topographic' ? 
+      this.createTopographicMapTexture({ width: textureWidth, height: textureHeight, model }) : 
+      this.createMapTexture({ width: textureWidth, height: textureHeight, model });
+    
     const mapGeometry = new THREE.PlaneGeometry(mapWidth, mapHeight);
     const mapMaterial = new THREE.MeshBasicMaterial({
       map: mapTexture,
@@ -782,20 +1031,49 @@ class SpaceUI {
     const mapMesh = new THREE.Mesh(mapGeometry, mapMaterial);
     mapMesh.position.set(width/2 - mapWidth/2 - 0.025, 0, 0);
     mapMesh.renderOrder = renderOrder + 3;
+    mapMesh.name = `${id}-map`;
     contentGroup.add(mapMesh);
     
     // Add zoom controls
     this.addZoomControlsToMap(contentGroup, width, height, renderOrder);
     
     // Add map points sidebar
-    this.addMapSidebar(contentGroup, width, height, renderOrder);
+    const updateSidebar = this.addMapSidebar(contentGroup, width, height, renderOrder, id, onAddPoint);
     
     // Add footer with stats
-    this.addMapFooter(contentGroup, width, height, renderOrder);
+    const updateStat = this.addMapFooter(contentGroup, width, height, renderOrder, id);
     
     // Set modal content
     mapModal.setContent(contentGroup);
     
+    // Redraw the map and sidebar; several changes in one tick are drawn once
+    let redrawPending = false;
+    mapModal.redraw = () => {
+      if (redrawPending) return;
+      redrawPending = true;
+      
+      Promise.resolve().then(() => {
+        redrawPending = false;
+        mapTexture.userData.redraw(mapModal.model);
+        updateSidebar(mapModal.model);
+      });
+    };
+    
+    // Switch to another map model
+    let unsubscribe = null;
+    mapModal.setModel = (newModel) => {
+      if (unsubscribe) unsubscribe();
+      
+      mapModal.model = newModel;
+      unsubscribe = newModel ? newModel.subscribe(() => mapModal.redraw()) : null;
+      mapModal.redraw();
+    };
+    
+    mapModal.setModel(model);
+    
+    // Set a footer stat, e.g. updateStat('timeLeft', '02:15:00')
+    mapModal.updateStat = updateStat;
+    
     return mapModal;
   }
   
@@ -850,14 +1128,11 @@ class SpaceUI {
   }
   
   /**
-   * Add sidebar with points to map container
-   * @private
-   */
-  /**
-   * Add sidebar with points to map container
+   * Add sidebar listing the map model's waypoints to map container
    * @private
+   * @returns {Function} - Updates the list from a map model
    */
-  addMapSidebar(container, width, height, renderOrder) {
+  addMapSidebar(container, width, height, renderOrder, id = 'map', onAddPoint = null) {
     // Sidebar background
     const sidebarWidth = 0.3;
     const sidebarGeometry = new THREE.PlaneGeometry(sidebarWidth, height - 0.1);
@@ -874,14 +1149,10 @@ class SpaceUI {
     sidebarMesh.renderOrder = renderOrder + 2;
     container.add(sidebarMesh);
     
-    // Add location points
-    const points = [
-      { icon: "◉", label: "Point A" },
-      { icon: "◉", label: "Point B" },
-      { icon: "+", label: "Add Point" }
-    ];
+    const rowY = (index) => height/2 - 0.15 - (index * 0.08);
     
-    points.forEach((point, index) => {
+    // Create a sidebar row
+    const createRow = (name, text) => {
       // Point item background
       const itemGeometry = new THREE.PlaneGeometry(sidebarWidth - 0.04, 0.06);
       const itemMaterial = new THREE.MeshBasicMaterial({
@@ -893,39 +1164,73 @@ class SpaceUI {
       });
       
       const itemMesh = new THREE.Mesh(itemGeometry, itemMaterial);
-      itemMesh.position.set(-width/2 + sidebarWidth/2, height/2 - 0.15 - (index * 0.08), 0.01);
       itemMesh.renderOrder = renderOrder + 3;
+      itemMesh.name = name;
       container.add(itemMesh);
       
-      // Point label
-      const pointTexture = this.createTextTexture(`${point.icon} ${point.label}`, { 
-        textColor: '#FFFFFF',
-        fontSize: 24,
-        backgroundColor: 'transparent',
-        width: 256,
-        height: 48
-      });
-      
-      const pointGeometry = new THREE.PlaneGeometry(sidebarWidth - 0.06, 0.05);
-      const pointMaterial = new THREE.MeshBasicMaterial({
-        map: pointTexture,
-        transparent: true,
-        depthTest: false,
-        side: THREE.DoubleSide
+      // Point label, with a second line for a pin's time and note
+      const pointMesh = this.createTextMesh({
+        text,
+        textSize: 0.02,
+        maxWidth: sidebarWidth - 0.06,
+        maxHeight: 0.05,
+        wrap: false,
+        autoFit: true,
+        depthTest: false
       });
-      
-      const pointMesh = new THREE.Mesh(pointGeometry, pointMaterial);
       pointMesh.position.set(0, 0, 0.005);
       pointMesh.renderOrder = renderOrder + 4;
       itemMesh.add(pointMesh);
-    });
+      
+      itemMesh.setText = (newText) => pointMesh.setText(newText);
+      return itemMesh;
+    };
+    
+    // Rows for as many waypoints as fit, plus the "Add Point" row after them
+    const maxRows = Math.max(1, Math.floor((height - 0.25) / 0.08));
+    const rows = [];
+    for (let i = 0; i < maxRows - 1; i++) {
+      const row = createRow(`${id}-point-${i}`, '');
+      row.position.set(-width/2 + sidebarWidth/2, rowY(i), 0.01);
+      row.visible = false;
+      rows.push(row);
+    }
+    
+    const addRow = createRow(`${id}-add-point`, '+ Add Point');
+    addRow.position.set(-width/2 + sidebarWidth/2, rowY(0), 0.01);
+    if (onAddPoint) {
+      addRow.userData.onClick = () => onAddPoint();
+    }
+    
+    const icons = { base: '⌂', poi: '◆', sample: '▲', hazard: '⚠' };
+    
+    return (model) => {
+      const waypoints = model ? model.waypoints : [];
+      
+      rows.forEach((row, index) => {
+        const waypoint = waypoints[index];
+        row.visible = Boolean(waypoint);
+        row.userData.waypointId = waypoint ? waypoint.id : null;
+        if (!waypoint) return;
+        
+        const distance = model.distanceTo(waypoint);
+        const suffix = distance === null ? '' : `  ${Math.round(distance)}m`;
+        const time = waypoint.markedAt ? new Date(waypoint.markedAt).toTimeString().slice(0, 5) : '';
+        const details = [time, waypoint.note].filter(Boolean).join('  ');
+        row.setText(`${icons[waypoint.type] || '◉'} ${waypoint.label}${suffix}${details ? `\n${details}` : ''}`);
+      });
+      
+      addRow.position.y = rowY(Math.min(waypoints.length, rows.length));
+    };
   }
   
   /**
    * Add footer with stats to map container
    * @private
+   * @returns {Function} - Sets a stat value: (key, value) with key 'totalDistance',
+   *   'remainingDistance', 'expectedDuration' or 'timeLeft'
    */
-  addMapFooter(container, width, height, renderOrder) {
+  addMapFooter(container, width, height, renderOrder, id = 'map') {
     // Footer background
     const footerGeometry = new THREE.PlaneGeometry(width - 0.05, 0.06);
     const footerMaterial = new THREE.MeshBasicMaterial({
@@ -943,11 +1248,17 @@ class SpaceUI {
     
     // Add stats
     const stats = [
-      { label: 'Total Distance', value: '50m' },
-      { label: 'Remaining Distance', value: '20m' },
-      { label: 'Expected Duration', value: '00:02:03' },
-      { label: 'Time Left', value: '11:00:48' }
+      { key: 'totalDistance', label: 'Total Distance', value: '--' },
+      { key: 'remainingDistance', label: 'Remaining Distance', value: '--' },
+      { key: 'expectedDuration', label: 'Expected Duration', value: '--' },
+      { key: 'timeLeft', label: 'Time Left', value: '--' }
     ];
+    const valueOptions = {
+      textColor: '#FFFFFF',
+      fontSize: 16,
+      backgroundColor: 'transparent'
+    };
+    const valueTextures = {};
     
     stats.forEach((stat, index) => {
       const offset = ((index - 1.5) * 0.25);
@@ -976,12 +1287,11 @@ class SpaceUI {
       
       // Value
       const valueTexture = this.createTextTexture(stat.value, { 
-        textColor: '#FFFFFF',
-        fontSize: 16,
-        backgroundColor: 'transparent',
+        ...valueOptions,
         width: 120,
         height: 24
       });
+      valueTextures[stat.key] = valueTexture;
       
       const valueGeometry = new THREE.PlaneGeometry(0.1, 0.02);
       const valueMaterial = new THREE.MeshBasicMaterial({
@@ -992,10 +1302,20 @@ class SpaceUI {
       });
       
       const valueMesh = new THREE.Mesh(valueGeometry, valueMaterial);
+      valueMesh.name = `${id}-stat-${stat.key}`;
       valueMesh.position.set(offset, -height/2 + 0.03, 0.01);
       valueMesh.renderOrder = renderOrder + 3;
       container.add(valueMesh);
     });
+    
+    return (key, value, options = {}) => {
+      const texture = valueTextures[key];
+      if (!texture) {
+        console.warn(`SpaceUI: unknown map stat "${key}"`);
+        return;
+      }
+      this.updateTextTexture(texture, value, { ...valueOptions, ...options });
+    };
   }
   
   /**
@@ -1013,19 +1333,20 @@ class SpaceUI {
         { icon: "⛶", label: "Pictures", id: "pictures" },
         { icon: "⏺", label: "Recording", id: "recording" }
       ],
+      buttonSize = 0.15,
+      gap = 0.02,
+      padding = { x: 0.07, y: 0 },
       visible = false,
-      renderOrder = this.settings.renderOrder + 11000
+      renderOrder = this.settings.renderOrder + 11000,
+      onSelect = null
     } = options;
     
     // Create container
     const actionButtonsMenu = this.createComponent(id, { position });
     actionButtonsMenu.visible = visible;
     
-    // Create the background panel for buttons
-    const panelWidth = 0.8;
-    const panelHeight = 0.15;
-    
-    const bgGeometry = new THREE.PlaneGeometry(panelWidth, panelHeight);
+    // Create the background panel for buttons (sized once they are laid out)
+    const bgGeometry = new THREE.PlaneGeometry(1, 1);
     const bgMaterial = new THREE.MeshBasicMaterial({
       color: 0x222222,
       transparent: true,
@@ -1039,13 +1360,9 @@ class SpaceUI {
     actionButtonsMenu.add(panel);
     
     // Create the individual buttons
-    const buttonWidth = 0.15;
-    const buttonSpacing = 0.17;
-    let startX = -buttonSpacing * 1.5; // Center the buttons
-    
-    buttons.forEach((button, index) => {
+    const buttonMeshes = buttons.map(button => {
       // Create button background
-      const buttonGeometry = new THREE.PlaneGeometry(buttonWidth, buttonWidth);
+      const buttonGeometry = new THREE.PlaneGeometry(buttonSize, buttonSize);
       const buttonMaterial = new THREE.MeshBasicMaterial({
         color: button.id === "maps" ? 0x444444 : 0x333333, // Highlight the first button
         transparent: true,
@@ -1055,7 +1372,8 @@ class SpaceUI {
       });
       
       const buttonMesh = new THREE.Mesh(buttonGeometry, buttonMaterial);
-      buttonMesh.position.set(startX + (buttonSpacing * index), 0, 0.01);
+      buttonMesh.position.z = 0.01;
+      buttonMesh.layoutSize = { width: buttonSize, height: buttonSize };
       buttonMesh.renderOrder = renderOrder + 1;
       buttonMesh.name = `${id}-button-${button.id}`;
       actionButtonsMenu.add(buttonMesh);
@@ -1069,7 +1387,7 @@ class SpaceUI {
         height: 128
       });
       
-      const iconGeometry = new THREE.PlaneGeometry(buttonWidth * 0.6, buttonWidth * 0.6);
+      const iconGeometry = new THREE.PlaneGeometry(buttonSize * 0.6, buttonSize * 0.6);
       const iconMaterial = new THREE.MeshBasicMaterial({
         map: iconTexture,
         transparent: true,
@@ -1091,7 +1409,7 @@ class SpaceUI {
         height: 64
       });
       
-      const labelGeometry = new THREE.PlaneGeometry(buttonWidth, buttonWidth * 0.3);
+      const labelGeometry = new THREE.PlaneGeometry(buttonSize, buttonSize * 0.3);
       const labelMaterial = new THREE.MeshBasicMaterial({
         map: labelTexture,
         transparent: true,
@@ -1109,8 +1427,18 @@ class SpaceUI {
         id: button.id,
         isActionButton: true
       };
+      
+      if (onSelect) {
+        buttonMesh.userData.onClick = () => onSelect(button.id);
+      }
+      
+      return buttonMesh;
     });
     
+    // Center the buttons in a row, however many there are, and fit the panel around them
+    actionButtonsMenu.layoutSize = arrange(buttonMeshes, { type: 'row', gap, padding });
+    panel.scale.set(actionButtonsMenu.layoutSize.width, actionButtonsMenu.layoutSize.height, 1);
+    
     // Toggle visibility method
     actionButtonsMenu.toggle = () => {
       actionButtonsMenu.visible = !actionButtonsMenu.visible;
@@ -1130,15 +1458,19 @@ class SpaceUI {
     const {
       position = new THREE.Vector3(0, 0.3, -0.5),
       panels = [
-        { title: 'Battery', value: '75%', position: new THREE.Vector3(-0.5, 0, 0) },
-        { title: 'O2', value: '75%', position: new THREE.Vector3(0, 0, 0) },
-        { title: 'Pressure', value: '14.3psi', position: new THREE.Vector3(0.5, 0, 0) }
+        { title: 'Battery', value: '75%' },
+        { title: 'O2', value: '75%' },
+        { title: 'Pressure', value: '14.3psi' }
       ],
+      gap = 0.1,
       renderOrder = this.settings.renderOrder
     } = options;
     
-    // Create container
-    const statusGroup = this.createComponent(id, { position });
+    // Panels are laid out in a row unless they are given positions
+    const placed = panels.some(panel => panel.position);
+    const statusGroup = placed
+      ? this.createComponent(id, { position })
+      : this.createRow(id, { position, gap });
     
     // Create panels
     panels.forEach((panel, index) => {
@@ -1148,7 +1480,7 @@ class SpaceUI {
         position: panel.position,
         texts: [
           { text: panel.value, color: "#FFFFFF", yOffset: 0.02 },
-          { text: panel.title, color: "#AAAAAA", yOffset: -0.02, fontSize: 0.02 }
+          { text: panel.title, color: "#AAAAAA", yOffset: -0.02, textSize: 0.02 }
         ],
         renderOrder
       });
@@ -1157,8 +1489,12 @@ class SpaceUI {
       const panelObj = this.getComponent(panelId);
       if (panelObj) {
         // Remove from root but keep in registry
-        this.root.remove(panelObj);
-        statusGroup.add(panelObj);
+        if (placed) {
+          this.root.remove(panelObj);
+          statusGroup.add(panelObj);
+        } else {
+          statusGroup.addItem(panelObj);
+        }
         
         // Store reference to easily update
         panelObj.userData = {
@@ -1182,54 +1518,695 @@ class SpaceUI {
       }
     };
     
+    // Method to replace the caption under a panel's value (its title by default)
+    statusGroup.updatePanelCaption = (title, caption, color = "#AAAAAA") => {
+      const panel = statusGroup.children.find(child => 
+        child.userData && child.userData.title === title
+      );
+      
+      if (panel) {
+        panel.updateText(1, caption, { textColor: color, textSize: 0.02 });
+      }
+    };
+    
+    // Method to recolor a panel for a caution & warning level
+    statusGroup.setPanelLevel = (title, level) => {
+      const panel = statusGroup.children.find(child => 
+        child.userData && child.userData.title === title
+      );
+      
+      if (panel) {
+        const color = this.settings.levelColors[level];
+        panel.setBackgroundColor(color === undefined ? null : color);
+        panel.userData.level = level;
+      }
+    };
+    
     return statusGroup;
   }
-  // Add this to your main.js or wherever you handle keyboard events
-
-// Function to create and handle procedure panel
-setupProcedurePanel() {
-    // Create procedure modal (initially hidden)
-    const procedureModal = ui.createProcedureModal('procedure-modal', {
-      title: 'EVA Egress',
-      subtitle: 'Connect UIA to DCU and Start Depress',
-      tasks: [
-        { id: 'task1', label: 'EV1 connect UIA', category: 'UIA', completed: false },
-        { id: 'task2', label: 'EV2 connect UIA', category: 'UIA', completed: false },
-        { id: 'task3', label: 'EV1 connect DCU', category: 'DCU', completed: false },
-        { id: 'task4', label: 'EV2 connect DCU', category: 'DCU', completed: false }
-      ],
-      visible: false
+  
+  /**
+   * Create an alert banner shown at the top of the UI
+   * @param {string} id - Unique identifier for the banner
+   * @param {Object} options - Banner options
+   * @returns {THREE.Group} - The banner container
+   */
+  createBanner(id, options = {}) {
+    const {
+      width = 0.9,
+      height = 0.07,
+      position = new THREE.Vector3(0, 0.4, -0.5),
+      renderOrder = this.settings.renderOrder + 30000
+    } = options;
+    
+    // Create banner container (hidden until an alert is shown)
+    const banner = this.createComponent(id, { position });
+    banner.layoutSize = { width, height };
+    banner.visible = false;
+    
+    // Create background
+    const bgGeometry = new THREE.PlaneGeometry(width, height);
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: this.settings.levelColors.warning,
+      transparent: true,
+      opacity: 0.9,
+      depthTest: false,
+      side: THREE.DoubleSide
+    });
+    
+    const background = new THREE.Mesh(bgGeometry, bgMaterial);
+    background.renderOrder = renderOrder;
+    banner.add(background);
+    
+    // Create text
+    const texture = this.createTextTexture('', {
+      fontSize: 40,
+      backgroundColor: 'transparent',
+      width: 1024,
+      height: 80
+    });
+    
+    const textGeometry = new THREE.PlaneGeometry(width * 0.95, height * 0.9);
+    const textMaterial = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false,
+      side: THREE.DoubleSide
     });
     
-    // Create notification popup (initially hidden)
-    const notification = ui.createNotification('completion-notification', {
-      text: 'Task Completed',
-      backgroundColor: 0x2ecc71,
-      icon: '✓',
-      duration: 3000
+    const textMesh = new THREE.Mesh(textGeometry, textMaterial);
+    textMesh.position.set(0, 0, 0.005);
+    textMesh.renderOrder = renderOrder + 1;
+    banner.add(textMesh);
+    
+    // Show a message with the color of its level
+    banner.show = (text, level = 'warning') => {
+      const color = this.settings.levelColors[level];
+      bgMaterial.color.setHex(color === undefined ? this.settings.levelColors.warning : color);
+      this.updateTextTexture(texture, text, { fontSize: 40, backgroundColor: 'transparent' });
+      banner.visible = true;
+    };
+    
+    banner.hide = () => {
+      banner.visible = false;
+    };
+    
+    return banner;
+  }
+  
+  /**
+   * Create a procedure (checklist) modal
+   * @param {string} id - Unique identifier for the procedure modal
+   * @param {Object} options - Modal options
+   * @returns {THREE.Group} - The procedure modal container
+   */
+  createProcedureModal(id, options = {}) {
+    const {
+      width = 1.0,
+      height = 0.8,
+      position = new THREE.Vector3(0, 0, -0.5),
+      title = 'Procedure',
+      subtitle = '',
+      tasks = [],
+      currentIndex = 0,
+      maxRows = 6,
+      visible = false,
+      renderOrder = this.settings.renderOrder + 21000,
+      onPrevious = null,
+      onComplete = null,
+      onNext = null
+    } = options;
+    
+    // Create modal
+    const procedureModal = this.createModal(id, {
+      width,
+      height,
+      position,
+      title,
+      visible,
+      renderOrder
     });
     
-    // Add keyboard listener for 'P' key to toggle procedure panel
-    window.addEventListener('keydown', (event) => {
-      // 'P' key toggles procedure panel
-      if (event.code === 'KeyP') {
-        console.log('Procedure key (P) pressed - toggling procedure panel');
-        procedureModal.toggle();
+    const contentGroup = new THREE.Group();
+    const rowWidth = width - 0.1;
+    const rowHeight = 0.07;
+    
+    // Subtitle and progress line
+    const subtitleMesh = this.createTextMesh({
+      text: subtitle,
+      color: '#AAAAAA',
+      textSize: 0.022,
+      maxWidth: rowWidth,
+      maxHeight: 0.05,
+      wrap: false,
+      autoFit: true,
+      depthTest: false
+    });
+    subtitleMesh.position.set(0, height/2 - 0.19, 0.01);
+    subtitleMesh.renderOrder = renderOrder + 3;
+    contentGroup.add(subtitleMesh);
+    
+    // Fixed set of rows, refilled as the visible window of steps scrolls
+    const rows = [];
+    for (let i = 0; i < maxRows; i++) {
+      const rowMaterial = new THREE.MeshBasicMaterial({
+        color: 0x2c3e50,
+        transparent: true,
+        opacity: 0.9,
+        depthTest: false,
+        side: THREE.DoubleSide
+      });
+      
+      const rowMesh = new THREE.Mesh(new THREE.PlaneGeometry(rowWidth, rowHeight), rowMaterial);
+      rowMesh.position.set(0, height/2 - 0.27 - (i * (rowHeight + 0.01)), 0.01);
+      rowMesh.renderOrder = renderOrder + 2;
+      rowMesh.name = `${id}-row-${i}`;
+      contentGroup.add(rowMesh);
+      
+      // Long step labels wrap onto a second line, shrinking if that is not enough
+      const textMesh = this.createTextMesh({
+        textSize: 0.024,
+        align: 'left',
+        maxWidth: rowWidth - 0.04,
+        maxHeight: rowHeight - 0.01,
+        maxLines: 2,
+        autoFit: true,
+        depthTest: false
+      });
+      textMesh.position.set(0, 0, 0.005);
+      textMesh.renderOrder = renderOrder + 3;
+      rowMesh.add(textMesh);
+      
+      rows.push({ mesh: rowMesh, material: rowMaterial, text: textMesh });
+    }
+    
+    // Navigation buttons
+    const buttons = [
+      { key: 'previous', text: '◀ Prev', onClick: onPrevious, color: 0x34495e },
+      { key: 'complete', text: '✓ Complete', onClick: onComplete, color: 0x27ae60 },
+      { key: 'next', text: 'Next ▶', onClick: onNext, color: 0x34495e }
+    ];
+    
+    // Spread evenly in a row along the bottom of the modal
+    const buttonRow = this.createRow(`${id}-buttons`, {
+      position: new THREE.Vector3(0, -height/2 + 0.07, 0.01),
+      gap: 0.06
+    });
+    this.root.remove(buttonRow);
+    contentGroup.add(buttonRow);
+    
+    buttons.forEach(config => {
+      const buttonId = `${id}-${config.key}`;
+      this.createButton(buttonId, {
+        width: 0.24,
+        height: 0.07,
+        backgroundColor: config.color,
+        text: config.text,
+        fontSize: 48,
+        renderOrder: renderOrder + 4,
+        onClick: config.onClick
+      });
+      
+      // Move button from root into the row, keeping it in the registry
+      buttonRow.addItem(buttonId);
+    });
+    
+    procedureModal.setContent(contentGroup);
+    
+    // Redraw with the latest procedure state
+    procedureModal.update = (state = {}) => {
+      const {
+        title: newTitle,
+        subtitle: newSubtitle = '',
+        tasks: newTasks = [],
+        currentIndex: newIndex = 0
+      } = state;
+      
+      if (newTitle !== undefined) {
+        procedureModal.updateTitle(newTitle, { fontSize: 48 });
       }
       
-      // For testing: Complete tasks with number keys 1-4
-      if (event.code >= 'Digit1' && event.code <= 'Digit4') {
-        const taskIndex = parseInt(event.code.replace('Digit', '')) - 1;
-        const taskId = `task${taskIndex + 1}`;
+      // Group headers are not counted as steps
+      const steps = newTasks.filter(task => !task.isGroup);
+      const completed = steps.filter(task => task.completed).length;
+      const stepNumber = steps.indexOf(newTasks[newIndex]) + 1;
+      const progress = steps.length ? `Step ${stepNumber} of ${steps.length} · ${completed} done` : '';
+      subtitleMesh.setText([newSubtitle, progress].filter(Boolean).join('  —  '));
+      
+      // Keep the current step inside the visible window
+      const first = Math.max(0, Math.min(newIndex - 1, newTasks.length - maxRows));
+      
+      rows.forEach((row, i) => {
+        const task = newTasks[first + i];
+        row.mesh.visible = Boolean(task);
+        if (!task) return;
         
-        if (procedureModal.completeTask(taskId)) {
-          notification.show(`Task ${taskIndex + 1} Completed`);
+        // Group header row
+        if (task.isGroup) {
+          row.material.color.setHex(0x1a2736);
+          row.text.setText(`${task.completed ? '✓ ' : ''}${task.label.toUpperCase()}`, {
+            color: task.completed ? '#7FD89A' : '#AAAAAA'
+          });
+          return;
         }
+        
+        const isCurrent = first + i === newIndex;
+        row.material.color.setHex(isCurrent ? 0x2980b9 : task.completed ? 0x1e3a2b : 0x2c3e50);
+        
+        const mark = task.completed ? '✓' : isCurrent ? '▶' : '○';
+        const assignee = task.assignee && task.assignee !== 'BOTH' ? `${task.assignee} ` : '';
+        const auto = task.autoComplete && !task.completed ? ' (auto)' : '';
+        row.text.setText(`${mark} [${task.category}] ${assignee}${task.label}${auto}`, {
+          color: task.completed ? '#7FD89A' : '#FFFFFF'
+        });
+      });
+    };
+    
+    procedureModal.update({ title, subtitle, tasks, currentIndex });
+    
+    return procedureModal;
+  }
+  
+  /**
+   * Create a sample-detail modal showing the composition of a geology sample
+   * @param {string} id - Unique identifier for the sample modal
+   * @param {Object} options - Modal options (oxides: composition keys in display order)
+   * @returns {THREE.Group} - The sample modal container
+   */
+  createSampleModal(id, options = {}) {
+    const {
+      width = 1.0,
+      height = 0.8,
+      position = new THREE.Vector3(0, 0, -0.5),
+      title = 'Samples',
+      oxides = [],
+      visible = false,
+      renderOrder = this.settings.renderOrder + 22000,
+      onPrevious = null,
+      onExport = null,
+      onNext = null
+    } = options;
+    
+    const sampleModal = this.createModal(id, {
+      width,
+      height,
+      position,
+      title,
+      visible,
+      renderOrder
+    });
+    
+    const contentGroup = new THREE.Group();
+    const lineWidth = width - 0.1;
+    
+    // Text across the modal, wrapping onto a second line when long
+    const createLine = (y, textSize) => {
+      const mesh = this.createTextMesh({
+        textSize,
+        maxWidth: lineWidth,
+        maxHeight: 0.06,
+        maxLines: 2,
+        autoFit: true,
+        depthTest: false
+      });
+      mesh.position.set(0, y, 0.01);
+      mesh.renderOrder = renderOrder + 3;
+      contentGroup.add(mesh);
+      return mesh;
+    };
+    
+    // Location, time and rock on top, the rock-of-interest verdict below the composition
+    const subtitleText = createLine(height/2 - 0.19, 0.022);
+    const verdictText = createLine(-height/2 + 0.17, 0.023);
+    
+    // Composition: one cell per oxide, in two columns
+    const rowsPerColumn = Math.ceil(oxides.length / 2);
+    const cellWidth = lineWidth / 2 - 0.01;
+    const cellHeight = 0.06;
+    
+    const cells = oxides.map((oxide, i) => {
+      const column = Math.floor(i / rowsPerColumn);
+      const row = i % rowsPerColumn;
+      
+      const cellMaterial = new THREE.MeshBasicMaterial({
+        color: 0x2c3e50,
+        transparent: true,
+        opacity: 0.9,
+        depthTest: false,
+        side: THREE.DoubleSide
+      });
+      
+      const cellMesh = new THREE.Mesh(new THREE.PlaneGeometry(cellWidth, cellHeight), cellMaterial);
+      cellMesh.position.set(
+        (column === 0 ? -1 : 1) * (cellWidth / 2 + 0.005),
+        height/2 - 0.28 - row * (cellHeight + 0.01),
+        0.01
+      );
+      cellMesh.renderOrder = renderOrder + 2;
+      cellMesh.name = `${id}-oxide-${oxide}`;
+      contentGroup.add(cellMesh);
+      
+      const textMesh = this.createTextMesh({
+        text: oxide,
+        textSize: 0.02,
+        maxWidth: cellWidth - 0.02,
+        maxHeight: cellHeight - 0.01,
+        wrap: false,
+        autoFit: true,
+        depthTest: false
+      });
+      textMesh.position.set(0, 0, 0.005);
+      textMesh.renderOrder = renderOrder + 3;
+      cellMesh.add(textMesh);
+      
+      return { oxide, material: cellMaterial, text: textMesh };
+    });
+    
+    // Navigation and export buttons
+    const buttons = [
+      { key: 'previous', text: '◀ Prev', onClick: onPrevious, color: 0x34495e },
+      { key: 'export', text: '⇩ Export', onClick: onExport, color: 0x2980b9 },
+      { key: 'next', text: 'Next ▶', onClick: onNext, color: 0x34495e }
+    ];
+    
+    // Spread evenly in a row along the bottom of the modal
+    const buttonRow = this.createRow(`${id}-buttons`, {
+      position: new THREE.Vector3(0, -height/2 + 0.07, 0.01),
+      gap: 0.06
+    });
+    this.root.remove(buttonRow);
+    contentGroup.add(buttonRow);
+    
+    buttons.forEach(config => {
+      const buttonId = `${id}-${config.key}`;
+      this.createButton(buttonId, {
+        width: 0.24,
+        height: 0.07,
+        backgroundColor: config.color,
+        text: config.text,
+        fontSize: 48,
+        renderOrder: renderOrder + 4,
+        onClick: config.onClick
+      });
+      
+      // Move button from root into the row, keeping it in the registry
+      buttonRow.addItem(buttonId);
+    });
+    
+    sampleModal.setContent(contentGroup);
+    
+    // Show a sample record ({ label, x, y, startedAt, rockId, rockName, composition, flags, note })
+    sampleModal.update = (state = {}) => {
+      const { sample = null, index = 0, count = 0 } = state;
+      
+      if (!sample) {
+        sampleModal.updateTitle(title, { fontSize: 48 });
+        subtitleText.setText('No samples yet', { color: '#AAAAAA' });
+        verdictText.setText('');
+      } else {
+        sampleModal.updateTitle(`${sample.label} (${index + 1}/${count})`, { fontSize: 48 });
+        
+        const time = new Date(sample.scannedAt || sample.startedAt).toTimeString().slice(0, 8);
+        const rock = sample.rockId !== null ? `Rock ${sample.rockId}${sample.rockName ? ` ${sample.rockName}` : ''}` : '';
+        const location = `${Math.round(sample.x)}E ${Math.round(sample.y)}N`;
+        subtitleText.setText([rock, location, time, sample.note].filter(Boolean).join('  ·  '), { color: '#AAAAAA' });
+        
+        const verdict = !sample.composition
+          ? 'Awaiting spectrometer scan'
+          : sample.interesting
+            ? `★ Rock of interest: ${sample.flags.map(flag => `${flag.oxide} ${flag.direction === 'above' ? '>' : '<'} ${flag.limit}%`).join(', ')}`
+            : 'No oxide beyond limits';
+        verdictText.setText(verdict, { color: sample.interesting ? '#F1C40F' : '#FFFFFF' });
       }
+      
+      cells.forEach(cell => {
+        const value = sample && sample.composition ? sample.composition[cell.oxide] : undefined;
+        const flag = sample ? sample.flags.find(candidate => candidate.oxide === cell.oxide) : null;
+        const mark = flag ? (flag.direction === 'above' ? ' ▲' : ' ▼') : '';
+        
+        cell.material.color.setHex(flag ? 0x7b241c : 0x2c3e50);
+        cell.text.setText(`${cell.oxide}  ${value === undefined ? '--' : `${value.toFixed(2)}%`}${mark}`, {
+          color: flag ? '#FFFFFF' : '#DDDDDD'
+        });
+      });
+    };
+    
+    sampleModal.update();
+    
+    return sampleModal;
+  }
+  
+  /**
+   * Create a photo gallery modal: a page of thumbnails, or one photo enlarged
+   * @param {string} id - Unique identifier for the gallery modal
+   * @param {Object} options - Modal options (onSelect: called with the slot
+   *   index of a clicked thumbnail; onCloseViewer: called when the enlarged photo is clicked)
+   * @returns {THREE.Group} - The gallery modal container
+   */
+  createGalleryModal(id, options = {}) {
+    const {
+      width = 1.0,
+      height = 0.8,
+      position = new THREE.Vector3(0, 0, -0.5),
+      title = 'Pictures',
+      columns = 3,
+      rows = 2,
+      visible = false,
+      renderOrder = this.settings.renderOrder + 23000,
+      onSelect = null,
+      onCloseViewer = null,
+      onPrevious = null,
+      onDelete = null,
+      onNext = null
+    } = options;
+    
+    const galleryModal = this.createModal(id, {
+      width,
+      height,
+      position,
+      title,
+      visible,
+      renderOrder
     });
     
-    return { procedureModal, notification };
+    const contentGroup = new THREE.Group();
+    const emptyColor = 0x2c3e50;
+    
+    // Picture plane: grey until a texture is assigned
+    const createPicture = (pictureWidth, pictureHeight) => {
+      const material = new THREE.MeshBasicMaterial({
+        color: emptyColor,
+        transparent: true,
+        depthTest: false,
+        side: THREE.DoubleSide
+      });
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(pictureWidth, pictureHeight), material);
+      mesh.renderOrder = renderOrder + 3;
+      return mesh;
+    };
+    
+    const setPicture = (mesh, texture) => {
+      if (mesh.material.map === (texture || null)) return;
+      mesh.material.map = texture || null;
+      mesh.material.color.setHex(texture ? 0xFFFFFF : emptyColor);
+      mesh.material.needsUpdate = true;
+    };
+    
+    // Thumbnail grid (16:9 cells) with a highlight frame behind each cell
+    const cellWidth = (width - 0.1) / columns - 0.03;
+    const cellHeight = cellWidth * 9 / 16;
+    const slots = [];
+    for (let i = 0; i < columns * rows; i++) {
+      const column = i % columns;
+      const row = Math.floor(i / columns);
+      
+      const frame = new THREE.Mesh(
+        new THREE.PlaneGeometry(cellWidth + 0.015, cellHeight + 0.015),
+        new THREE.MeshBasicMaterial({ color: 0x2980b9, transparent: true, depthTest: false, side: THREE.DoubleSide })
+      );
+      frame.position.set(
+        (column - (columns - 1) / 2) * (cellWidth + 0.03),
+        height/2 - 0.2 - cellHeight / 2 - row * (cellHeight + 0.03),
+        0.01
+      );
+      frame.renderOrder = renderOrder + 2;
+      frame.visible = false;
+      contentGroup.add(frame);
+      
+      const picture = createPicture(cellWidth, cellHeight);
+      picture.position.set(frame.position.x, frame.position.y, 0.015);
+      picture.name = `${id}-slot-${i}`;
+      picture.userData.onClick = () => {
+        if (onSelect && picture.material.map) onSelect(i);
+      };
+      contentGroup.add(picture);
+      
+      slots.push({ frame, picture });
+    }
+    
+    // Enlarged photo, shown instead of the grid
+    const viewerHeight = height - 0.38;
+    const viewer = createPicture(viewerHeight * 16 / 9, viewerHeight);
+    viewer.position.set(0, height/2 - 0.18 - viewerHeight / 2, 0.015);
+    viewer.name = `${id}-viewer`;
+    viewer.visible = false;
+    viewer.userData.onClick = () => {
+      if (onCloseViewer) onCloseViewer();
+    };
+    contentGroup.add(viewer);
+    
+    // Caption: photo tags in the viewer, page and count in the grid
+    const captionMesh = this.createTextMesh({
+      color: '#DDDDDD',
+      textSize: 0.02,
+      maxWidth: width - 0.1,
+      maxHeight: 0.06,
+      maxLines: 2,
+      autoFit: true,
+      depthTest: false
+    });
+    captionMesh.position.set(0, -height/2 + 0.16, 0.01);
+    captionMesh.renderOrder = renderOrder + 3;
+    contentGroup.add(captionMesh);
+    
+    // Navigation and delete buttons
+    const buttons = [
+      { key: 'previous', text: '◀ Prev', onClick: onPrevious, color: 0x34495e },
+      { key: 'delete', text: '✕ Delete', onClick: onDelete, color: 0xc0392b },
+      { key: 'next', text: 'Next ▶', onClick: onNext, color: 0x34495e }
+    ];
+    
+    // Spread evenly in a row along the bottom of the modal
+    const buttonRow = this.createRow(`${id}-buttons`, {
+      position: new THREE.Vector3(0, -height/2 + 0.07, 0.01),
+      gap: 0.06
+    });
+    this.root.remove(buttonRow);
+    contentGroup.add(buttonRow);
+    
+    buttons.forEach(config => {
+      const buttonId = `${id}-${config.key}`;
+      this.createButton(buttonId, {
+        width: 0.24,
+        height: 0.07,
+        backgroundColor: config.color,
+        text: config.text,
+        fontSize: 48,
+        renderOrder: renderOrder + 4,
+        onClick: config.onClick
+      });
+      
+      // Move button from root into the row, keeping it in the registry
+      buttonRow.addItem(buttonId);
+    });
+    
+    galleryModal.setContent(contentGroup);
+    galleryModal.slotCount = slots.length;
+    
+    // Show a page of thumbnails ({ thumbnails: textures, selected: slot index }),
+    // or one photo when viewer is set ({ viewer: texture }); caption is the line below
+    galleryModal.update = (state = {}) => {
+      const { thumbnails = [], selected = -1, viewer: viewerTexture = null, caption = '' } = state;
+      
+      viewer.visible = Boolean(viewerTexture);
+      setPicture(viewer, viewerTexture);
+      
+      slots.forEach((slot, i) => {
+        slot.picture.visible = !viewerTexture;
+        slot.frame.visible = !viewerTexture && i === selected;
+        setPicture(slot.picture, thumbnails[i]);
+      });
+      
+      captionMesh.setText(caption);
+    };
+    
+    galleryModal.update({ caption: 'No pictures yet' });
+    
+    return galleryModal;
   }
+  
+  /**
+   * Create a notification popup
+   * @param {string} id - Unique identifier for the notification
+   * @param {Object} options - Notification options
+   * @returns {THREE.Group} - The notification container
+   */
+  createNotification(id, options = {}) {
+    const {
+      width = 0.5,
+      height = 0.08,
+      position = new THREE.Vector3(0, 0.18, -0.45),
+      text = 'Notification',
+      icon = '',
+      backgroundColor = 0x2ecc71,
+      duration = 3000,
+      renderOrder = this.settings.renderOrder + 31000
+    } = options;
+    
+    // Create notification container (hidden until shown)
+    const notification = this.createComponent(id, { position });
+    notification.visible = false;
+    
+    const bgMaterial = new THREE.MeshBasicMaterial({
+      color: backgroundColor,
+      transparent: true,
+      opacity: 0.9,
+      depthTest: false,
+      side: THREE.DoubleSide
+    });
+    
+    const background = new THREE.Mesh(new THREE.PlaneGeometry(width, height), bgMaterial);
+    background.renderOrder = renderOrder;
+    notification.add(background);
+    
+    const textOptions = {
+      fontSize: 40,
+      backgroundColor: 'transparent',
+      width: 1024,
+      height: 128
+    };
+    const texture = this.createTextTexture(`${icon} ${text}`.trim(), textOptions);
+    
+    const textMesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(width * 0.95, height * 0.9),
+      new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        depthTest: false,
+        side: THREE.DoubleSide
+      })
+    );
+    textMesh.position.set(0, 0, 0.005);
+    textMesh.renderOrder = renderOrder + 1;
+    notification.add(textMesh);
+    
+    let hideTimer = null;
+    
+    // Show the notification, hiding it again after the duration
+    notification.show = (newText = text, showOptions = {}) => {
+      const {
+        color = backgroundColor,
+        duration: showDuration = duration
+      } = showOptions;
+      
+      bgMaterial.color.setHex(color);
+      this.updateTextTexture(texture, `${icon} ${newText}`.trim(), textOptions);
+      notification.visible = true;
+      
+      clearTimeout(hideTimer);
+      if (showDuration > 0) {
+        hideTimer = setTimeout(() => notification.hide(), showDuration);
+      }
+    };
+    
+    notification.hide = () => {
+      clearTimeout(hideTimer);
+      notification.visible = false;
+    };
+    
+    return notification;
+  }
+  
   /**
    * Update the UI position to follow the camera
    * @param {boolean} isVR - Whether currently in VR mode
@@ -0,0 +1,275 @@
+/**
+ * CautionWarningEngine - Evaluates telemetry against limit rules and manages alerts
+ *
+ * Each rule defines ranges as [min, max] pairs (null = unbounded):
+ *   nominal - value is in family
+ *   caution - value is off nominal but not yet dangerous
+ *   warning - value requires immediate action (anything outside nominal
+ *             and caution is also treated as a warning)
+ */
+import { DEFAULT_PANEL_BINDINGS } from './telemetry.js';
+
+// Alert levels in order of severity
+export const LEVELS = ['nominal', 'caution', 'warning'];
+
+// Default limits per telemetry channel
+export const DEFAULT_RULES = {
+  battery: { nominal: [40, null], caution: [20, 40], warning: [null, 20], hysteresis: 1 },
+  o2Primary: { nominal: [40, null], caution: [20, 40], warning: [null, 20], hysteresis: 1 },
+  o2Secondary: { nominal: [40, null], caution: [20, 40], warning: [null, 20], hysteresis: 1 },
+  suitPressure: { nominal: [3.5, 4.5], caution: [3.0, 5.0], warning: [null, null], hysteresis: 0.05, latch: true },
+  co2: { nominal: [null, 0.5], caution: [0.5, 0.6], warning: [0.6, null], hysteresis: 0.02, latch: true },
+  heartRate: { nominal: [50, 160], caution: [40, 180], warning: [null, null], hysteresis: 3 },
+  suitTemp: { nominal: [50, 90], caution: [40, 100], warning: [null, null], hysteresis: 1 },
+  fanRpm: { nominal: [20000, null], caution: [10000, 20000], warning: [null, 10000], hysteresis: 500 }
+};
+
+// Check whether a value lies in [min, max], optionally shrunk by a margin at the
+// bounds flagged in shrink ({ min, max })
+function inRange(value, range, margin = 0, shrink = { min: true, max: true }) {
+  if (!range) return false;
+  
+  const [min, max] = range;
+  return (min === null || value >= min + (shrink.min ? margin : 0)) &&
+    (max === null || value <= max - (shrink.max ? margin : 0));
+}
+
+class CautionWarningEngine {
+  constructor(options = {}) {
+    const {
+      rules = DEFAULT_RULES,
+      labels = {}
+    } = options;
+    
+    this.rules = { ...rules };
+    
+    // Human readable channel names for alert messages
+    this.labels = labels;
+    
+    // Current level per channel
+    this.levels = new Map();
+    
+    // Alerts by channel: { id, channel, level, value, message, raisedAt, acknowledged, active }
+    this.alerts = new Map();
+    
+    this.listeners = new Set();
+    this.unsubscribe = null;
+  }
+  
+  /**
+   * Evaluate every reading published by a telemetry service
+   * @param {TelemetryService} telemetry - Telemetry service
+   */
+  attach(telemetry) {
+    this.detach();
+    
+    this.labels = Object.fromEntries(
+      Object.entries(telemetry.channels).map(([key, channel]) => [key, channel.label])
+    );
+    this.unsubscribe = telemetry.subscribe('*', ({ channel, value, timestamp }) => {
+      this.evaluate(channel, value, timestamp);
+    });
+  }
+  
+  detach() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+  
+  /**
+   * Set or replace the rule for a channel
+   * @param {string} channel - Telemetry channel key
+   * @param {Object} rule - { nominal, caution, warning, hysteresis, latch }
+   */
+  setRule(channel, rule) {
+    this.rules[channel] = rule;
+    this.levels.delete(channel);
+  }
+  
+  /**
+   * Classify a value without hysteresis
+   * @param {Object} rule - Channel rule
+   * @param {number} value - Value to classify
+   * @returns {string} - 'nominal', 'caution' or 'warning'
+   */
+  classify(rule, value) {
+    if (inRange(value, rule.nominal)) return 'nominal';
+    if (inRange(value, rule.caution)) return 'caution';
+    return 'warning';
+  }
+  
+  // Whether a value is clear of a level's range by the rule's hysteresis, counting
+  // the margin only at the bounds beyond which the value would be more severe
+  isClearOf(rule, level, value) {
+    const range = rule[level];
+    if (!range) return false;
+    
+    const margin = rule.hysteresis || 0;
+    const severity = LEVELS.indexOf(level);
+    const [min, max] = range;
+    const shrink = {
+      min: min !== null && LEVELS.indexOf(this.classify(rule, min - margin)) > severity,
+      max: max !== null && LEVELS.indexOf(this.classify(rule, max + margin)) > severity
+    };
+    return inRange(value, range, margin, shrink);
+  }
+  
+  /**
+   * Evaluate a new reading
+   * @param {string} channel - Telemetry channel key
+   * @param {number} value - New value
+   * @param {number} timestamp - Reading time in ms
+   * @returns {string|null} - Level after evaluation, or null when the channel has no rule
+   */
+  evaluate(channel, value, timestamp = Date.now()) {
+    const rule = this.rules[channel];
+    if (!rule || typeof value !== 'number') return null;
+    
+    const current = this.levels.get(channel) || 'nominal';
+    let level = this.classify(rule, value);
+    
+    // Hysteresis: when stepping down in severity, prefer the best range the value is
+    // clearly inside; a value clear of none keeps its plain classification
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(current)) {
+      const clearOf = LEVELS.slice(0, LEVELS.indexOf(current)).find(candidate =>
+        this.isClearOf(rule, candidate, value)
+      );
+      level = clearOf || level;
+    }
+    
+    // Latching: an unacknowledged alert holds its level until acknowledged
+    const alert = this.alerts.get(channel);
+    if (rule.latch && alert && alert.active && !alert.acknowledged &&
+        LEVELS.indexOf(level) < LEVELS.indexOf(alert.level)) {
+      alert.value = value;
+      return alert.level;
+    }
+    
+    if (level !== current) {
+      this.levels.set(channel, level);
+      this.updateAlert(channel, level, value, timestamp);
+    } else if (alert && alert.active) {
+      alert.value = value;
+    }
+    
+    return level;
+  }
+  
+  // Raise, escalate or clear the alert for a channel
+  updateAlert(channel, level, value, timestamp) {
+    const existing = this.alerts.get(channel);
+    const label = this.labels[channel] || channel;
+    
+    if (level === 'nominal') {
+      if (existing && existing.active) {
+        existing.active = false;
+        existing.clearedAt = timestamp;
+        this.emit('cleared', existing);
+      }
+      return;
+    }
+    
+    const escalated = existing && existing.active &&
+      LEVELS.indexOf(level) > LEVELS.indexOf(existing.level);
+    
+    const alert = {
+      id: `${channel}-${timestamp}`,
+      channel,
+      level,
+      value,
+      message: `${label} ${level.toUpperCase()}`,
+      raisedAt: existing && existing.active ? existing.raisedAt : timestamp,
+      // Escalation requires a fresh acknowledgement, de-escalation keeps it
+      acknowledged: existing && existing.active && !escalated ? existing.acknowledged : false,
+      active: true
+    };
+    
+    this.alerts.set(channel, alert);
+    this.emit(escalated ? 'escalated' : existing && existing.active ? 'changed' : 'raised', alert);
+  }
+  
+  /**
+   * Acknowledge one alert, or all active alerts when no channel is given
+   * @param {string} channel - Channel key (optional)
+   */
+  acknowledge(channel = null) {
+    const targets = channel ? [this.alerts.get(channel)] : [...this.alerts.values()];
+    
+    targets.forEach(alert => {
+      if (!alert || !alert.active || alert.acknowledged) return;
+      
+      alert.acknowledged = true;
+      this.emit('acknowledged', alert);
+      
+      // A latched alert whose value has since recovered clears on acknowledgement
+      const rule = this.rules[alert.channel];
+      if (rule && rule.latch && this.classify(rule, alert.value) === 'nominal') {
+        this.levels.set(alert.channel, 'nominal');
+        this.updateAlert(alert.channel, 'nominal', alert.value, Date.now());
+      }
+    });
+  }
+  
+  /**
+   * Get alerts that are active or have been acknowledged, most severe first
+   * @returns {Array} - Alert objects
+   */
+  getAlerts() {
+    return [...this.alerts.values()]
+      .filter(alert => alert.active)
+      .sort((a, b) =>
+        LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level) ||
+        Number(a.acknowledged) - Number(b.acknowledged) ||
+        b.raisedAt - a.raisedAt
+      );
+  }
+  
+  /**
+   * Get the current level of a channel
+   * @param {string} channel - Channel key
+   * @returns {string} - Level name
+   */
+  getLevel(channel) {
+    const alert = this.alerts.get(channel);
+    if (alert && alert.active) return alert.level;
+    return this.levels.get(channel) || 'nominal';
+  }
+  
+  /**
+   * Recolor status panels created by SpaceUI.createStatusPanels as levels change
+   * @param {THREE.Group} statusGroup - Group returned by createStatusPanels
+   * @param {Object} bindings - Map of panel title to channel key
+   * @returns {Function} - Unbind function
+   */
+  bindStatusPanels(statusGroup, bindings = DEFAULT_PANEL_BINDINGS) {
+    const titles = Object.fromEntries(
+      Object.entries(bindings).map(([title, channel]) => [channel, title])
+    );
+    
+    return this.subscribe((type, alert) => {
+      const title = titles[alert.channel];
+      if (title) {
+        statusGroup.setPanelLevel(title, this.getLevel(alert.channel));
+      }
+    });
+  }
+  
+  /**
+   * Listen for alert changes
+   * @param {Function} callback - Called with (type, alert) where type is
+   *   'raised', 'escalated', 'changed', 'acknowledged' or 'cleared'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type, alert) {
+    this.listeners.forEach(callback => callback(type, alert));
+  }
+}
+
+export default CautionWarningEngine;
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CautionWarningEngine from './cautionWarning.js';
+
+test('battery recovers from warning to caution inside the caution band', () => {
+  const engine = new CautionWarningEngine();
+  assert.equal(engine.evaluate('battery', 15), 'warning');
+  assert.equal(engine.evaluate('battery', 20.5), 'caution');
+});
+
+test('battery recovers from warning to caution near the nominal bound', () => {
+  const engine = new CautionWarningEngine();
+  engine.evaluate('battery', 15);
+  assert.equal(engine.evaluate('battery', 39.5), 'caution');
+});
+
+test('battery recovers from caution to nominal', () => {
+  const engine = new CautionWarningEngine();
+  assert.equal(engine.evaluate('battery', 30), 'caution');
+  assert.equal(engine.evaluate('battery', 40.5), 'nominal');
+});
+
+test('pressure barely back in nominal after a warning steps down to caution', () => {
+  const engine = new CautionWarningEngine();
+  engine.evaluate('suitPressure', 5.2);
+  engine.acknowledge('suitPressure');
+  assert.equal(engine.evaluate('suitPressure', 4.48), 'caution');
+  assert.equal(engine.evaluate('suitPressure', 4.0), 'nominal');
+});
@@ -0,0 +1,370 @@
+/**
+ * CommandRegistry - Central registry of HUD commands and the inputs bound to them
+ *
+ * Commands are named actions (e.g. 'ui.toggleMap', 'procedure.next'). Inputs
+ * of every kind bind to commands through one table, keyed by input type:
+ *   keyboard - KeyboardEvent.code, e.g. 'KeyM'
+ *   gesture  - '<hand>.<gesture>' from GestureRecognizer, hand is 'left', 'right' or 'any'
+ *   button   - HUD action button id, e.g. 'maps'
+ *   dom      - CSS selector of a legacy DOM button, e.g. '#map-button'
+ *   voice    - spoken phrase id
+ * An input can be bound to one command; a command can have any number of inputs.
+ */
+import { DEFAULT_GESTURE_BINDINGS } from './gestureRecognizer.js';
+
+export const INPUT_TYPES = ['keyboard', 'gesture', 'button', 'dom', 'voice'];
+
+// Default input bindings of the HUD commands
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    KeyA: 'ui.toggleActions',
+    KeyM: 'ui.toggleMap',
+    KeyP: 'ui.toggleProcedures',
+    KeyU: 'telemetry.refresh',
+    KeyK: 'alerts.acknowledge',
+    KeyD: 'debug.dump',
+    KeyV: 'voice.toggle',
+    KeyG: 'geology.toggleSamples',
+    KeyC: 'photo.capture',
+    KeyI: 'photo.toggleGallery',
+    KeyR: 'session.toggleRecording',
+    KeyL: 'session.toggleReplay',
+    KeyH: 'headlamp.toggle',
+    ArrowRight: 'procedure.next',
+    ArrowLeft: 'procedure.previous',
+    Enter: 'procedure.complete'
+  },
+  gesture: DEFAULT_GESTURE_BINDINGS,
+  button: {
+    maps: 'ui.toggleMap',
+    procedures: 'ui.toggleProcedures',
+    pictures: 'photo.capture',
+    recording: 'session.toggleRecording',
+    'add-point': 'map.markPoint'
+  },
+  dom: {
+    '#map-button': 'ui.toggleMap',
+    '#mark-button': 'map.markPoint',
+    '#scan-button': 'geology.startSample'
+  },
+  voice: {
+    openMap: 'ui.openMap',
+    closeMap: 'ui.closeMap',
+    openProcedures: 'ui.openProcedures',
+    closeProcedures: 'ui.closeProcedures',
+    toggleMenu: 'ui.toggleActions',
+    nextStep: 'procedure.next',
+    previousStep: 'procedure.previous',
+    completeStep: 'procedure.complete',
+    acknowledge: 'alerts.acknowledge',
+    markPoint: 'map.markPoint',
+    markSample: 'geology.startSample',
+    finishSample: 'geology.finishSample',
+    showSamples: 'geology.toggleSamples',
+    exportSamples: 'geology.export',
+    takePicture: 'photo.capture',
+    showPictures: 'photo.toggleGallery',
+    startRecording: 'session.startRecording',
+    stopRecording: 'session.stopRecording',
+    markHazard: 'map.markHazard',
+    addNote: 'map.addNote',
+    headlampOn: 'headlamp.on',
+    headlampOff: 'headlamp.off',
+    readChannel: 'telemetry.read'
+  }
+};
+
+class CommandRegistry {
+  constructor(options = {}) {
+    const {
+      bindings = {}
+    } = options;
+    
+    // Commands by id: { id, label, run }
+    this.commands = new Map();
+    
+    // Bindings by input type: Map of input -> command id
+    this.bindings = new Map(INPUT_TYPES.map(type => [type, new Map()]));
+    
+    // Default bindings are applied as commands are registered
+    this.pendingBindings = bindings;
+    
+    this.listeners = new Set();
+    this.detachers = [];
+  }
+  
+  /**
+   * Register a command
+   * @param {string} id - Command id
+   * @param {Object|Function} command - { label, run(context) } or the run function
+   */
+  register(id, command) {
+    const definition = typeof command === 'function' ? { run: command } : command;
+    if (typeof definition.run !== 'function') {
+      throw new Error(`CommandRegistry: command "${id}" needs a run function`);
+    }
+    
+    this.commands.set(id, { id, label: definition.label || id, run: definition.run });
+    
+    // Apply default bindings that were waiting for this command
+    INPUT_TYPES.forEach(type => {
+      Object.entries(this.pendingBindings[type] || {}).forEach(([input, commandId]) => {
+        if (commandId === id && !this.getBinding(type, input)) {
+          this.bind(type, input, id);
+        }
+      });
+    });
+  }
+  
+  unregister(id) {
+    this.commands.delete(id);
+    this.bindings.forEach(table => {
+      table.forEach((commandId, input) => {
+        if (commandId === id) table.delete(input);
+      });
+    });
+  }
+  
+  /**
+   * Register several commands at once
+   * @param {Object} commands - Map of command id to definition
+   */
+  registerAll(commands) {
+    Object.entries(commands).forEach(([id, command]) => this.register(id, command));
+  }
+  
+  has(id) {
+    return this.commands.has(id);
+  }
+  
+  /**
+   * Get a registered command
+   * @param {string} id - Command id
+   * @returns {Object|null} - { id, label, run }
+   */
+  getCommand(id) {
+    return this.commands.get(id) || null;
+  }
+  
+  /**
+   * Run a command
+   * @param {string} id - Command id
+   * @param {Object} context - Passed to the command; { source: { type, input } } when triggered by an input
+   * @returns {boolean} - True when the command exists and ran
+   */
+  execute(id, context = {}) {
+    const command = this.commands.get(id);
+    if (!command) {
+      console.warn(`CommandRegistry: unknown command "${id}"`);
+      return false;
+    }
+    
+    command.run(context);
+    this.emit('executed', { command: id, ...context });
+    return true;
+  }
+  
+  // Check an input type name
+  getTable(type) {
+    const table = this.bindings.get(type);
+    if (!table) {
+      throw new Error(`CommandRegistry: unknown input type "${type}"`);
+    }
+    return table;
+  }
+  
+  /**
+   * Bind an input to a command
+   * @param {string} type - Input type (see INPUT_TYPES)
+   * @param {string} input - Input name
+   * @param {string} commandId - Command id
+   * @param {Object} options - { replace: take the input from another command instead of reporting a conflict }
+   * @returns {Object} - { ok, conflict } where conflict is { type, input, command, existing } when the input is taken
+   */
+  bind(type, input, commandId, options = {}) {
+    const {
+      replace = false
+    } = options;
+    
+    if (!this.commands.has(commandId)) {
+      throw new Error(`CommandRegistry: cannot bind ${type} "${input}" to unknown command "${commandId}"`);
+    }
+    
+    const table = this.getTable(type);
+    const existing = table.get(input);
+    
+    if (existing && existing !== commandId && !replace) {
+      const conflict = { type, input, command: commandId, existing };
+      console.warn(`CommandRegistry: ${type} "${input}" is already bound to "${existing}", not binding it to "${commandId}"`);
+      this.emit('conflict', conflict);
+      return { ok: false, conflict };
+    }
+    
+    table.set(input, commandId);
+    this.emit('bound', { type, input, command: commandId, replaced: existing && existing !== commandId ? existing : null });
+    return { ok: true, conflict: null };
+  }
+  
+  /**
+   * Remove the binding of an input
+   * @param {string} type - Input type
+   * @param {string} input - Input name
+   */
+  unbind(type, input) {
+    const table = this.getTable(type);
+    const commandId = table.get(input);
+    if (!commandId) return;
+    
+    table.delete(input);
+    this.emit('unbound', { type, input, command: commandId });
+  }
+  
+  /**
+   * Move a command's bindings of one input type to a new input
+   * @param {string} commandId - Command id
+   * @param {string} type - Input type
+   * @param {string} input - New input name
+   * @param {Object} options - { replace } as for bind
+   * @returns {Object} - { ok, conflict }; the old bindings are kept when there is a conflict
+   */
+  remap(commandId, type, input, options = {}) {
+    const previous = this.getInputsFor(commandId, type);
+    const result = this.bind(type, input, commandId, options);
+    
+    if (result.ok) {
+      previous.filter(old => old !== input).forEach(old => this.unbind(type, old));
+    }
+    return result;
+  }
+  
+  /**
+   * Get the command bound to an input
+   * @param {string} type - Input type
+   * @param {string} input - Input name
+   * @returns {string|null} - Command id
+   */
+  getBinding(type, input) {
+    return this.getTable(type).get(input) || null;
+  }
+  
+  /**
+   * Get the inputs bound to a command
+   * @param {string} commandId - Command id
+   * @param {string} type - Input type (all types when omitted)
+   * @returns {Array} - Input names, or { type, input } pairs when no type is given
+   */
+  getInputsFor(commandId, type = null) {
+    if (type) {
+      return [...this.getTable(type)].filter(([, id]) => id === commandId).map(([input]) => input);
+    }
+    
+    return INPUT_TYPES.flatMap(inputType =>
+      this.getInputsFor(commandId, inputType).map(input => ({ type: inputType, input }))
+    );
+  }
+  
+  /**
+   * Snapshot of every binding, in the same shape as the bindings option
+   * @returns {Object} - { keyboard: { KeyM: 'ui.toggleMap' }, ... }
+   */
+  getBindings() {
+    return Object.fromEntries(
+      [...this.bindings].map(([type, table]) => [type, Object.fromEntries(table)])
+    );
+  }
+  
+  /**
+   * Run the command bound to an input
+   * @param {string} type - Input type
+   * @param {string} input - Input name
+   * @param {Object} context - Extra context for the command
+   * @returns {boolean} - True when a command ran
+   */
+  trigger(type, input, context = {}) {
+    const commandId = this.getBinding(type, input);
+    if (!commandId) return false;
+    
+    return this.execute(commandId, { ...context, source: { type, input } });
+  }
+  
+  /**
+   * Run commands from keyboard keys
+   * @param {EventTarget} target - Element or window receiving keydown events
+   */
+  attachKeyboard(target = window) {
+    const onKeyDown = (event) => {
+      if (event.repeat) return;
+      
+      // Leave typing in text fields alone
+      const tag = event.target && event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+      
+      if (this.trigger('keyboard', event.code)) {
+        event.preventDefault();
+      }
+    };
+    
+    target.addEventListener('keydown', onKeyDown);
+    this.detachers.push(() => target.removeEventListener('keydown', onKeyDown));
+  }
+  
+  /**
+   * Run commands from recognized hand gestures, preferring hand-specific bindings
+   * (the command context carries the hand and the gesture position)
+   * @param {GestureRecognizer} recognizer - Gesture recognizer
+   */
+  attachGestures(recognizer) {
+    const unsubscribe = recognizer.subscribe(({ gesture, hand, position }) => {
+      const context = { hand, position };
+      if (!this.trigger('gesture', `${hand}.${gesture}`, context)) {
+        this.trigger('gesture', `any.${gesture}`, context);
+      }
+    });
+    this.detachers.push(unsubscribe);
+  }
+  
+  /**
+   * Run commands from clicks on legacy DOM buttons bound by selector
+   * @param {Element|Document} root - Element containing the buttons
+   */
+  attachDOM(root = document) {
+    const onClick = (event) => {
+      if (!event.target || !event.target.closest) return;
+      
+      for (const selector of this.getTable('dom').keys()) {
+        if (event.target.closest(selector)) {
+          this.trigger('dom', selector);
+          return;
+        }
+      }
+    };
+    
+    root.addEventListener('click', onClick);
+    this.detachers.push(() => root.removeEventListener('click', onClick));
+  }
+  
+  /**
+   * Stop listening to every attached input source
+   */
+  detachAll() {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+  }
+  
+  /**
+   * Listen for registry events
+   * @param {Function} callback - Called with (type, detail) where type is
+   *   'executed', 'bound', 'unbound' or 'conflict'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+}
+
+export default CommandRegistry;
@@ -0,0 +1,345 @@
+/**
+ * ConsumablesEstimator - Time left on the suit's O2, battery and CO2 scrubbers
+ *
+ * Fits a straight line to each consumable's level over a sliding window of
+ * EVA time and extrapolates it to the limit, so the prediction follows the
+ * astronaut's actual usage (a leak, the helmet light, heavy work) rather than
+ * the nominal rate. Until a rate can be fit, the suit's own time-left channel
+ * is used where there is one.
+ *
+ * The consumable that runs out first is the binding constraint. The walk-back
+ * margin is its time left minus the time to walk from the astronaut's position
+ * to the airlock (the map's base waypoint): when it reaches zero the
+ * astronaut has to turn back.
+ *
+ * Stats:
+ * {
+ *   consumables: { o2, battery, co2 } each { key, label, level, rate, timeLeft, source },
+ *   binding,                    (key of the first consumable to run out, or null)
+ *   timeLeft,                   (seconds on the binding constraint)
+ *   walkBack: { distance, time } | null,
+ *   margin                      (timeLeft - walkBack.time)
+ * }
+ * Unknown figures are null.
+ */
+import { formatDuration } from './telemetry.js';
+
+// Consumables as a level in units left, from the telemetry channels that make it up;
+// the level runs down to zero, and timeLeft names the suit's own estimate if any
+export const CONSUMABLES = {
+  // Secondary O2 takes over when the primary tank is empty
+  o2: {
+    label: 'O2',
+    channels: ['o2Primary', 'o2Secondary'],
+    level: ({ o2Primary, o2Secondary }) => o2Primary + o2Secondary,
+    timeLeft: 'o2TimeLeft'
+  },
+  battery: {
+    label: 'Batt',
+    channels: ['battery'],
+    level: ({ battery }) => battery,
+    timeLeft: 'batteryTimeLeft'
+  },
+  // Capacity left in both scrubbers; the DCU switches to the other when one is full
+  co2: {
+    label: 'CO2',
+    channels: ['scrubberA', 'scrubberB'],
+    level: ({ scrubberA, scrubberB }) => 200 - scrubberA - scrubberB,
+    timeLeft: null
+  }
+};
+
+// Caution & warning rule for the walk-back margin (seconds)
+export const WALK_BACK_RULE = { nominal: [900, null], caution: [0, 900], warning: [null, 0], hysteresis: 30 };
+
+// Slope of a least-squares line through { time, level } samples (units per second)
+function fitRate(samples) {
+  const n = samples.length;
+  const meanTime = samples.reduce((sum, sample) => sum + sample.time, 0) / n;
+  const meanLevel = samples.reduce((sum, sample) => sum + sample.level, 0) / n;
+  
+  let covariance = 0;
+  let variance = 0;
+  samples.forEach(({ time, level }) => {
+    covariance += (time - meanTime) * (level - meanLevel);
+    variance += (time - meanTime) * (time - meanTime);
+  });
+  return variance > 0 ? covariance / variance : null;
+}
+
+class ConsumablesEstimator {
+  constructor(options = {}) {
+    const {
+      telemetry,
+      mapModel = null,
+      routePlanner = null,
+      consumables = CONSUMABLES,
+      window = 120,
+      minSpan = 30,
+      refillThreshold = 0.5,
+      walkingSpeed = routePlanner ? routePlanner.walkingSpeed : 0.8,
+      walkBackRefresh = 5
+    } = options;
+    
+    if (!telemetry) {
+      throw new Error('ConsumablesEstimator: a telemetry service is required');
+    }
+    
+    this.telemetry = telemetry;
+    this.model = mapModel;
+    this.routePlanner = routePlanner;
+    this.consumables = consumables;
+    
+    // Seconds of EVA time the rates are fit over, and the least span to fit
+    this.window = window;
+    this.minSpan = minSpan;
+    
+    // A level rising by more than this was refilled (or a scrubber swapped), so
+    // the usage before it no longer applies
+    this.refillThreshold = refillThreshold;
+    
+    // Walking speed back to the airlock (m/s), and the meters walked before the
+    // path back is planned again
+    this.walkingSpeed = walkingSpeed;
+    this.walkBackRefresh = walkBackRefresh;
+    
+    this.stats = null;
+    this.updatePending = false;
+    this.listeners = new Set();
+    this.unsubscribers = [];
+    this.reset();
+  }
+  
+  /**
+   * Forget the usage history, e.g. at the start of an EVA
+   */
+  reset() {
+    // Level samples per consumable within the window: [{ time, level }]
+    this.samples = Object.fromEntries(Object.keys(this.consumables).map(key => [key, []]));
+    this.lastTime = null;
+    this.walkBack = null;
+  }
+  
+  // Seconds of EVA time, or of wall-clock time for sources without an EVA clock
+  getTime() {
+    const evaTime = this.telemetry.getValue('evaTime');
+    return typeof evaTime === 'number' ? evaTime : Date.now() / 1000;
+  }
+  
+  // Current level of a consumable, or null until all its channels have reported
+  getLevel(key) {
+    const consumable = this.consumables[key];
+    const values = {};
+    for (const channel of consumable.channels) {
+      const value = this.telemetry.getValue(channel);
+      if (typeof value !== 'number') return null;
+      values[channel] = value;
+    }
+    return consumable.level(values);
+  }
+  
+  /**
+   * Add a level sample
+   * @param {string} key - Consumable key
+   * @param {number} level - Units left
+   * @param {number} time - EVA time in seconds
+   */
+  addSample(key, level, time = this.getTime()) {
+    // The clock going back means a new EVA (or a replay rewound)
+    if (this.lastTime !== null && time < this.lastTime) this.reset();
+    this.lastTime = time;
+    
+    let samples = this.samples[key];
+    if (samples.length && level > samples[samples.length - 1].level + this.refillThreshold) {
+      samples = this.samples[key] = [];
+    }
+    
+    // Channels of one consumable arrive one by one with the same time
+    const last = samples[samples.length - 1];
+    if (last && last.time === time) {
+      last.level = level;
+    } else {
+      samples.push({ time, level });
+    }
+    
+    while (samples.length > 2 && time - samples[1].time >= this.window) samples.shift();
+  }
+  
+  /**
+   * Recent usage rate of a consumable
+   * @param {string} key - Consumable key
+   * @returns {number|null} - Units used per second, or null before minSpan of samples
+   */
+  getRate(key) {
+    const samples = this.samples[key];
+    if (samples.length < 2 || samples[samples.length - 1].time - samples[0].time < this.minSpan) {
+      return null;
+    }
+    
+    const slope = fitRate(samples);
+    return slope === null ? null : -slope;
+  }
+  
+  /**
+   * Prediction for one consumable
+   * @param {string} key - Consumable key
+   * @returns {Object} - { key, label, level, rate, timeLeft, source: 'fit' | 'suit' | null }
+   */
+  estimate(key) {
+    const consumable = this.consumables[key];
+    const level = this.getLevel(key);
+    const rate = this.getRate(key);
+    
+    let timeLeft = null;
+    let source = null;
+    if (level !== null && rate !== null && rate > 0) {
+      timeLeft = Math.max(0, level) / rate;
+      source = 'fit';
+    } else if (consumable.timeLeft && typeof this.telemetry.getValue(consumable.timeLeft) === 'number') {
+      timeLeft = this.telemetry.getValue(consumable.timeLeft);
+      source = 'suit';
+    }
+    
+    return { key, label: consumable.label, level, rate, timeLeft, source };
+  }
+  
+  /**
+   * Seconds left on the binding constraint
+   * @returns {number|null} - Seconds, or null while no consumable can be predicted
+   */
+  getTimeLeft() {
+    const times = Object.keys(this.consumables)
+      .map(key => this.estimate(key).timeLeft)
+      .filter(timeLeft => timeLeft !== null);
+    return times.length ? Math.min(...times) : null;
+  }
+  
+  /**
+   * Distance and walking time from the astronaut to the airlock
+   * @returns {Object|null} - { distance, time }, or null without a position or base
+   */
+  getWalkBack() {
+    const position = this.model && this.model.position;
+    const base = this.model && this.model.waypoints.find(waypoint => waypoint.type === 'base');
+    if (!position || !base) return null;
+    
+    // Planning the path back is a grid search: only redo it after walking a few meters
+    const cached = this.walkBack;
+    if (!cached || cached.base !== base ||
+        Math.hypot(position.x - cached.from.x, position.y - cached.from.y) > this.walkBackRefresh) {
+      const path = this.routePlanner ? this.routePlanner.findPath(position, base) : null;
+      this.walkBack = {
+        base,
+        from: { x: position.x, y: position.y },
+        distance: path ? path.length : Math.hypot(base.x - position.x, base.y - position.y)
+      };
+    }
+    
+    const { distance } = this.walkBack;
+    return { distance, time: distance / this.walkingSpeed };
+  }
+  
+  /**
+   * Current predictions
+   * @returns {Object} - Stats object described at the top of this file
+   */
+  getStats() {
+    const consumables = Object.fromEntries(Object.keys(this.consumables).map(key => [key, this.estimate(key)]));
+    
+    let binding = null;
+    Object.values(consumables).forEach(estimate => {
+      if (estimate.timeLeft === null) return;
+      if (binding === null || estimate.timeLeft < consumables[binding].timeLeft) binding = estimate.key;
+    });
+    
+    const timeLeft = binding === null ? null : consumables[binding].timeLeft;
+    const walkBack = this.getWalkBack();
+    
+    return {
+      consumables,
+      binding,
+      timeLeft,
+      walkBack,
+      margin: timeLeft === null || walkBack === null ? null : timeLeft - walkBack.time
+    };
+  }
+  
+  /**
+   * Short description of the stats for a panel line
+   * @param {Object} stats - Stats object of getStats
+   * @returns {string} - e.g. 'O2 02:41:10  Batt 02:55:00  CO2 --'
+   */
+  describe(stats = this.getStats()) {
+    return Object.values(stats.consumables)
+      .map(({ label, timeLeft }) => `${label} ${timeLeft === null ? '--' : formatDuration(timeLeft)}`)
+      .join('  ');
+  }
+  
+  /**
+   * Follow the consumables' channels and the astronaut's position
+   */
+  attach() {
+    this.detach();
+    
+    Object.entries(this.consumables).forEach(([key, consumable]) => {
+      consumable.channels.forEach(channel => {
+        this.unsubscribers.push(this.telemetry.subscribe(channel, () => {
+          const level = this.getLevel(key);
+          if (level !== null) this.addSample(key, level);
+          this.scheduleUpdate();
+        }));
+      });
+    });
+    
+    if (this.model) {
+      this.unsubscribers.push(this.model.subscribe(type => {
+        if (type === 'position' || type === 'waypoints') this.scheduleUpdate();
+      }));
+    }
+    
+    // The path back follows changes of the obstacles the planner knows about
+    if (this.routePlanner) {
+      this.unsubscribers.push(this.routePlanner.subscribe(type => {
+        if (type !== 'planned') return;
+        this.walkBack = null;
+        this.scheduleUpdate();
+      }));
+    }
+    
+    this.update();
+  }
+  
+  detach() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+  
+  // Update once after the readings published together, which arrive one channel at a time
+  scheduleUpdate() {
+    if (this.updatePending) return;
+    
+    this.updatePending = true;
+    queueMicrotask(() => {
+      this.updatePending = false;
+      this.update();
+    });
+  }
+  
+  // Tell listeners the latest predictions
+  update() {
+    this.stats = this.getStats();
+    this.listeners.forEach(callback => callback(this.stats));
+  }
+  
+  /**
+   * Listen for new predictions
+   * @param {Function} callback - Called with the stats object of getStats
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default ConsumablesEstimator;
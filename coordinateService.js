@@ -0,0 +1,432 @@
+import * as THREE from 'three';
+
+/**
+ * CoordinateService - Converts positions between the coordinate spaces of the HUD
+ *
+ * Spaces:
+ *   latlon - { lat, lon, alt } in degrees (WGS84) and meters, as from a GPS
+ *   utm    - { x, y, z } easting/northing/elevation in meters, as reported by
+ *            the TSS IMU and stored in MapModel
+ *   enu    - { east, north, up } meters from the site origin (grid north)
+ *   world  - THREE.Vector3 in the scene: east is +X, up is +Y, north is -Z
+ *            unless the scene is rotated with northAngle
+ *   map    - { x, y } pixels of a map canvas of a given size (north up)
+ *
+ * Every conversion goes through UTM. The site origin is a UTM point that
+ * sits at worldOrigin in the scene, normally the airlock on the ground.
+ */
+
+// WGS84 ellipsoid and UTM constants
+const A = 6378137;
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const K0 = 0.9996;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING_SOUTH = 10000000;
+
+export const COORDINATE_SPACES = ['latlon', 'utm', 'enu', 'world', 'map'];
+
+const toRadians = THREE.MathUtils.degToRad;
+const toDegrees = THREE.MathUtils.radToDeg;
+
+// Meridional arc length at a latitude (radians)
+function meridionalArc(phi) {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  return A * (
+    (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+}
+
+// Central meridian of a UTM zone, in degrees
+function centralMeridian(zone) {
+  return (zone - 1) * 6 - 180 + 3;
+}
+
+/**
+ * Get the UTM zone of a longitude
+ * @param {number} lon - Longitude in degrees
+ * @returns {number} - Zone number (1-60)
+ */
+export function utmZoneOf(lon) {
+  return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+}
+
+/**
+ * Project latitude/longitude to UTM
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} zone - UTM zone (the longitude's own zone by default)
+ * @returns {Object} - { x: easting, y: northing, zone, hemisphere }
+ */
+export function latLonToUTM(lat, lon, zone = utmZoneOf(lon)) {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lon - centralMeridian(zone));
+  
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const t = Math.tan(phi) ** 2;
+  const c = EP2 * cosPhi * cosPhi;
+  const a = cosPhi * lambda;
+  
+  const x = K0 * n * (
+    a +
+    (1 - t + c) * a ** 3 / 6 +
+    (5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5 / 120
+  ) + FALSE_EASTING;
+  
+  let y = K0 * (meridionalArc(phi) + n * Math.tan(phi) * (
+    a * a / 2 +
+    (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+    (61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6 / 720
+  ));
+  
+  const hemisphere = lat < 0 ? 'S' : 'N';
+  if (hemisphere === 'S') y += FALSE_NORTHING_SOUTH;
+  
+  return { x, y, zone, hemisphere };
+}
+
+/**
+ * Unproject UTM to latitude/longitude
+ * @param {number} x - Easting in meters
+ * @param {number} y - Northing in meters
+ * @param {number} zone - UTM zone
+ * @param {string} hemisphere - 'N' or 'S'
+ * @returns {Object} - { lat, lon } in degrees
+ */
+export function utmToLatLon(x, y, zone, hemisphere = 'N') {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  
+  const m = (hemisphere === 'S' ? y - FALSE_NORTHING_SOUTH : y) / K0;
+  const mu = m / (A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  
+  // Footpoint latitude
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+  
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const n1 = A / Math.sqrt(1 - E2 * sinPhi1 * sinPhi1);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = EP2 * cosPhi1 * cosPhi1;
+  const r1 = A * (1 - E2) / (1 - E2 * sinPhi1 * sinPhi1) ** 1.5;
+  const d = (x - FALSE_EASTING) / (n1 * K0);
+  
+  const phi = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d * d / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4 / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) * d ** 6 / 720
+  );
+  
+  const lambda = (
+    d -
+    (1 + 2 * t1 + c1) * d ** 3 / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5 / 120
+  ) / cosPhi1;
+  
+  return { lat: toDegrees(phi), lon: centralMeridian(zone) + toDegrees(lambda) };
+}
+
+class CoordinateService {
+  constructor(options = {}) {
+    const {
+      origin = { x: 0, y: 0, z: 0 },
+      zone = 15,
+      hemisphere = 'N',
+      worldOrigin = new THREE.Vector3(0, -1.5, 0),
+      northAngle = 0,
+      mapModel = null
+    } = options;
+    
+    // Site origin in UTM; elevation z is optional
+    this.origin = { x: origin.x, y: origin.y, z: origin.z || 0 };
+    this.zone = zone;
+    this.hemisphere = hemisphere;
+    
+    // Where the site origin sits in the scene, and the direction of north
+    // in degrees clockwise from -Z seen from above
+    this.worldOrigin = worldOrigin.clone();
+    this.northAngle = northAngle;
+    
+    // Ground elevation: elevationAt(x, y) -> meters, or null for flat ground at the origin
+    this.elevationAt = null;
+    
+    // Map model whose bounds define the map canvas transform
+    this.mapModel = mapModel;
+    
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Move the site origin
+   * @param {Object} origin - UTM point { x, y, z }
+   */
+  setOrigin(origin) {
+    const z = typeof origin.z === 'number' ? origin.z : this.groundElevation(origin, 0);
+    this.origin = { x: origin.x, y: origin.y, z };
+    this.emit();
+  }
+  
+  /**
+   * Follow a terrain surface: the origin moves onto it and points placed on
+   * the ground take its elevation
+   * @param {Function|null} elevationAt - (x, y) -> meters in UTM, or null for flat ground
+   */
+  setElevation(elevationAt) {
+    this.elevationAt = elevationAt;
+    this.origin.z = this.groundElevation(this.origin, 0);
+    this.emit();
+  }
+  
+  /**
+   * Ground elevation at a UTM point
+   * @param {Object} point - UTM point { x, y }
+   * @param {number} fallback - Elevation without terrain (the origin's by default)
+   * @returns {number} - Meters
+   */
+  groundElevation(point, fallback = this.origin.z) {
+    const elevation = this.elevationAt ? this.elevationAt(point.x, point.y) : null;
+    return typeof elevation === 'number' && Number.isFinite(elevation) ? elevation : fallback;
+  }
+  
+  /**
+   * Set the UTM zone of the site
+   * @param {number} zone - Zone number
+   * @param {string} hemisphere - 'N' or 'S'
+   */
+  setZone(zone, hemisphere = 'N') {
+    this.zone = zone;
+    this.hemisphere = hemisphere;
+    this.emit();
+  }
+  
+  /**
+   * Place and orient the site in the scene
+   * @param {THREE.Vector3} worldOrigin - Scene position of the site origin
+   * @param {number} northAngle - Direction of north, degrees clockwise from -Z
+   */
+  setWorldAnchor(worldOrigin, northAngle = this.northAngle) {
+    this.worldOrigin.copy(worldOrigin);
+    this.northAngle = northAngle;
+    this.emit();
+  }
+  
+  /**
+   * Anchor the scene so that a UTM point lies at a scene position (e.g. the
+   * astronaut's IMU position at the camera when an AR session starts)
+   * @param {Object} utm - UTM point { x, y, z }
+   * @param {THREE.Vector3} world - Scene position
+   * @param {number} northAngle - Direction of north, degrees clockwise from -Z
+   */
+  anchorAt(utm, world, northAngle = this.northAngle) {
+    this.northAngle = northAngle;
+    const offset = this.enuToWorld(this.utmToENU(utm)).sub(this.worldOrigin);
+    this.setWorldAnchor(world.clone().sub(offset), northAngle);
+  }
+  
+  setMapModel(mapModel) {
+    this.mapModel = mapModel;
+  }
+  
+  latLonToUTM(point) {
+    const utm = latLonToUTM(point.lat, point.lon, this.zone);
+    return { x: utm.x, y: utm.y, z: point.alt || 0 };
+  }
+  
+  utmToLatLon(point) {
+    const { lat, lon } = utmToLatLon(point.x, point.y, this.zone, this.hemisphere);
+    return { lat, lon, alt: point.z || 0 };
+  }
+  
+  utmToENU(point) {
+    return {
+      east: point.x - this.origin.x,
+      north: point.y - this.origin.y,
+      up: (point.z || 0) - this.origin.z
+    };
+  }
+  
+  enuToUTM(point) {
+    return {
+      x: this.origin.x + point.east,
+      y: this.origin.y + point.north,
+      z: this.origin.z + (point.up || 0)
+    };
+  }
+  
+  /**
+   * Convert local ENU meters to a scene position
+   * @param {Object} point - { east, north, up }
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} - Scene position
+   */
+  enuToWorld(point, target = new THREE.Vector3()) {
+    const angle = toRadians(this.northAngle);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    return target.set(
+      this.worldOrigin.x + point.east * cos + point.north * sin,
+      this.worldOrigin.y + (point.up || 0),
+      this.worldOrigin.z + point.east * sin - point.north * cos
+    );
+  }
+  
+  /**
+   * Convert a scene position to local ENU meters
+   * @param {THREE.Vector3} point - Scene position
+   * @returns {Object} - { east, north, up }
+   */
+  worldToENU(point) {
+    const angle = toRadians(this.northAngle);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = point.x - this.worldOrigin.x;
+    const dz = point.z - this.worldOrigin.z;
+    
+    return {
+      east: dx * cos + dz * sin,
+      north: dx * sin - dz * cos,
+      up: point.y - this.worldOrigin.y
+    };
+  }
+  
+  utmToWorld(point, target) {
+    return this.enuToWorld(this.utmToENU(point), target);
+  }
+  
+  worldToUTM(point) {
+    return this.enuToUTM(this.worldToENU(point));
+  }
+  
+  /**
+   * Scene position of a UTM point on the ground, ignoring its own elevation
+   * @param {Object} point - UTM point { x, y }
+   * @param {THREE.Vector3} target - Vector to write into
+   * @returns {THREE.Vector3} - Scene position
+   */
+  utmToGround(point, target) {
+    return this.utmToWorld({ x: point.x, y: point.y, z: this.groundElevation(point) }, target);
+  }
+  
+  /**
+   * Convert a UTM point to pixels of a map canvas drawn from the map model
+   * @param {Object} point - UTM point { x, y }
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Object|null} - { x, y } pixels, or null when the map has no bounds yet
+   */
+  utmToMap(point, width, height) {
+    const transform = this.getMapTransform(width, height);
+    return transform ? transform.toPixel(point.x, point.y) : null;
+  }
+  
+  /**
+   * Convert pixels of a map canvas to a UTM point
+   * @param {Object} point - Pixels { x, y }
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Object|null} - UTM point { x, y }, or null when the map has no bounds yet
+   */
+  mapToUTM(point, width, height) {
+    const transform = this.getMapTransform(width, height);
+    return transform ? transform.toMap(point.x, point.y) : null;
+  }
+  
+  getMapTransform(width, height) {
+    if (!this.mapModel) {
+      throw new Error('CoordinateService: map conversions need a map model');
+    }
+    return this.mapModel.getTransform(width, height);
+  }
+  
+  /**
+   * Convert a point from one space to another
+   * @param {Object} point - Point in the source space
+   * @param {string} from - Source space (see COORDINATE_SPACES)
+   * @param {string} to - Target space
+   * @param {Object} options - { width, height } of the map canvas for the 'map' space
+   * @returns {Object|null} - Point in the target space (null when a map transform is unavailable)
+   */
+  convert(point, from, to, options = {}) {
+    const utm = this.toUTM(point, from, options);
+    return utm ? this.fromUTM(utm, to, options) : null;
+  }
+  
+  /**
+   * Convert a point in any space to UTM
+   * @param {Object} point - Point
+   * @param {string} space - Space of the point
+   * @param {Object} options - { width, height } for the 'map' space
+   * @returns {Object|null} - UTM point { x, y, z }
+   */
+  toUTM(point, space, options = {}) {
+    switch (space) {
+      case 'latlon': return this.latLonToUTM(point);
+      case 'utm': return { x: point.x, y: point.y, z: point.z || 0 };
+      case 'enu': return this.enuToUTM(point);
+      case 'world': return this.worldToUTM(point);
+      case 'map': return this.mapToUTM(point, options.width, options.height);
+      default: throw new Error(`CoordinateService: unknown coordinate space "${space}"`);
+    }
+  }
+  
+  /**
+   * Convert a UTM point to any space
+   * @param {Object} point - UTM point
+   * @param {string} space - Target space
+   * @param {Object} options - { width, height } for the 'map' space
+   * @returns {Object|null} - Point in the target space
+   */
+  fromUTM(point, space, options = {}) {
+    switch (space) {
+      case 'latlon': return this.utmToLatLon(point);
+      case 'utm': return { x: point.x, y: point.y, z: point.z || 0 };
+      case 'enu': return this.utmToENU(point);
+      case 'world': return this.utmToWorld(point);
+      case 'map': return this.utmToMap(point, options.width, options.height);
+      default: throw new Error(`CoordinateService: unknown coordinate space "${space}"`);
+    }
+  }
+  
+  /**
+   * Horizontal distance between two points of the same space, in meters
+   * @param {Object} a - First point
+   * @param {Object} b - Second point
+   * @param {string} space - Space of the points ('utm' by default)
+   * @param {Object} options - { width, height } for the 'map' space
+   * @returns {number} - Distance in meters
+   */
+  distance(a, b, space = 'utm', options = {}) {
+    const first = this.toUTM(a, space, options);
+    const second = this.toUTM(b, space, options);
+    return Math.hypot(second.x - first.x, second.y - first.y);
+  }
+  
+  /**
+   * Listen for changes of the origin, zone, scene anchor or ground elevation
+   * @param {Function} callback - Called with the service
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit() {
+    this.listeners.forEach(callback => callback(this));
+  }
+}
+
+export default CoordinateService;
@@ -0,0 +1,326 @@
+/**
+ * GeologySampling - Sample records for the geology task
+ *
+ * A sample is started at the astronaut's location (or a marked point), which
+ * also drops a 'sample' pin on the map. XRF spectrometer scans arriving over
+ * telemetry (TSS SPEC) are attached to the open sample, and the composition is
+ * checked against rock-of-interest thresholds. Records can be exported as JSON
+ * or CSV.
+ *
+ * Record:
+ * {
+ *   id, label, waypointId, x, y, note,
+ *   startedAt, scannedAt,                   (ms timestamps; scannedAt is null until scanned)
+ *   rockId, rockName,                       (as reported by the spectrometer)
+ *   composition: { SiO2, TiO2, ... },       (weight percent, null until scanned)
+ *   flags: [{ oxide, value, limit, direction: 'above' | 'below' }],
+ *   interesting                             (true when any oxide is flagged)
+ * }
+ */
+import { SPEC_OXIDES, specChannel } from './telemetry.js';
+
+// Rock-of-interest limits in weight percent: a rock is flagged when any oxide
+// is above its 'above' limit or below its 'below' limit
+export const DEFAULT_SAMPLE_THRESHOLDS = {
+  SiO2: { below: 10 },
+  TiO2: { above: 1 },
+  Al2O3: { above: 10 },
+  FeO: { above: 29 },
+  MnO: { above: 1 },
+  MgO: { above: 20 },
+  CaO: { above: 10 },
+  K2O: { above: 1 },
+  P2O3: { above: 1.5 },
+  other: { above: 50 }
+};
+
+// Quote a CSV field when needed
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class GeologySampling {
+  constructor(options = {}) {
+    const {
+      mapModel = null,
+      telemetry = null,
+      thresholds = DEFAULT_SAMPLE_THRESHOLDS
+    } = options;
+    
+    this.model = mapModel;
+    this.telemetry = telemetry;
+    this.thresholds = { ...thresholds };
+    
+    this.samples = [];
+    this.activeId = null;
+    
+    // Last spectrometer reading seen, to tell a new scan from a repeated poll
+    this.lastScanKey = null;
+    
+    this.listeners = new Set();
+    this.unsubscribers = [];
+  }
+  
+  /**
+   * Start a sample record, closing the open one
+   * @param {Object} options - { point: { x, y } in map coordinates (defaults to
+   *   the astronaut's position), note, now: time in ms }
+   * @returns {Object|null} - The new record, or null without a location
+   */
+  startSample(options = {}) {
+    const {
+      point = this.model ? this.model.position : null,
+      note = '',
+      now = Date.now()
+    } = options;
+    
+    if (!point) {
+      console.warn('GeologySampling: cannot start a sample without a location');
+      return null;
+    }
+    
+    this.finishSample();
+    
+    const number = this.samples.length + 1;
+    const sample = {
+      id: `sample-${now}-${number}`,
+      label: `Sample ${number}`,
+      waypointId: null,
+      x: point.x,
+      y: point.y,
+      note,
+      startedAt: now,
+      scannedAt: null,
+      rockId: null,
+      rockName: '',
+      composition: null,
+      flags: [],
+      interesting: false
+    };
+    
+    // Pin the sample on the map
+    if (this.model) {
+      const waypoint = this.model.addWaypoint({
+        label: sample.label,
+        type: 'sample',
+        x: sample.x,
+        y: sample.y,
+        note,
+        markedAt: now,
+        sampleId: sample.id
+      });
+      sample.waypointId = waypoint.id;
+    }
+    
+    this.samples.push(sample);
+    this.activeId = sample.id;
+    this.emit('started', sample);
+    return sample;
+  }
+  
+  /**
+   * Close the open sample; later scans start a new one
+   */
+  finishSample() {
+    const sample = this.getActive();
+    if (!sample) return;
+    
+    this.activeId = null;
+    this.emit('finished', sample);
+  }
+  
+  getActive() {
+    return this.getSample(this.activeId);
+  }
+  
+  getSample(id) {
+    return this.samples.find(sample => sample.id === id) || null;
+  }
+  
+  /**
+   * Attach a spectrometer scan to the open sample. A scan of another rock than
+   * the one already recorded, or with no sample open, starts a new sample.
+   * @param {Object} spec - { id, name, data: { SiO2, TiO2, ... } } as in the TSS SPEC document
+   * @param {number} now - Time in ms
+   * @returns {Object|null} - The scanned record
+   */
+  ingest(spec, now = Date.now()) {
+    const active = this.getActive();
+    const sameRock = active && (!active.composition || active.rockId === spec.id);
+    const sample = sameRock ? active : this.startSample({ now });
+    if (!sample) return null;
+    
+    const composition = Object.fromEntries(SPEC_OXIDES.map(oxide => {
+      const value = Number(spec.data ? spec.data[oxide] : undefined);
+      return [oxide, Number.isFinite(value) ? value : 0];
+    }));
+    
+    sample.rockId = spec.id === undefined ? null : spec.id;
+    sample.rockName = spec.name || '';
+    sample.composition = composition;
+    sample.scannedAt = now;
+    this.evaluate(sample);
+    
+    this.emit('scanned', sample);
+    return sample;
+  }
+  
+  /**
+   * Flag the oxides of a composition that cross the thresholds
+   * @param {Object} composition - Weight percent per oxide
+   * @returns {Array} - Flags { oxide, value, limit, direction }
+   */
+  checkComposition(composition) {
+    const flags = [];
+    
+    Object.entries(this.thresholds).forEach(([oxide, limits]) => {
+      const value = composition[oxide];
+      if (typeof value !== 'number') return;
+      
+      if (limits.above !== undefined && value > limits.above) {
+        flags.push({ oxide, value, limit: limits.above, direction: 'above' });
+      }
+      if (limits.below !== undefined && value < limits.below) {
+        flags.push({ oxide, value, limit: limits.below, direction: 'below' });
+      }
+    });
+    
+    return flags;
+  }
+  
+  // Recompute the flags of a scanned record
+  evaluate(sample) {
+    sample.flags = sample.composition ? this.checkComposition(sample.composition) : [];
+    sample.interesting = sample.flags.length > 0;
+  }
+  
+  /**
+   * Replace the rock-of-interest thresholds and re-check scanned samples
+   * @param {Object} thresholds - Map of oxide to { above, below } in weight percent
+   */
+  setThresholds(thresholds) {
+    this.thresholds = { ...thresholds };
+    this.samples.forEach(sample => this.evaluate(sample));
+    this.emit('thresholds', this.samples);
+  }
+  
+  /**
+   * Change fields of a record (e.g. its note)
+   * @param {string} id - Sample id
+   * @param {Object} changes - Fields to change
+   */
+  updateSample(id, changes) {
+    const sample = this.getSample(id);
+    if (!sample) return;
+    
+    Object.assign(sample, changes);
+    if (this.model && sample.waypointId && changes.note !== undefined) {
+      this.model.updateWaypoint(sample.waypointId, { note: sample.note });
+    }
+    this.emit('updated', sample);
+  }
+  
+  /**
+   * Serialize the records
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Object} - { filename, type, content }
+   */
+  export(format = 'json') {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    if (format === 'csv') {
+      const columns = ['id', 'label', 'x', 'y', 'startedAt', 'scannedAt', 'rockId', 'rockName', ...SPEC_OXIDES, 'interesting', 'flags', 'note'];
+      const rows = this.samples.map(sample => [
+        sample.id,
+        sample.label,
+        sample.x,
+        sample.y,
+        new Date(sample.startedAt).toISOString(),
+        sample.scannedAt ? new Date(sample.scannedAt).toISOString() : '',
+        sample.rockId,
+        sample.rockName,
+        ...SPEC_OXIDES.map(oxide => sample.composition ? sample.composition[oxide] : ''),
+        sample.interesting,
+        sample.flags.map(flag => `${flag.oxide} ${flag.direction} ${flag.limit}`).join('; '),
+        sample.note
+      ]);
+      
+      return {
+        filename: `samples-${stamp}.csv`,
+        type: 'text/csv',
+        content: [columns, ...rows].map(row => row.map(csvField).join(',')).join('\n')
+      };
+    }
+    
+    if (format !== 'json') {
+      throw new Error(`GeologySampling: unknown export format "${format}"`);
+    }
+    
+    return {
+      filename: `samples-${stamp}.json`,
+      type: 'application/json',
+      content: JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        thresholds: this.thresholds,
+        samples: this.samples
+      }, null, 2)
+    };
+  }
+  
+  /**
+   * Ingest spectrometer scans published by a telemetry service
+   * @param {TelemetryService} telemetry - Service carrying the spec* channels
+   */
+  attach(telemetry = this.telemetry) {
+    this.detach();
+    this.telemetry = telemetry;
+    if (!telemetry) return;
+    
+    this.unsubscribers.push(telemetry.subscribe('specId', () => this.checkScan()));
+  }
+  
+  detach() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.lastScanKey = null;
+  }
+  
+  // Ingest the spectrometer reading when it differs from the last one
+  checkScan() {
+    const spec = {
+      id: this.telemetry.getValue('specId'),
+      name: this.telemetry.getValue('specName') || '',
+      data: Object.fromEntries(SPEC_OXIDES.map(oxide => [oxide, this.telemetry.getValue(specChannel(oxide))]))
+    };
+    
+    // TSS repeats the last scan on every poll
+    const key = JSON.stringify(spec);
+    const previous = this.lastScanKey;
+    this.lastScanKey = key;
+    if (key === previous) return;
+    
+    // The first reading was taken before we connected, and an empty one is no scan
+    const empty = SPEC_OXIDES.every(oxide => !spec.data[oxide]);
+    if (previous === null || empty) return;
+    
+    this.ingest(spec);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  /**
+   * Listen for sample changes
+   * @param {Function} callback - Called with (type, detail): 'started', 'scanned',
+   *   'finished' and 'updated' with the record, 'thresholds' with all records
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default GeologySampling;
@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+
+/**
+ * GestureRecognizer - Recognizes hand-tracking gestures and maps them to commands
+ *
+ * Gestures, recognized per hand:
+ *   pinch       - short thumb/index pinch (reported once no second pinch follows)
+ *   pinchHold   - pinch held for holdTime
+ *   doublePinch - two short pinches within doubleInterval
+ *   fist        - all four fingers curled
+ *   openPalm    - all fingers extended, palm not facing up
+ *   palmUp      - all fingers extended, palm facing up (menu)
+ *   swipeLeft, swipeRight, swipeUp, swipeDown - fast open-hand movement
+ *
+ * Hands are identified by XRInputSource.handedness ('left' or 'right'),
+ * not by their index in the session's input sources. The recognizer's own
+ * binding table is optional: CommandRegistry.attachGestures resolves gestures
+ * through the registry's bindings instead.
+ */
+
+export const GESTURES = [
+  'pinch', 'pinchHold', 'doublePinch', 'fist', 'openPalm', 'palmUp',
+  'swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown'
+];
+
+// Binding table: '<hand>.<gesture>' -> command id, where hand is 'left', 'right' or 'any'
+export const DEFAULT_GESTURE_BINDINGS = {
+  'left.pinch': 'ui.toggleActions',
+  'right.pinch': 'ui.toggleMap',
+  'right.doublePinch': 'procedure.complete',
+  'right.pinchHold': 'ui.toggleProcedures',
+  'right.swipeLeft': 'procedure.next',
+  'right.swipeRight': 'procedure.previous',
+  'left.palmUp': 'ui.toggleActions',
+  'left.pinchHold': 'map.markPoint',
+  'left.doublePinch': 'headlamp.toggle',
+  'any.fist': 'alerts.acknowledge'
+};
+
+// Thresholds (meters, milliseconds)
+export const DEFAULT_GESTURE_THRESHOLDS = {
+  pinchStart: 0.02,
+  pinchEnd: 0.035,
+  holdTime: 600,
+  doubleInterval: 350,
+  curledDistance: 0.09,
+  extendedDistance: 0.13,
+  palmUpDot: 0.7,
+  poseTime: 300,
+  swipeDistance: 0.18,
+  swipeTime: 300,
+  swipeCooldown: 700
+};
+
+const FINGER_TIPS = ['index-finger-tip', 'middle-finger-tip', 'ring-finger-tip', 'pinky-finger-tip'];
+
+// Position of a tracked joint in world space, or null when not tracked
+function getJointPosition(hand, name, target = new THREE.Vector3()) {
+  const joint = hand.joints && hand.joints[name];
+  if (!joint || !joint.visible) return null;
+  return joint.getWorldPosition(target);
+}
+
+class GestureRecognizer {
+  constructor(renderer, options = {}) {
+    const {
+      hands = [renderer.xr.getHand(0), renderer.xr.getHand(1)],
+      scene = null,
+      camera = null,
+      bindings = DEFAULT_GESTURE_BINDINGS,
+      thresholds = {}
+    } = options;
+    
+    this.renderer = renderer;
+    this.camera = camera;
+    this.bindings = { ...bindings };
+    this.thresholds = { ...DEFAULT_GESTURE_THRESHOLDS, ...thresholds };
+    this.listeners = new Set();
+    
+    this.hands = hands.map(hand => this.createHandState(hand, scene));
+    
+    console.log('GestureRecognizer initialized');
+  }
+  
+  // Per-hand tracking state; handedness comes from the XRInputSource on connect
+  createHandState(hand, scene) {
+    const state = {
+      hand,
+      handedness: null,
+      pinching: false,
+      pinchStart: 0,
+      holdFired: false,
+      pendingPinch: 0,
+      pose: 'none',
+      poseCandidate: 'none',
+      poseSince: 0,
+      history: [],
+      lastSwipe: 0,
+      indicator: null
+    };
+    
+    hand.addEventListener('connected', (event) => {
+      state.handedness = event.data.handedness;
+      console.log(`Hand connected: ${state.handedness}`);
+    });
+    
+    hand.addEventListener('disconnected', () => {
+      this.resetHand(state);
+      state.handedness = null;
+    });
+    
+    // Visual indicator at the pinch point
+    if (scene) {
+      state.indicator = new THREE.Mesh(
+        new THREE.SphereGeometry(0.01, 16, 16),
+        new THREE.MeshBasicMaterial({ color: 0x00FFFF, transparent: true, opacity: 0.7 })
+      );
+      state.indicator.visible = false;
+      scene.add(state.indicator);
+    }
+    
+    return state;
+  }
+  
+  resetHand(state) {
+    state.pinching = false;
+    state.holdFired = false;
+    state.pendingPinch = 0;
+    state.pose = 'none';
+    state.poseCandidate = 'none';
+    state.history = [];
+    if (state.indicator) state.indicator.visible = false;
+  }
+  
+  /**
+   * Bind a gesture to a command
+   * @param {string} gesture - Gesture name (see GESTURES)
+   * @param {string|null} command - Command id, or null to remove the binding
+   * @param {string} hand - 'left', 'right' or 'any'
+   */
+  setBinding(gesture, command, hand = 'any') {
+    if (!GESTURES.includes(gesture)) {
+      throw new Error(`GestureRecognizer: unknown gesture "${gesture}"`);
+    }
+    
+    const key = `${hand}.${gesture}`;
+    if (command) {
+      this.bindings[key] = command;
+    } else {
+      delete this.bindings[key];
+    }
+  }
+  
+  /**
+   * Replace the whole binding table
+   * @param {Object} bindings - Map of '<hand>.<gesture>' to command id
+   */
+  setBindings(bindings) {
+    this.bindings = { ...bindings };
+  }
+  
+  /**
+   * Get the command bound to a gesture, preferring a hand-specific binding
+   * @param {string} handedness - 'left' or 'right'
+   * @param {string} gesture - Gesture name
+   * @returns {string|null} - Command id
+   */
+  getCommand(handedness, gesture) {
+    return this.bindings[`${handedness}.${gesture}`] || this.bindings[`any.${gesture}`] || null;
+  }
+  
+  /**
+   * Listen for recognized gestures
+   * @param {Function} callback - Called with { gesture, hand, command, position, timestamp };
+   *   command is null when the gesture is not bound
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(state, gesture, position, now) {
+    const event = {
+      gesture,
+      hand: state.handedness,
+      command: this.getCommand(state.handedness, gesture),
+      position: position ? position.clone() : null,
+      timestamp: now
+    };
+    
+    console.log(`Gesture: ${state.handedness} ${gesture}${event.command ? ` -> ${event.command}` : ''}`);
+    this.listeners.forEach(callback => callback(event));
+  }
+  
+  /**
+   * Recognize gestures from the current joint poses (call once per frame)
+   * @param {number} now - Current time in ms
+   */
+  update(now = performance.now()) {
+    if (!this.renderer.xr.isPresenting) return;
+    
+    this.hands.forEach(state => {
+      if (!state.handedness) return;
+      
+      const wrist = getJointPosition(state.hand, 'wrist');
+      const thumbTip = getJointPosition(state.hand, 'thumb-tip');
+      const indexTip = getJointPosition(state.hand, 'index-finger-tip');
+      if (!wrist || !thumbTip || !indexTip) {
+        this.resetHand(state);
+        return;
+      }
+      
+      this.updatePinch(state, thumbTip, indexTip, now);
+      this.updatePose(state, wrist, now);
+      this.updateSwipe(state, wrist, now);
+    });
+  }
+  
+  // Pinch, pinch-hold and double-pinch, with hysteresis on the pinch distance
+  updatePinch(state, thumbTip, indexTip, now) {
+    const { pinchStart, pinchEnd, holdTime, doubleInterval } = this.thresholds;
+    const distance = thumbTip.distanceTo(indexTip);
+    const midpoint = thumbTip.clone().add(indexTip).multiplyScalar(0.5);
+    
+    if (!state.pinching && distance < pinchStart) {
+      state.pinching = true;
+      state.pinchStart = now;
+      state.holdFired = false;
+    } else if (state.pinching && distance > pinchEnd) {
+      state.pinching = false;
+      
+      if (!state.holdFired) {
+        // A second short pinch soon after the first is a double pinch
+        if (state.pendingPinch && now - state.pendingPinch <= doubleInterval) {
+          state.pendingPinch = 0;
+          this.emit(state, 'doublePinch', midpoint, now);
+        } else {
+          state.pendingPinch = now;
+        }
+      }
+    }
+    
+    if (state.pinching && !state.holdFired && now - state.pinchStart >= holdTime) {
+      state.holdFired = true;
+      state.pendingPinch = 0;
+      this.emit(state, 'pinchHold', midpoint, now);
+    }
+    
+    // A single pinch is only reported once no second pinch can follow
+    if (state.pendingPinch && !state.pinching && now - state.pendingPinch > doubleInterval) {
+      state.pendingPinch = 0;
+      this.emit(state, 'pinch', midpoint, now);
+    }
+    
+    if (state.indicator) {
+      state.indicator.visible = state.pinching;
+      state.indicator.position.copy(midpoint);
+    }
+  }
+  
+  // Classify the hand pose from fingertip distances to the wrist and the palm normal
+  classifyPose(state, wrist) {
+    const { curledDistance, extendedDistance, palmUpDot } = this.thresholds;
+    
+    const distances = FINGER_TIPS.map(name => {
+      const tip = getJointPosition(state.hand, name);
+      return tip ? tip.distanceTo(wrist) : null;
+    });
+    if (distances.includes(null)) return 'none';
+    
+    if (distances.every(distance => distance < curledDistance)) return 'fist';
+    if (!distances.every(distance => distance > extendedDistance)) return 'none';
+    if (state.pinching) return 'none';
+    
+    const indexBase = getJointPosition(state.hand, 'index-finger-metacarpal');
+    const pinkyBase = getJointPosition(state.hand, 'pinky-finger-metacarpal');
+    if (!indexBase || !pinkyBase) return 'openPalm';
+    
+    // Palm normal points out of the palm; the cross product flips for the left hand
+    const normal = new THREE.Vector3().crossVectors(indexBase.sub(wrist), pinkyBase.sub(wrist)).normalize();
+    if (state.handedness === 'left') normal.negate();
+    
+    return normal.y > palmUpDot ? 'palmUp' : 'openPalm';
+  }
+  
+  // Report a pose once it has been held steadily for poseTime
+  updatePose(state, wrist, now) {
+    const pose = this.classifyPose(state, wrist);
+    
+    if (pose !== state.poseCandidate) {
+      state.poseCandidate = pose;
+      state.poseSince = now;
+      return;
+    }
+    
+    if (pose !== state.pose && now - state.poseSince >= this.thresholds.poseTime) {
+      state.pose = pose;
+      if (pose !== 'none') {
+        this.emit(state, pose, wrist, now);
+      }
+    }
+  }
+  
+  // Swipes: wrist displacement over the last swipeTime, in the camera's frame
+  updateSwipe(state, wrist, now) {
+    const { swipeDistance, swipeTime, swipeCooldown } = this.thresholds;
+    
+    state.history.push({ position: wrist.clone(), time: now });
+    while (state.history.length && now - state.history[0].time > swipeTime) {
+      state.history.shift();
+    }
+    
+    // Only open, unpinched hands swipe
+    if (state.pinching || state.poseCandidate === 'fist' || now - state.lastSwipe < swipeCooldown) return;
+    if (state.history.length < 2) return;
+    
+    const delta = wrist.clone().sub(state.history[0].position);
+    if (this.camera) {
+      delta.applyQuaternion(this.camera.getWorldQuaternion(new THREE.Quaternion()).invert());
+    }
+    
+    const horizontal = Math.abs(delta.x) >= Math.abs(delta.y);
+    const distance = horizontal ? Math.abs(delta.x) : Math.abs(delta.y);
+    if (distance < swipeDistance) return;
+    
+    const gesture = horizontal
+      ? (delta.x < 0 ? 'swipeLeft' : 'swipeRight')
+      : (delta.y < 0 ? 'swipeDown' : 'swipeUp');
+    
+    state.lastSwipe = now;
+    state.history = [];
+    this.emit(state, gesture, wrist, now);
+  }
+}
+
+export default GestureRecognizer;
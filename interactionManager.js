@@ -0,0 +1,374 @@
+import * as THREE from 'three';
+
+/**
+ * InteractionManager - Raycast pointer interaction for SpaceUI components
+ *
+ * Rays come from the mouse on desktop and from XR controller / hand target
+ * rays in VR. An object is interactive when it (or an ancestor) has one of:
+ *   setState()            - buttons from SpaceUI.createButton (hover/active colors)
+ *   userData.onClick      - click callback, called with the object
+ *   userData.onClose      - close callback (modal close meshes)
+ *   userData.isActionButton - action menu buttons, reported through onAction
+ *
+ * Rays that miss the UI can also select points on terrain objects: a
+ * controller select, or a shift-click with the mouse, reports the hit point
+ * through onTerrainSelect.
+ */
+
+/**
+ * Find the interactive object for a hit mesh by walking up its parents
+ * @param {THREE.Object3D} object - Hit object
+ * @returns {THREE.Object3D|null} - Interactive object or null
+ */
+export function findInteractive(object) {
+  let current = object;
+  while (current) {
+    const data = current.userData || {};
+    if (current.setState || data.onClick || data.onClose || data.isActionButton) {
+      return current;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * Check that an object and all of its ancestors are visible
+ * @param {THREE.Object3D} object - Object to test
+ * @returns {boolean} - True when the object is rendered
+ */
+export function isVisible(object) {
+  let current = object;
+  while (current) {
+    if (!current.visible) return false;
+    current = current.parent;
+  }
+  return true;
+}
+
+/**
+ * Set the visual state of an interactive object
+ * @param {THREE.Object3D} target - Interactive object
+ * @param {string} state - 'normal', 'hover' or 'active'
+ */
+export function applyInteractionState(target, state) {
+  // Buttons manage their own colors
+  if (target.setState) {
+    target.setState(state);
+    return;
+  }
+  
+  // Other meshes grow slightly on hover and shrink when pressed
+  if (!target.userData.baseScale) {
+    target.userData.baseScale = target.scale.clone();
+  }
+  const factor = state === 'hover' ? 1.08 : state === 'active' ? 0.95 : 1;
+  target.scale.copy(target.userData.baseScale).multiplyScalar(factor);
+}
+
+/**
+ * Activate an interactive object (fire its callbacks)
+ * @param {THREE.Object3D} target - Interactive object
+ * @param {Function} onAction - Called with the action id for action buttons without onClick
+ */
+export function activateInteractive(target, onAction = null) {
+  const data = target.userData;
+  
+  if (data.onClick) {
+    data.onClick(target);
+  } else if (data.isActionButton && onAction) {
+    onAction(data.id, target);
+  }
+  
+  if (data.onClose) {
+    data.onClose(target);
+  }
+}
+
+class InteractionManager {
+  constructor(renderer, camera, options = {}) {
+    const {
+      roots = [],
+      controls = null,
+      onAction = null,
+      terrain = [],
+      onTerrainSelect = null,
+      rayLength = 5,
+      terrainRayLength = 100
+    } = options;
+    
+    this.renderer = renderer;
+    this.camera = camera;
+    this.controls = controls;
+    
+    // While locked (e.g. a replay drives the camera) the controls are left alone
+    this.controlsLocked = false;
+    this.onAction = onAction;
+    this.rayLength = rayLength;
+    
+    // Object trees searched for interactive objects
+    this.roots = [...roots];
+    
+    // Ground objects whose points can be selected
+    this.terrain = [...terrain];
+    this.onTerrainSelect = onTerrainSelect;
+    this.terrainRayLength = terrainRayLength;
+    
+    this.raycaster = new THREE.Raycaster();
+    this.tempMatrix = new THREE.Matrix4();
+    
+    // Pointer state per source: mouse plus one per XR controller
+    this.pointers = new Map();
+    
+    this.setupMouse();
+    this.setupControllers();
+    
+    console.log('InteractionManager initialized');
+  }
+  
+  /**
+   * Add an object tree whose descendants can be interacted with
+   * @param {THREE.Object3D} root - Root object (e.g. SpaceUI.root)
+   */
+  addRoot(root) {
+    if (!this.roots.includes(root)) {
+      this.roots.push(root);
+    }
+  }
+  
+  removeRoot(root) {
+    this.roots = this.roots.filter(candidate => candidate !== root);
+  }
+  
+  /**
+   * Set the objects whose surface points can be selected
+   * @param {Array} objects - Terrain meshes
+   */
+  setTerrain(objects) {
+    this.terrain = [...objects];
+  }
+  
+  /**
+   * Get the terrain point a pointer is aiming at
+   * @param {string} handedness - 'left' or 'right' for a controller, or null for any pointer
+   * @returns {THREE.Vector3|null} - World point
+   */
+  getTerrainPoint(handedness = null) {
+    const pointer = [...this.pointers.values()].find(candidate =>
+      candidate.terrainHit && (!handedness || candidate.handedness === handedness)
+    );
+    return pointer ? pointer.terrainHit.point.clone() : null;
+  }
+  
+  // Create pointer state for a source
+  createPointer(id) {
+    const pointer = {
+      id,
+      origin: new THREE.Vector3(),
+      direction: new THREE.Vector3(0, 0, -1),
+      enabled: false,
+      pressed: false,
+      hovered: null,
+      pressedTarget: null,
+      pressedTerrain: null,
+      hit: null,
+      terrainHit: null
+    };
+    this.pointers.set(id, pointer);
+    return pointer;
+  }
+  
+  // Desktop mouse pointer
+  setupMouse() {
+    const element = this.renderer.domElement;
+    const mouse = this.createPointer('mouse');
+    this.mouseCoords = new THREE.Vector2();
+    
+    element.addEventListener('pointermove', (event) => {
+      const rect = element.getBoundingClientRect();
+      this.mouseCoords.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      mouse.enabled = true;
+    });
+    
+    element.addEventListener('pointerleave', () => {
+      mouse.enabled = false;
+    });
+    
+    element.addEventListener('pointerdown', (event) => this.press(mouse, event.shiftKey));
+    element.addEventListener('pointerup', () => this.release(mouse));
+  }
+  
+  // XR controllers (also provide the target ray of tracked hands)
+  setupControllers() {
+    this.controllers = [0, 1].map(index => {
+      const controller = this.renderer.xr.getController(index);
+      const pointer = this.createPointer(`controller-${index}`);
+      pointer.controller = controller;
+      
+      // Visible ray
+      const rayGeometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(0, 0, -1)
+      ]);
+      const ray = new THREE.Line(rayGeometry, new THREE.LineBasicMaterial({
+        color: 0x00FFFF,
+        transparent: true,
+        opacity: 0.6
+      }));
+      ray.name = 'interaction-ray';
+      ray.scale.z = this.rayLength;
+      controller.add(ray);
+      pointer.ray = ray;
+      
+      controller.addEventListener('connected', (event) => {
+        pointer.enabled = true;
+        pointer.handedness = event.data.handedness;
+      });
+      controller.addEventListener('disconnected', () => {
+        pointer.enabled = false;
+        this.setHovered(pointer, null);
+      });
+      controller.addEventListener('selectstart', () => this.press(pointer));
+      controller.addEventListener('selectend', () => this.release(pointer));
+      
+      return controller;
+    });
+  }
+  
+  // Press a pointer; terrain selection needs selectTerrain (shift with the mouse)
+  press(pointer, selectTerrain = pointer.id !== 'mouse') {
+    pointer.pressed = true;
+    pointer.pressedTarget = pointer.hovered;
+    pointer.pressedTerrain = selectTerrain && pointer.terrainHit ? pointer.terrainHit.point.clone() : null;
+    
+    if (pointer.hovered) {
+      applyInteractionState(pointer.hovered, 'active');
+    }
+  }
+  
+  release(pointer) {
+    const target = pointer.pressedTarget;
+    const terrainPoint = pointer.pressedTerrain;
+    pointer.pressed = false;
+    pointer.pressedTarget = null;
+    pointer.pressedTerrain = null;
+    
+    // Select a terrain point when released near where it was pressed (not after a drag)
+    if (!target && terrainPoint && pointer.terrainHit && this.onTerrainSelect &&
+        pointer.terrainHit.point.distanceTo(terrainPoint) < 0.5) {
+      this.onTerrainSelect(terrainPoint, pointer);
+      return;
+    }
+    
+    if (!target) return;
+    
+    applyInteractionState(target, pointer.hovered === target ? 'hover' : 'normal');
+    
+    // Click only when released over the object that was pressed
+    if (pointer.hovered === target) {
+      this.activate(target);
+    }
+  }
+  
+  /**
+   * Fire the callbacks of an interactive object
+   * @param {THREE.Object3D} target - Interactive object
+   */
+  activate(target) {
+    console.log('UI element activated:', target.name || target.userData.id);
+    activateInteractive(target, this.onAction);
+  }
+  
+  // Change the hovered object of a pointer, updating visual state
+  setHovered(pointer, target) {
+    if (pointer.hovered === target) return;
+    
+    if (pointer.hovered && !this.isHoveredByOther(pointer, pointer.hovered)) {
+      applyInteractionState(pointer.hovered, 'normal');
+    }
+    
+    pointer.hovered = target;
+    
+    if (target) {
+      applyInteractionState(target, pointer.pressed && pointer.pressedTarget === target ? 'active' : 'hover');
+    }
+  }
+  
+  isHoveredByOther(pointer, target) {
+    return [...this.pointers.values()].some(other => other !== pointer && other.hovered === target);
+  }
+  
+  // Cast a ray and return the closest visible hit if it is interactive
+  // (a panel or modal background in front of a button blocks it)
+  intersect(origin, direction) {
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = this.rayLength;
+    
+    const hit = this.raycaster.intersectObjects(this.roots, true)
+      .find(candidate => isVisible(candidate.object));
+    if (!hit) return null;
+    
+    const target = findInteractive(hit.object);
+    return target ? { target, point: hit.point, distance: hit.distance } : null;
+  }
+  
+  // Cast a ray against the terrain objects
+  intersectTerrain(origin, direction) {
+    if (this.terrain.length === 0) return null;
+    
+    this.raycaster.set(origin, direction);
+    this.raycaster.far = this.terrainRayLength;
+    
+    const hit = this.raycaster.intersectObjects(this.terrain, true)[0];
+    return hit ? { point: hit.point, distance: hit.distance } : null;
+  }
+  
+  /**
+   * Update hover state for every pointer (call once per frame)
+   */
+  update() {
+    const isVR = this.renderer.xr.isPresenting;
+    
+    this.pointers.forEach(pointer => {
+      if (pointer.id === 'mouse') {
+        if (isVR || !pointer.enabled) {
+          this.setHovered(pointer, null);
+          pointer.terrainHit = null;
+          return;
+        }
+        this.raycaster.setFromCamera(this.mouseCoords, this.camera);
+        pointer.origin.copy(this.raycaster.ray.origin);
+        pointer.direction.copy(this.raycaster.ray.direction);
+      } else {
+        if (!isVR || !pointer.enabled) {
+          this.setHovered(pointer, null);
+          pointer.terrainHit = null;
+          return;
+        }
+        this.tempMatrix.identity().extractRotation(pointer.controller.matrixWorld);
+        pointer.origin.setFromMatrixPosition(pointer.controller.matrixWorld);
+        pointer.direction.set(0, 0, -1).applyMatrix4(this.tempMatrix);
+      }
+      
+      pointer.hit = this.intersect(pointer.origin, pointer.direction);
+      pointer.terrainHit = pointer.hit ? null : this.intersectTerrain(pointer.origin, pointer.direction);
+      this.setHovered(pointer, pointer.hit ? pointer.hit.target : null);
+      
+      // Shorten the visible ray to the hit point
+      if (pointer.ray) {
+        pointer.ray.scale.z = pointer.hit ? pointer.hit.distance : this.rayLength;
+      }
+    });
+    
+    // Keep orbit controls from dragging the camera while pointing at UI
+    if (this.controls && !this.controlsLocked) {
+      const mouse = this.pointers.get('mouse');
+      this.controls.enabled = !(mouse.hovered || mouse.pressedTarget);
+    }
+  }
+}
+
+export default InteractionManager;
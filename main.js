@@ -5,6 +5,28 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 // Import SpaceEnvironment and SpaceUI
 import SpaceEnvironment from './spaceEnvironment.js';
 import SpaceUI from './SpaceUI.js';
+import TelemetryService, { createTelemetrySource, formatDuration, SPEC_OXIDES } from './telemetry.js';
+import CautionWarningEngine from './cautionWarning.js';
+import ProcedureManager from './procedures.js';
+import { loadProcedure } from './procedureLoader.js';
+import InteractionManager from './interactionManager.js';
+import PokeInteraction from './pokeInteraction.js';
+import GestureRecognizer from './gestureRecognizer.js';
+import CommandRegistry, { DEFAULT_BINDINGS } from './commandRegistry.js';
+import VoiceCommandController, { WebSpeechRecognizer, TextInputRecognizer } from './voiceCommands.js';
+import MapModel, { loadMap, PIN_TYPES } from './mapModel.js';
+import CoordinateService from './coordinateService.js';
+import RoutePlanner from './routePlanner.js';
+import NavigationTracker from './navigationTracker.js';
+import ConsumablesEstimator, { WALK_BACK_RULE } from './consumables.js';
+import GeologySampling from './geologySampling.js';
+import PhotoCapture from './photoCapture.js';
+import SessionRecorder, { SessionPlayer } from './sessionRecorder.js';
+import Terrain, { loadTerrain } from './terrain.js';
+import SunModel, { DEFAULT_SITE, ROUTE_SHADOW_RULE } from './sunModel.js';
+
+// Extra battery drain of the helmet light, as a fraction of the suit's nominal consumption
+const HEADLAMP_LOAD = 0.25;
 
 class NASASuitsApp {
   constructor() {
@@ -63,6 +85,42 @@ class NASASuitsApp {
       // Initialize UI components
       this.initializeUI();
       
+      // Connect suit telemetry to the HUD
+      this.setupTelemetry();
+      
+      // Load the EVA map and follow the astronaut's position on it
+      this.setupMap();
+      
+      // Geology samples and spectrometer scans
+      this.setupGeology();
+      
+      // Flag out-of-limit telemetry
+      this.setupCautionWarning();
+      
+      // Sunlight for the site and date, and warnings for routes through lasting shadow
+      this.setupSun();
+      
+      // Load procedures and their checklist modal
+      this.setupProcedures();
+      
+      // Photos of the view, tagged with position, time and procedure step
+      this.setupPhotos();
+      
+      // Commands and their keyboard, button and DOM bindings
+      this.setupCommands();
+      
+      // Point-and-click for HUD buttons (mouse and XR controller rays)
+      this.setupInteraction();
+      
+      // Hand gestures mapped to commands
+      this.setupGestures();
+      
+      // Spoken commands for hands-busy operations
+      this.setupVoice();
+      
+      // Record EVA sessions and replay them for debriefing
+      this.setupSession();
+      
       // Setup VR session event listeners
       this.setupVRSessionListeners();
       
@@ -88,54 +146,76 @@ class NASASuitsApp {
     
     // Create status panels at the top
     this.statusPanel = this.ui.createStatusPanels('status-panels', {
-      position: new THREE.Vector3(0, 0.3, -0.5),
       panels: [
-        { title: 'Battery', value: '75%', position: new THREE.Vector3(-0.5, 0, 0) },
-        { title: 'O2', value: '75%', position: new THREE.Vector3(0, 0, 0) },
-        { title: 'Pressure', value: '14.3psi', position: new THREE.Vector3(0.5, 0, 0) }
+        { title: 'Battery', value: '75%' },
+        { title: 'O2', value: '75%' },
+        { title: 'Pressure', value: '14.3psi' }
       ]
     });
     
     // Create middle info panels
     this.ui.createPanel('distance-panel', {
-      position: new THREE.Vector3(-0.3, 0, -0.5),
       texts: [
         { text: "100m", color: "#FFCC00", yOffset: 0.02 },
-        { text: "remaining", color: "#FFFFFF", yOffset: -0.02, fontSize: 0.02 }
+        { text: "remaining", color: "#FFFFFF", yOffset: -0.02, textSize: 0.02 }
       ]
     });
     
     this.ui.createPanel('time-panel', {
-      position: new THREE.Vector3(0.3, 0, -0.5),
       texts: [
         { text: "15:00 min", color: "#00FF66", yOffset: 0.02 },
-        { text: "to Destination", color: "#FFFFFF", yOffset: -0.02, fontSize: 0.02 }
+        { text: "to Destination", color: "#FFFFFF", yOffset: -0.02, textSize: 0.02 }
+      ]
+    });
+    
+    // Time left on the binding consumable and the margin for walking back to the airlock
+    this.ui.createPanel('consumables-panel', {
+      width: 0.5,
+      height: 0.14,
+      texts: [
+        { text: "Time Left --", color: "#00FF66", yOffset: 0.04 },
+        { text: "O2 --  Batt --  CO2 --", color: "#FFFFFF", yOffset: 0, textSize: 0.02 },
+        { text: "Walk back --", color: "#FFFFFF", yOffset: -0.04, textSize: 0.02 }
       ]
     });
     
+    this.ui.createRow('navigation-row', {
+      children: ['distance-panel', 'time-panel'],
+      gap: 0.2
+    });
+    
     // Create bottom panels
     this.ui.createPanel('progress-panel', {
-      position: new THREE.Vector3(0, -0.2, -0.5),
       texts: [
         { text: "Walked 500m", color: "#FFFFFF" }
       ]
     });
     
     this.ui.createPanel('user-panel', {
-      position: new THREE.Vector3(-0.4, -0.3, -0.5),
       texts: [
         { text: "Pilot Neil Armstrong", color: "#FFFFFF" }
       ]
     });
     
     this.ui.createPanel('mode-panel', {
-      position: new THREE.Vector3(0.4, -0.3, -0.5),
       texts: [
         { text: "Navigation Mode", color: "#FFFFFF" }
       ],
       highlighted: true
     });
     
+    this.ui.createRow('crew-row', {
+      children: ['user-panel', 'mode-panel'],
+      gap: 0.4
+    });
+    
+    // Stack the HUD rows in the middle of the view
+    this.ui.createColumn('hud', {
+      anchor: 'center',
+      children: ['status-panels', 'consumables-panel', 'navigation-row', 'progress-panel', 'crew-row'],
+      gap: 0.05
+    });
+    
     // Create action buttons (initially hidden)
     this.actionButtons = this.ui.createActionButtons('action-buttons', {
       position: new THREE.Vector3(0, -0.1, -0.4),
@@ -145,15 +225,23 @@ class NASASuitsApp {
         { icon: "⛶", label: "Pictures", id: "pictures" },
         { icon: "⏺", label: "Recording", id: "recording" }
       ],
-      visible: false
+      visible: false,
+      onSelect: (actionId) => this.handleAction(actionId)
     });
     
-    // Create map modal (initially hidden)
+    // Create map modal (initially hidden), drawn from the map model
+    this.mapModel = new MapModel();
     this.mapModal = this.ui.createMapModal('map-modal', {
       title: 'Maps',
-      visible: false
+      visible: false,
+      model: this.mapModel,
+      onAddPoint: () => this.commands.trigger('button', 'add-point')
     });
     
+    // Create caution & warning banner (hidden until an alert is raised)
+    this.alertBanner = this.ui.createBanner('alert-banner');
+    this.ui.anchorComponent(this.alertBanner, 'top');
+    
     console.log('UI components initialized');
   }
   
@@ -167,6 +255,304 @@ class NASASuitsApp {
     return false;
   }
   
+  // Respond to an action button selection
+  handleAction(actionId) {
+    console.log('Action selected:', actionId);
+    
+    if (!this.commands.trigger('button', actionId)) {
+      console.log(`No command bound to action "${actionId}"`);
+    }
+  }
+  
+  // Register HUD commands and bind inputs to them
+  setupCommands() {
+    this.commands = new CommandRegistry({ bindings: DEFAULT_BINDINGS });
+    
+    this.commands.registerAll({
+      'ui.toggleActions': { label: 'Toggle action menu', run: () => this.toggleActionButtons() },
+      'ui.toggleMap': { label: 'Toggle map', run: () => this.toggleMapModal() },
+      'ui.openMap': { label: 'Map open', run: () => { if (!this.mapModal.visible) this.toggleMapModal(); } },
+      'ui.closeMap': { label: 'Map closed', run: () => { if (this.mapModal.visible) this.toggleMapModal(); } },
+      'ui.toggleProcedures': { label: 'Toggle procedures', run: () => this.toggleProcedureModal() },
+      'ui.openProcedures': { label: 'Procedures open', run: () => { if (!this.procedureModal.visible) this.toggleProcedureModal(); } },
+      'ui.closeProcedures': { label: 'Procedures closed', run: () => { if (this.procedureModal.visible) this.toggleProcedureModal(); } },
+      'procedure.next': { label: 'Next step', run: () => this.procedures.next() },
+      'procedure.previous': { label: 'Previous step', run: () => this.procedures.previous() },
+      'procedure.complete': { label: 'Complete step', run: () => this.procedures.completeStep() },
+      'alerts.acknowledge': { label: 'Acknowledge alerts', run: () => this.acknowledgeAlerts() },
+      'telemetry.refresh': { label: 'Refresh telemetry panels', run: () => this.updateStats() },
+      'telemetry.read': { label: 'Read telemetry', run: (context) => this.readTelemetry(context) },
+      'map.markPoint': { label: 'Point marked', run: (context) => this.markPoint({ ...context, type: 'poi' }) },
+      'map.markHazard': { label: 'Hazard marked', run: (context) => this.markPoint({ ...context, type: 'hazard' }) },
+      'map.addNote': { label: 'Note added', run: (context) => this.addPinNote(context) },
+      'geology.startSample': { label: 'Sample started', run: (context) => this.startSample(context) },
+      'geology.finishSample': { label: 'Sample finished', run: () => this.geology.finishSample() },
+      'geology.toggleSamples': { label: 'Toggle samples', run: () => this.toggleSampleModal() },
+      'geology.export': { label: 'Samples exported', run: () => this.exportSamples('json') },
+      'geology.exportCsv': { label: 'Samples exported as CSV', run: () => this.exportSamples('csv') },
+      'photo.capture': { label: 'Picture taken', run: (context) => this.capturePhoto(context) },
+      'photo.toggleGallery': { label: 'Toggle pictures', run: () => this.toggleGalleryModal() },
+      'session.toggleRecording': { label: 'Toggle recording', run: () => this.toggleRecording() },
+      'session.startRecording': { label: 'Recording started', run: () => this.recorder.start() },
+      'session.stopRecording': { label: 'Recording saved', run: () => this.stopRecording() },
+      'session.toggleReplay': { label: 'Toggle replay', run: () => this.toggleReplay() },
+      'headlamp.toggle': { label: 'Toggle helmet light', run: () => this.setHeadlamp(!this.spaceEnvironment.headlamp.visible) },
+      'headlamp.on': { label: 'Helmet light on', run: () => this.setHeadlamp(true) },
+      'headlamp.off': { label: 'Helmet light off', run: () => this.setHeadlamp(false) },
+      'voice.toggle': { label: 'Toggle voice commands', run: () => this.voice && this.voice.toggle() },
+      'debug.dump': { label: 'Log command bindings', run: () => console.log('Command bindings:', this.commands.getBindings()) }
+    });
+    
+    this.commands.subscribe((type, detail) => {
+      if (type === 'executed' && detail.source) {
+        console.log(`${detail.source.type} "${detail.source.input}" -> ${detail.command}`);
+      }
+    });
+    
+    this.commands.attachKeyboard(window);
+    this.commands.attachDOM(document);
+  }
+  
+  // Answer a telemetry question, e.g. "read O2"
+  readTelemetry({ slots = {}, respond = null } = {}) {
+    const channel = this.telemetry.channels[slots.channel];
+    if (!channel) return;
+    
+    const value = this.telemetry.getValue(slots.channel);
+    const text = value === undefined
+      ? `${channel.label} not available`
+      : `${channel.label} ${this.telemetry.format(slots.channel, value)}`;
+    
+    if (respond) {
+      respond(text);
+    } else {
+      this.voiceNotification.show(text);
+    }
+  }
+  
+  // Drop a pin on the map: where the hand points at the ground for gestures,
+  // otherwise at the astronaut; spoken words after the command become its note
+  markPoint({ type = 'poi', point = null, hand = null, rest = '' } = {}) {
+    const position = this.getPinPoint({ point, hand });
+    if (!position) {
+      console.warn('Cannot mark a point without a position');
+      return null;
+    }
+    
+    const name = PIN_TYPES[type] || PIN_TYPES.poi;
+    const count = this.mapModel.waypoints.filter(waypoint => waypoint.type === type).length;
+    const pin = this.mapModel.addWaypoint({
+      label: `${name} ${count + 1}`,
+      type,
+      x: position.x,
+      y: position.y,
+      note: rest.replace(/^note\s+/, ''),
+      markedAt: Date.now()
+    });
+    this.lastPinId = pin.id;
+    console.log('Point marked:', pin);
+    return pin;
+  }
+  
+  // Where a pin goes: the given point, the ground the hand points at, or the astronaut
+  getPinPoint({ point = null, hand = null } = {}) {
+    if (!point && hand) {
+      const terrainPoint = this.interaction && this.interaction.getTerrainPoint(hand);
+      if (terrainPoint) point = this.coordinates.worldToUTM(terrainPoint);
+    }
+    return point || this.mapModel.position;
+  }
+  
+  // Attach a spoken note to the last pin, e.g. "add note loose regolith"
+  addPinNote({ rest = '' } = {}) {
+    const pin = this.lastPinId && this.mapModel.getWaypoint(this.lastPinId);
+    if (!pin || !rest) return;
+    
+    const note = pin.note ? `${pin.note}; ${rest}` : rest;
+    if (pin.sampleId) {
+      this.geology.updateSample(pin.sampleId, { note });
+    } else {
+      this.mapModel.updateWaypoint(pin.id, { note });
+    }
+    console.log(`Note added to ${pin.label}: ${rest}`);
+  }
+  
+  // Create the sample records, the sample-detail modal and their notification
+  setupGeology() {
+    this.geology = new GeologySampling({ mapModel: this.mapModel });
+    this.sampleIndex = 0;
+    
+    // Create sample modal (initially hidden)
+    this.sampleModal = this.ui.createSampleModal('sample-modal', {
+      oxides: SPEC_OXIDES,
+      visible: false,
+      onPrevious: () => this.showSample(this.sampleIndex - 1),
+      onExport: () => this.exportSamples('json'),
+      onNext: () => this.showSample(this.sampleIndex + 1)
+    });
+    
+    this.sampleNotification = this.ui.createNotification('sample-notification', {
+      text: 'Sample',
+      backgroundColor: 0x2ecc71,
+      icon: '▲',
+      duration: 4000
+    });
+    
+    this.geology.subscribe((type, sample) => {
+      if (type === 'started') {
+        this.lastPinId = sample.waypointId;
+        this.sampleNotification.show(`${sample.label} started`);
+      } else if (type === 'scanned') {
+        // Bring up the results of every scan, highlighting rocks of interest
+        this.showSample(this.geology.samples.indexOf(sample));
+        this.sampleModal.visible = true;
+        this.sampleNotification.show(
+          sample.interesting ? `${sample.label}: rock of interest` : `${sample.label} scanned`,
+          { color: sample.interesting ? 0xd35400 : 0x2ecc71 }
+        );
+      } else {
+        this.showSample(this.sampleIndex);
+      }
+    });
+    
+    // Scans arrive with the TSS SPEC document
+    this.geology.attach(this.telemetry);
+  }
+  
+  // Start a sample where the astronaut stands (or where the hand points); spoken words become its note
+  startSample({ point = null, hand = null, rest = '' } = {}) {
+    const position = this.getPinPoint({ point, hand });
+    const sample = position
+      ? this.geology.startSample({ point: position, note: rest })
+      : null;
+    
+    if (!sample) {
+      console.warn('Cannot start a sample without a position');
+      return null;
+    }
+    console.log('Sample started:', sample);
+    return sample;
+  }
+  
+  // Show a sample in the sample modal (clamped to the recorded samples)
+  showSample(index) {
+    const { samples } = this.geology;
+    this.sampleIndex = Math.max(0, Math.min(index, samples.length - 1));
+    this.sampleModal.update({
+      sample: samples[this.sampleIndex] || null,
+      index: this.sampleIndex,
+      count: samples.length
+    });
+  }
+  
+  // Toggle sample modal visibility
+  toggleSampleModal() {
+    if (this.sampleModal) {
+      const isVisible = this.sampleModal.toggle();
+      console.log('Sample modal visibility:', isVisible ? 'visible' : 'hidden');
+      return isVisible;
+    }
+    return false;
+  }
+  
+  // Download the sample records as a JSON or CSV file
+  exportSamples(format = 'json') {
+    const { filename, type, content } = this.geology.export(format);
+    this.downloadBlob(new Blob([content], { type }), filename);
+    console.log(`Exported ${this.geology.samples.length} samples to ${filename}`);
+  }
+  
+  // Save a blob through a temporary download link
+  downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+  
+  // Listen for voice commands: ?voice=text uses typed input, ?voice=off disables
+  setupVoice() {
+    const mode = new URLSearchParams(window.location.search).get('voice');
+    if (mode === 'off') return;
+    
+    let recognizer = mode === 'text' ? null : new WebSpeechRecognizer();
+    if (!recognizer || !recognizer.isSupported()) {
+      console.log('Speech recognition unavailable, using typed voice commands');
+      recognizer = new TextInputRecognizer();
+      
+      const input = document.getElementById('voice-input');
+      if (input) {
+        input.style.display = 'block';
+        recognizer.attach(input);
+      }
+    }
+    
+    this.voice = new VoiceCommandController({ recognizer, commands: this.commands });
+    
+    // On-HUD confirmation of what was heard
+    this.voiceNotification = this.ui.createNotification('voice-notification', {
+      position: new THREE.Vector3(0, 0.1, -0.45),
+      backgroundColor: 0x2980b9,
+      icon: '»',
+      duration: 2500
+    });
+    
+    this.voice.subscribe((type, detail) => {
+      if (type === 'recognized') {
+        this.voiceNotification.show(detail.text);
+      } else if (type === 'unrecognized') {
+        console.log(`Voice command not recognized: "${detail.transcript}"`);
+      } else if (type === 'listening') {
+        this.voiceNotification.show(detail.listening ? 'Listening' : 'Voice commands off', { color: 0x34495e });
+      }
+    });
+    
+    // Typed commands need no microphone, so listen right away; speech starts with the VR session or V
+    if (recognizer instanceof TextInputRecognizer) {
+      this.voice.start();
+    } else {
+      this.renderer.xr.addEventListener('sessionstart', () => this.voice.start());
+    }
+  }
+  
+  // Raycast and direct-touch interaction with the HUD
+  setupInteraction() {
+    this.interaction = new InteractionManager(this.renderer, this.camera, {
+      roots: [this.ui.root],
+      controls: this.controls,
+      terrain: [this.spaceEnvironment.moonGround],
+      onAction: (actionId) => this.handleAction(actionId),
+      // Clicking (Shift+click with the mouse) or selecting the ground drops a pin there
+      onTerrainSelect: (point) => this.markPoint({ point: this.coordinates.worldToUTM(point) })
+    });
+    
+    // Controllers carry the pointer rays, so they must be part of the scene
+    this.interaction.controllers.forEach(controller => {
+      if (!controller.parent) this.scene.add(controller);
+    });
+    
+    // Pressing buttons directly with the index fingertip
+    this.poke = new PokeInteraction(this.renderer, this.scene, {
+      roots: [this.ui.root],
+      onAction: (actionId) => this.handleAction(actionId)
+    });
+  }
+  
+  // Recognize hand gestures and run the commands bound to them
+  setupGestures() {
+    // Gesture bindings live in the command registry
+    this.gestures = new GestureRecognizer(this.renderer, {
+      scene: this.scene,
+      camera: this.camera,
+      bindings: {}
+    });
+    
+    this.commands.attachGestures(this.gestures);
+  }
+  
   // Toggle map modal visibility
   toggleMapModal() {
     if (this.mapModal) {
@@ -177,24 +563,652 @@ class NASASuitsApp {
     return false;
   }
   
-  // Update stats (example function to demonstrate dynamic updates)
-  updateStats() {
-    if (this.statusPanel) {
-      // Randomly update a stat
-      const stats = ['Battery', 'O2', 'Pressure'];
-      const stat = stats[Math.floor(Math.random() * stats.length)];
+  // Connect the telemetry service and bind it to the status panels
+  setupTelemetry() {
+    // ?tss=http://host:14141 or ?telemetry=ws://... selects a live source, else the simulator
+    const params = new URLSearchParams(window.location.search);
+    const { source, simulator } = createTelemetrySource(params);
+    this.simulator = simulator;
+    
+    this.telemetry = new TelemetryService({ source });
+    this.telemetry.bindStatusPanels(this.statusPanel);
+    this.spaceEnvironment.setTelemetry(this.telemetry);
+    
+    this.telemetry.subscribe('$status', ({ value }) => {
+      console.log('Telemetry status:', value);
+    });
+    
+    // Drain rate under the battery level
+    this.telemetry.subscribe('batteryDrain', () => this.updateBatteryCaption());
+    
+    this.telemetry.start();
+  }
+  
+  // Show the battery drain rate, highlighted while the helmet light draws power
+  updateBatteryCaption() {
+    const drain = this.telemetry.getValue('batteryDrain');
+    if (drain === undefined) return;
+    
+    const lit = this.spaceEnvironment.headlamp.visible;
+    this.statusPanel.updatePanelCaption('Battery', `Battery ▼${this.telemetry.format('batteryDrain', drain)}`,
+      lit ? '#FFCC00' : '#AAAAAA');
+  }
+  
+  // Switch the helmet light; with the simulator it draws from the suit battery
+  setHeadlamp(on) {
+    const lit = this.spaceEnvironment.setHeadlamp(on);
+    if (this.simulator) {
+      this.simulator.setLoad('headlamp', lit ? HEADLAMP_LOAD : 0);
+    }
+    
+    this.updateBatteryCaption();
+    console.log(`Helmet light ${lit ? 'on' : 'off'}`);
+    return lit;
+  }
+  
+  // Load waypoints and route, and track position and heading from the IMU
+  setupMap() {
+    this.mapModel.bindTelemetry(this.telemetry);
+    
+    // Ties IMU coordinates, the scene and the map canvas together
+    this.coordinates = new CoordinateService({ mapModel: this.mapModel });
+    this.spaceEnvironment.setNavigation(this.mapModel, this.coordinates);
+    
+    // Plans around hazards and the rocks in the scene, and re-plans when off route
+    this.routePlanner = new RoutePlanner({ mapModel: this.mapModel });
+    this.coordinates.subscribe(() => this.updateRouteObstacles());
+    this.routePlanner.subscribe((type, detail) => {
+      if (type === 'planned') {
+        console.log(`Route planned (${detail.reason}): ${Math.round(detail.length)}m`);
+        
+        // Beacons point to the next stop of the route
+        const next = this.routePlanner.goals.find(goal => goal.waypointId);
+        this.spaceEnvironment.setNextWaypoint(next ? next.waypointId : null);
+      } else if (type === 'arrived' && detail.waypoint) {
+        console.log(`Arrived at ${detail.waypoint.label}`);
+      }
+    });
+    
+    // Usage rates of O2, battery and CO2 scrubbers, and the time left to walk back
+    this.consumables = new ConsumablesEstimator({
+      telemetry: this.telemetry,
+      mapModel: this.mapModel,
+      routePlanner: this.routePlanner
+    });
+    this.consumables.subscribe(stats => this.updateConsumablesPanel(stats));
+    this.consumables.attach();
+    
+    // Distance walked, remaining distance, ETA and EVA time left for the panels
+    this.navigationTracker = new NavigationTracker({
+      mapModel: this.mapModel,
+      routePlanner: this.routePlanner,
+      telemetry: this.telemetry,
+      consumables: this.consumables,
+      defaultSpeed: this.routePlanner.walkingSpeed
+    });
+    this.navigationTracker.subscribe(stats => this.updateNavigationPanels(stats));
+    this.navigationTracker.attach();
+    
+    const mapUrl = 'maps/rockyard.json';
+    loadMap(mapUrl, { model: this.mapModel })
+      .then(model => {
+        // The site origin is the base (airlock), at the user's feet in the scene
+        if (model.utm) this.coordinates.setZone(model.utm.zone, model.utm.hemisphere);
+        const base = model.waypoints.find(waypoint => waypoint.type === 'base');
+        if (base) this.coordinates.setOrigin(base);
+        
+        // ?terrain=<DEM or definition URL> rehearses on another surface than the map's
+        const terrainUrl = new URLSearchParams(window.location.search).get('terrain') ||
+          (model.terrain ? new URL(model.terrain, new URL(mapUrl, window.location.href)).href : null);
+        if (terrainUrl) this.setupTerrain(terrainUrl);
+        
+        // The map's route lists the stops; the planner fills in the path between them
+        this.routePlanner.setGoals(model.route);
+        this.routePlanner.attach();
+        
+        this.mapModal.updateTitle(`Maps - ${model.title}`);
+        console.log(`Map loaded: ${model.title} (${model.waypoints.length} waypoints)`);
+      })
+      .catch(error => {
+        console.error('Failed to load map:', error);
+        this.displayError(error);
+      });
+  }
+  
+  // Replace the flat ground with the site's elevation model
+  setupTerrain(url) {
+    this.terrain = new Terrain({
+      coordinates: this.coordinates,
+      material: this.spaceEnvironment.moonGround.material
+    });
+    
+    loadTerrain(url, { terrain: this.terrain })
+      .then(dem => {
+        this.spaceEnvironment.setTerrain(this.terrain);
+        if (this.interaction) this.interaction.setTerrain([this.terrain.group]);
+        
+        // Slopes make the planner prefer flatter paths, and relief casts shadows
+        this.routePlanner.setHeightAt((x, y) => this.terrain.elevationAt(x, y));
+        if (this.sun) this.sun.setTerrain((x, y) => this.terrain.elevationAt(x, y), dem.bounds);
+        console.log(`Terrain loaded: ${dem.width}x${dem.height} samples`);
+      })
+      .catch(error => {
+        console.error('Failed to load terrain, keeping the flat ground:', error);
+        this.terrain.dispose();
+        this.terrain = null;
+      });
+  }
+  
+  // Rocks in the scene, in map coordinates, as obstacles for the route planner
+  updateRouteObstacles() {
+    const rocks = this.spaceEnvironment.rocks || [];
+    this.routePlanner.setObstacles(rocks.map(rock => ({
+      ...this.coordinates.worldToUTM(rock.position),
+      radius: rock.geometry.parameters.radius
+    })));
+  }
+  
+  // Show navigation figures on the HUD panels and the map footer
+  updateNavigationPanels(stats) {
+    const { walked, remaining, total, eta, timeLeft, margin } = stats;
+    const goals = this.routePlanner.goals;
+    const destination = goals.length && goals[goals.length - 1].waypointId
+      ? this.mapModel.getWaypoint(goals[goals.length - 1].waypointId)
+      : null;
+    
+    // Red when the route cannot be finished before the consumables run out, or
+    // when there is no longer time to walk back to the airlock
+    const consumables = this.consumables.stats;
+    const late = (margin !== null && margin < 0) ||
+      (consumables !== null && consumables.margin !== null && consumables.margin < 0);
+    
+    const distancePanel = this.ui.getComponent('distance-panel');
+    if (distancePanel && remaining !== null) {
+      distancePanel.updateText(0, `${Math.round(remaining)}m`, { textColor: '#FFCC00' });
+      distancePanel.updateText(1, 'remaining', { textColor: '#FFFFFF', textSize: 0.02 });
+    }
+    
+    const timePanel = this.ui.getComponent('time-panel');
+    if (timePanel && eta !== null) {
+      const seconds = Math.round(eta);
+      const minutes = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min`;
+      timePanel.updateText(0, minutes, { textColor: late ? '#FF3333' : '#00FF66' });
+      timePanel.updateText(1, `to ${destination ? destination.label : 'Destination'}`, { textColor: '#FFFFFF', textSize: 0.02 });
+    }
+    
+    const progressPanel = this.ui.getComponent('progress-panel');
+    if (progressPanel) {
+      progressPanel.updateText(0, `Walked ${Math.round(walked)}m`, { textColor: '#FFFFFF' });
+    }
+    
+    this.mapModal.updateStat('totalDistance', total === null ? '--' : `${Math.round(total)}m`);
+    this.mapModal.updateStat('remainingDistance', remaining === null ? '--' : `${Math.round(remaining)}m`);
+    this.mapModal.updateStat('expectedDuration', eta === null ? '--' : formatDuration(eta));
+    this.mapModal.updateStat('timeLeft', timeLeft === null ? '--' : formatDuration(timeLeft), {
+      textColor: late ? '#FF3333' : '#FFFFFF'
+    });
+  }
+  
+  // Show the binding consumable, each consumable's time left and the walk-back margin
+  updateConsumablesPanel(stats) {
+    const { consumables, binding, timeLeft, walkBack, margin } = stats;
+    const panel = this.ui.getComponent('consumables-panel');
+    
+    // Alert when it is nearly time to turn back; amber in the caution range, red past it
+    let level = 'nominal';
+    if (margin !== null && this.cautionWarning) {
+      level = this.cautionWarning.evaluate('walkBackMargin', margin) || 'nominal';
+    }
+    const color = { nominal: '#00FF66', caution: '#FFCC00', warning: '#FF3333' }[level];
+    
+    if (!panel) return;
+    
+    const signed = (seconds) => `${seconds < 0 ? '-' : ''}${formatDuration(Math.abs(seconds))}`;
+    const limit = binding === null ? '--' : `${formatDuration(timeLeft)} (${consumables[binding].label})`;
+    let back = 'Walk back --';
+    if (walkBack) {
+      back = `Walk back ${Math.round(walkBack.distance)}m ${formatDuration(walkBack.time)}`;
+      if (margin !== null) back += `  margin ${signed(margin)}`;
+    }
+    
+    panel.updateText(0, `Time Left ${limit}`, { textColor: color });
+    panel.updateText(1, this.consumables.describe(stats), { textColor: '#FFFFFF', textSize: 0.02 });
+    panel.updateText(2, back, { textColor: level === 'nominal' ? '#FFFFFF' : color, textSize: 0.02 });
+  }
+  
+  // Evaluate telemetry against limits and surface alerts on the HUD
+  setupCautionWarning() {
+    this.cautionWarning = new CautionWarningEngine();
+    this.cautionWarning.attach(this.telemetry);
+    this.cautionWarning.bindStatusPanels(this.statusPanel);
+    this.spaceEnvironment.setCautionWarning(this.cautionWarning);
+    
+    this.cautionWarning.subscribe((type, alert) => {
+      console.log(`Caution & warning ${type}: ${alert.message}`, alert.value);
+      this.updateAlertBanner();
+    });
+    
+    // Time to spare after walking back to the airlock on the binding consumable
+    this.cautionWarning.setRule('walkBackMargin', WALK_BACK_RULE);
+    this.cautionWarning.labels.walkBackMargin = 'Walk-back margin';
+  }
+  
+  // Light the scene from the sun over the site, and watch the route for lasting shadow
+  setupSun() {
+    // ?date=2027-09-01T14:00Z rehearses the lighting of an EVA date
+    const date = new URLSearchParams(window.location.search).get('date');
+    this.sun = new SunModel({ time: date && !Number.isNaN(Date.parse(date)) ? date : null });
+    
+    // The map gives the lunar site and the area to search; a loaded DEM adds its relief
+    this.mapModel.subscribe(type => {
+      if (type !== 'bounds') return;
+      this.sun.setSite(this.mapModel.site || DEFAULT_SITE);
+      if (!this.terrain) this.sun.setTerrain(null, this.mapModel.bounds);
+    });
+    
+    this.sun.subscribe((type, detail) => {
+      if (type === 'moved') {
+        this.spaceEnvironment.setSunPosition(detail.azimuth, detail.elevation);
+      } else if (type === 'shadows') {
+        this.checkRouteShadow();
+      }
+    });
+    
+    this.cautionWarning.setRule('routeShadow', ROUTE_SHADOW_RULE);
+    this.cautionWarning.labels.routeShadow = 'Dark route';
+    this.routePlanner.subscribe(type => {
+      if (type === 'planned') this.checkRouteShadow();
+    });
+  }
+  
+  // Raise a caution when the planned route runs through long stretches of persistent shadow
+  checkRouteShadow() {
+    this.routeShadow = this.sun.checkRoute(this.routePlanner.route);
+    const longest = this.routeShadow.reduce((max, stretch) => Math.max(max, stretch.length), 0);
+    this.cautionWarning.evaluate('routeShadow', longest);
+  }
+  
+  // Show the most severe unacknowledged alert in the banner
+  updateAlertBanner() {
+    const pending = this.cautionWarning.getAlerts().filter(alert => !alert.acknowledged);
+    
+    if (pending.length === 0) {
+      this.alertBanner.hide();
+      return;
+    }
+    
+    const [top] = pending;
+    const value = top.channel === 'routeShadow'
+      ? `${Math.round(top.value)}m in shadow`
+      : top.channel === 'walkBackMargin'
+        ? `${top.value < 0 ? '-' : ''}${formatDuration(Math.abs(top.value))}`
+        : this.telemetry.format(top.channel, top.value);
+    const more = pending.length > 1 ? `  (+${pending.length - 1} more)` : '';
+    this.alertBanner.show(`⚠ ${top.message} ${value}${more}`, top.level);
+  }
+  
+  // Acknowledge all active alerts
+  acknowledgeAlerts() {
+    if (this.cautionWarning) {
+      this.cautionWarning.acknowledge();
+    }
+  }
+  
+  // Create the procedure manager, checklist modal and completion notification
+  setupProcedures() {
+    this.procedures = new ProcedureManager();
+    
+    // Create procedure modal (initially hidden)
+    this.procedureModal = this.ui.createProcedureModal('procedure-modal', {
+      visible: false,
+      onPrevious: () => this.procedures.previous(),
+      onComplete: () => this.procedures.completeStep(),
+      onNext: () => this.procedures.next()
+    });
+    
+    // Create notification popup (initially hidden)
+    this.notification = this.ui.createNotification('completion-notification', {
+      text: 'Task Completed',
+      backgroundColor: 0x2ecc71,
+      icon: '✓',
+      duration: 3000
+    });
+    
+    this.procedures.subscribe((type, step, state) => {
+      this.procedureModal.update({
+        title: state.title,
+        subtitle: state.subtitle,
+        tasks: state.steps,
+        currentIndex: state.currentIndex
+      });
       
-      let value;
-      if (stat === 'Battery') {
-        value = Math.floor(Math.random() * 100) + '%';
-      } else if (stat === 'O2') {
-        value = Math.floor(Math.random() * 100) + '%';
-      } else if (stat === 'Pressure') {
-        value = (13 + Math.random() * 2).toFixed(1) + 'psi';
+      if (type === 'completed') {
+        this.notification.show(`${step.label} completed`);
+      } else if (type === 'finished') {
+        this.notification.show(`${state.title} complete`, { duration: 5000 });
+      }
+    });
+    
+    // Steps with telemetry conditions complete or branch on their own
+    this.procedures.attach(this.telemetry);
+    
+    loadProcedure('procedures/eva-egress.json')
+      .then(procedure => {
+        this.procedures.register(procedure);
+        this.procedures.load(procedure.id);
+        console.log(`Procedure loaded: ${procedure.title}`);
+      })
+      .catch(error => {
+        console.error('Failed to load procedure:', error);
+        this.displayError(error);
+      });
+  }
+  
+  // Toggle procedure modal visibility
+  toggleProcedureModal() {
+    if (this.procedureModal) {
+      const isVisible = this.procedureModal.toggle();
+      console.log('Procedure modal visibility:', isVisible ? 'visible' : 'hidden');
+      return isVisible;
+    }
+    return false;
+  }
+  
+  // Create the photo capture, the gallery modal and the capture notification
+  setupPhotos() {
+    this.photos = new PhotoCapture(this.renderer, {
+      scene: this.scene,
+      camera: this.camera,
+      mapModel: this.mapModel,
+      procedures: this.procedures
+    });
+    
+    // Photo shown enlarged (or highlighted in the grid) and whether the viewer is open
+    this.galleryIndex = 0;
+    this.galleryViewing = false;
+    
+    // Create gallery modal (initially hidden)
+    this.galleryModal = this.ui.createGalleryModal('gallery-modal', {
+      visible: false,
+      onSelect: (slot) => this.openPhoto(this.getGalleryPage() * this.galleryModal.slotCount + slot),
+      onCloseViewer: () => {
+        this.galleryViewing = false;
+        this.updateGallery();
+      },
+      onPrevious: () => this.stepGallery(-1),
+      onDelete: () => this.deletePhoto(),
+      onNext: () => this.stepGallery(1)
+    });
+    
+    this.photoNotification = this.ui.createNotification('photo-notification', {
+      text: 'Picture taken',
+      backgroundColor: 0x34495e,
+      icon: '⛶',
+      duration: 2000
+    });
+    
+    this.photos.subscribe(() => this.updateGallery());
+    this.photos.load();
+    
+    // ?passthrough=camera draws the device camera behind the scene in photos
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('passthrough') === 'camera' && navigator.mediaDevices) {
+      navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        .then(stream => {
+          const video = document.createElement('video');
+          video.srcObject = stream;
+          video.muted = true;
+          video.playsInline = true;
+          return video.play().then(() => this.photos.setPassthrough(video));
+        })
+        .catch(error => console.warn('Camera passthrough unavailable:', error));
+    }
+  }
+  
+  // Take a picture of the current view; spoken words after the command become its note
+  capturePhoto({ rest = '' } = {}) {
+    return this.photos.capture({ note: rest })
+      .then(photo => {
+        this.galleryIndex = this.photos.photos.length - 1;
+        this.updateGallery();
+        this.photoNotification.show(`Picture ${this.photos.photos.length} saved`);
+        console.log('Picture taken:', photo.id, photo.position, photo.step);
+      })
+      .catch(error => {
+        console.error('Failed to take picture:', error);
+        this.photoNotification.show('Picture failed', { color: 0xc0392b });
+      });
+  }
+  
+  // Gallery page holding the current photo
+  getGalleryPage() {
+    return Math.floor(this.galleryIndex / this.galleryModal.slotCount);
+  }
+  
+  // Show a photo enlarged in the gallery
+  openPhoto(index) {
+    this.galleryIndex = index;
+    this.galleryViewing = true;
+    this.updateGallery();
+  }
+  
+  // Previous/next photo in the viewer, or previous/next page in the grid
+  stepGallery(direction) {
+    const step = this.galleryViewing ? 1 : this.galleryModal.slotCount;
+    const count = this.photos.photos.length;
+    const index = this.galleryViewing
+      ? this.galleryIndex + direction
+      : (this.getGalleryPage() + direction) * step;
+    
+    this.galleryIndex = Math.max(0, Math.min(index, count - 1));
+    this.updateGallery();
+  }
+  
+  // Delete the photo in the viewer (or highlighted in the grid)
+  deletePhoto() {
+    const photo = this.photos.photos[this.galleryIndex];
+    if (!photo) return;
+    
+    this.photos.remove(photo.id)
+      .then(() => console.log('Picture deleted:', photo.id))
+      .catch(error => console.error('Failed to delete picture:', error));
+  }
+  
+  // Redraw the gallery modal
+  updateGallery() {
+    const { photos } = this.photos;
+    const pageSize = this.galleryModal.slotCount;
+    this.galleryIndex = Math.max(0, Math.min(this.galleryIndex, photos.length - 1));
+    if (photos.length === 0) this.galleryViewing = false;
+    
+    if (this.galleryViewing) {
+      const photo = photos[this.galleryIndex];
+      this.galleryModal.updateTitle(`Pictures (${this.galleryIndex + 1}/${photos.length})`, { fontSize: 48 });
+      this.galleryModal.update({
+        viewer: this.photos.getTexture(photo, 'image'),
+        caption: this.describePhoto(photo)
+      });
+      return;
+    }
+    
+    const page = this.getGalleryPage();
+    const pages = Math.max(1, Math.ceil(photos.length / pageSize));
+    this.galleryModal.updateTitle('Pictures', { fontSize: 48 });
+    this.galleryModal.update({
+      thumbnails: photos.slice(page * pageSize, (page + 1) * pageSize).map(photo => this.photos.getTexture(photo)),
+      selected: photos.length ? this.galleryIndex - page * pageSize : -1,
+      caption: photos.length ? `${photos.length} pictures  ·  page ${page + 1}/${pages}` : 'No pictures yet'
+    });
+  }
+  
+  // One-line description of a photo's tags
+  describePhoto(photo) {
+    const time = new Date(photo.takenAt).toTimeString().slice(0, 8);
+    const position = photo.position ? `${Math.round(photo.position.x)}E ${Math.round(photo.position.y)}N` : '';
+    const heading = typeof photo.heading === 'number' ? `${Math.round(photo.heading)}°` : '';
+    const step = photo.step ? `Step ${photo.step.index + 1}: ${photo.step.label}` : '';
+    return [time, position, heading, step, photo.note].filter(Boolean).join('  ·  ');
+  }
+  
+  // Toggle gallery modal visibility
+  toggleGalleryModal() {
+    if (this.galleryModal) {
+      const isVisible = this.galleryModal.toggle();
+      console.log('Gallery modal visibility:', isVisible ? 'visible' : 'hidden');
+      return isVisible;
+    }
+    return false;
+  }
+  
+  // Create the session recorder, the replay player and the DOM replay bar
+  setupSession() {
+    this.recorder = new SessionRecorder(this.renderer, {
+      camera: this.camera,
+      telemetry: this.telemetry,
+      commands: this.commands,
+      voice: this.voice
+    });
+    this.recorder.subscribe(() => this.updateModePanel());
+    
+    this.player = new SessionPlayer(this.scene, this.camera, {
+      telemetry: this.telemetry,
+      commands: this.commands
+    });
+    
+    const bar = document.getElementById('replay-controls');
+    const file = document.getElementById('replay-file');
+    const play = document.getElementById('replay-play');
+    const scrub = document.getElementById('replay-scrub');
+    const time = document.getElementById('replay-time');
+    const close = document.getElementById('replay-close');
+    this.replayBar = bar;
+    
+    if (bar) {
+      file.addEventListener('change', () => {
+        if (file.files.length) this.loadReplay(file.files[0]);
+      });
+      play.addEventListener('click', () => this.player.toggle());
+      scrub.addEventListener('input', () => this.player.seek(Number(scrub.value)));
+      close.addEventListener('click', () => this.closeReplay());
+    }
+    
+    this.player.subscribe((type, detail) => {
+      if (type === 'loaded' && bar) {
+        scrub.max = detail.duration;
+      } else if (type === 'time' && bar) {
+        scrub.value = detail;
+        time.textContent = `${formatDuration(detail / 1000)} / ${formatDuration(this.player.duration / 1000)}`;
+      } else if (type === 'voice' && this.voiceNotification) {
+        this.voiceNotification.show(`"${detail.transcript}"`, { color: 0x34495e });
       }
       
-      console.log(`Updating ${stat} to ${value}`);
-      this.statusPanel.updatePanel(stat, value);
+      if (bar) play.textContent = this.player.playing ? '❚❚' : '▶';
+    });
+    
+    // ?replay=<url> opens a recording on start
+    const url = new URLSearchParams(window.location.search).get('replay');
+    if (url) {
+      this.openReplay();
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load recording ${url}: HTTP ${response.status}`);
+          return response.blob();
+        })
+        .then(blob => this.loadReplay(blob))
+        .catch(error => {
+          console.error('Failed to load recording:', error);
+          this.displayError(error);
+        });
+    }
+  }
+  
+  // Start or stop (and save) a session recording
+  toggleRecording() {
+    if (this.recorder.recording) {
+      this.stopRecording();
+    } else {
+      this.recorder.start();
+    }
+  }
+  
+  // Stop recording and download the file
+  stopRecording() {
+    if (!this.recorder.recording) return;
+    
+    this.recorder.stop();
+    this.recorder.export()
+      .then(({ filename, blob }) => {
+        this.downloadBlob(blob, filename);
+        console.log(`Recording saved: ${filename} (${this.recorder.events.length} events, ${blob.size} bytes)`);
+      })
+      .catch(error => console.error('Failed to save recording:', error));
+  }
+  
+  // Show the recording state on the mode panel
+  updateModePanel() {
+    const modePanel = this.ui.getComponent('mode-panel');
+    if (!modePanel) return;
+    
+    const recording = this.recorder && this.recorder.recording;
+    modePanel.updateText(0, recording ? '● Recording' : 'Navigation Mode', {
+      textColor: recording ? '#FF3333' : '#FFFFFF'
+    });
+  }
+  
+  // Show the replay bar
+  openReplay() {
+    if (this.replayBar) this.replayBar.style.display = 'flex';
+  }
+  
+  // Play back a recording in place of the live telemetry and the mouse-driven camera
+  loadReplay(source) {
+    this.stopRecording();
+    this.telemetry.stop();
+    
+    return this.player.load(source)
+      .then(session => {
+        this.setCameraControlsEnabled(false);
+        this.player.play();
+        console.log(`Replaying session from ${new Date(session.header.startedAt).toLocaleString()} (${formatDuration(session.duration / 1000)})`);
+      })
+      .catch(error => {
+        console.error('Failed to replay recording:', error);
+        this.displayError(error);
+        this.closeReplay();
+      });
+  }
+  
+  // Leave replay and go back to live telemetry
+  closeReplay() {
+    if (this.replayBar) this.replayBar.style.display = 'none';
+    if (this.player.session) this.player.unload();
+    
+    this.setCameraControlsEnabled(true);
+    if (this.telemetry.status === 'disconnected') this.telemetry.start();
+  }
+  
+  // Mouse orbiting of the app's and the environment's cameras; while disabled the
+  // interaction manager does not turn them back on when the mouse leaves the UI
+  setCameraControlsEnabled(enabled) {
+    if (this.interaction) this.interaction.controlsLocked = !enabled;
+    [this.controls, this.spaceEnvironment.controls].forEach(controls => {
+      if (controls) controls.enabled = enabled;
+    });
+  }
+  
+  // Toggle the replay bar
+  toggleReplay() {
+    if (this.replayBar && this.replayBar.style.display === 'flex') {
+      this.closeReplay();
+    } else {
+      this.openReplay();
+    }
+  }
+  
+  // Push the latest telemetry values into the status panels
+  updateStats() {
+    if (this.statusPanel && this.telemetry) {
+      this.telemetry.refreshStatusPanels(this.statusPanel);
     }
   }
   
@@ -205,8 +1219,6 @@ class NASASuitsApp {
     const spaceInterface = document.getElementById('space-interface');
     const actionButtons = document.getElementById('vr-action-buttons');
     let actionButtonsVisible = false;
-    let pinchCount = 0;
-    let lastPinchTime = 0;
 
     // Ensure the interface is always visible and positioned correctly
     const lockInterfacePosition = () => {
@@ -235,87 +1247,10 @@ class NASASuitsApp {
       }
     };
 
-    // Keyboard control for desktop testing
-    window.addEventListener('keydown', (event) => {
-      // Action buttons toggle
-      if (event.code === 'KeyA') {
-        console.log('Key A pressed - toggling action buttons');
-        this.toggleActionButtons(); // Use new UI library method
-      }
-      
-      // Map key handler
-      if (event.code === 'KeyM') {
-        console.log('Map key pressed - toggling map');
-        this.toggleMapModal(); // Use new UI library method
-      }
-      
-      // Update stats (for testing)
-      if (event.code === 'KeyU') {
-        console.log('Key U pressed - updating stats');
-        this.updateStats();
-      }
-      
-      // Debug key handler
-      if (event.code === 'KeyD') {
-        console.log('Debug key pressed');
-        // Add debug functionality if needed
-      }
-    });
-
-    // VR Pinch gesture detection
-    const checkPinchGesture = (hand) => {
-      if (!hand || !hand.joints) return false;
-      
-      const indexTip = hand.joints['index-finger-tip'];
-      const thumbTip = hand.joints['thumb-tip']; // Changed to thumb for standard pinch gesture
-      
-      if (!indexTip || !thumbTip) return false;
-      
-      const distance = indexTip.position.distanceTo(thumbTip.position);
-      return distance < 0.02; // 2cm threshold
-    };
-
     // VR Session Start
     this.renderer.xr.addEventListener('sessionstart', () => {
       console.log('VR Session Started');
       lockInterfacePosition(); // For backward compatibility with DOM UI
-
-      // Hand tracking for gesture control
-      const session = this.renderer.xr.getSession();
-      
-      const gestureHandler = () => {
-        const hands = session.inputSources.filter(source => source.hand);
-        
-        hands.forEach((source, index) => {
-          const hand = source.hand;
-          const isPinching = checkPinchGesture(hand);
-          const isLeft = index === 0; // Assuming first hand is left
-          
-          if (isPinching) {
-            const now = Date.now();
-            if (now - lastPinchTime > 500) { // Prevent rapid firing
-              lastPinchTime = now;
-              
-              // Left hand pinch toggles action buttons, right hand toggles map
-              if (isLeft) {
-                this.toggleActionButtons();
-              } else {
-                this.toggleMapModal();
-              }
-            }
-          }
-        });
-      };
-
-      // Use animation frame for continuous gesture tracking
-      const trackGestures = () => {
-        if (this.renderer.xr.isPresenting) {
-          gestureHandler();
-          this.gestureTrackingFrame = requestAnimationFrame(trackGestures);
-        }
-      };
-
-      trackGestures();
     });
 
     // VR Session End
@@ -323,11 +1258,6 @@ class NASASuitsApp {
       console.log('VR Session Ended');
       lockInterfacePosition();
       
-      // Cancel gesture tracking
-      if (this.gestureTrackingFrame) {
-        cancelAnimationFrame(this.gestureTrackingFrame);
-      }
-      
       // Reset button visibility (DOM-based, for backward compatibility)
       if (actionButtons) {
         actionButtons.style.display = 'none';
@@ -337,21 +1267,17 @@ class NASASuitsApp {
 
     // Initial lock (for non-VR mode DOM elements)
     lockInterfacePosition();
-    
-    // Map button event listener (DOM-based, for backward compatibility)
-    const mapButton = document.getElementById('map-button');
-    if (mapButton) {
-      mapButton.addEventListener('click', () => {
-        console.log('Map button clicked');
-        this.toggleMapModal();
-      });
-    }
   }
 
   // Animation loop
   animate() {
-    // Update controls
-    if (this.controls) {
+    // Drive the camera from a replayed session
+    if (this.player) {
+      this.player.update();
+    }
+    
+    // Update controls (disabled while a replay drives the camera)
+    if (this.controls && this.controls.enabled) {
       this.controls.update();
     }
     
@@ -360,11 +1286,40 @@ class NASASuitsApp {
       this.ui.updatePosition(this.renderer.xr.isPresenting);
     }
     
+    // Update pointer hover state after the HUD has moved
+    if (this.interaction) {
+      this.interaction.update();
+    }
+    
+    if (this.poke) {
+      this.poke.update();
+    }
+    
+    // Recognize hand gestures
+    if (this.gestures) {
+      this.gestures.update();
+    }
+    
+    // Move the sun with the clock
+    if (this.sun) {
+      this.sun.update();
+    }
+    
     // Update environment
     if (this.spaceEnvironment) {
       this.spaceEnvironment.update();
     }
     
+    // Take requested pictures once the frame is rendered
+    if (this.photos) {
+      this.photos.update();
+    }
+    
+    // Sample head and hands for the session recording
+    if (this.recorder) {
+      this.recorder.update();
+    }
+    
     // Render the scene - delegated to renderer's animation loop
   }
   
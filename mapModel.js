@@ -0,0 +1,404 @@
+/**
+ * MapModel - Data behind the map modal
+ *
+ * Holds the map bounds, waypoints, planned route, breadcrumb trail and the
+ * astronaut's live position and heading, all in map coordinates (UTM
+ * easting/northing in meters, as reported by the TSS IMU). Listeners are
+ * told which part changed so views can redraw.
+ *
+ * Map file format (JSON):
+ * {
+ *   "id": "rockyard",
+ *   "title": "Rockyard",
+ *   "utm": { "zone": 15, "hemisphere": "N" },                (zone of the coordinates)
+ *   "bounds": { "minX": 298305, "minY": 3272333, "maxX": 298405, "maxY": 3272433 },
+ *   "terrain": "rockyard-dem.json",                          (optional DEM, relative to the map file)
+ *   "site": { "name": "Lunar south pole", "lat": -89.5, "lon": 0 },  (lunar site for the sun, optional)
+ *   "waypoints": [{ "id": "airlock", "label": "Airlock", "type": "base", "x": 298355, "y": 3272383 }],
+ *   "route": ["airlock", { "x": 298340, "y": 3272400 }],     (waypoint ids or points)
+ *   "hazards": [{ "id": "crater", "label": "Crater", "x": 298343, "y": 3272397, "radius": 5 },
+ *               { "id": "slope", "points": [{ "x": 298390, "y": 3272400 }, ...] }]   (circles or polygons)
+ * }
+ */
+
+// Waypoint types, in the order they are listed
+export const WAYPOINT_TYPES = ['base', 'start', 'waypoint', 'destination', 'poi', 'sample', 'hazard'];
+
+// Types of pins marked in the field and their label prefix; pins also carry
+// a note and a markedAt timestamp
+export const PIN_TYPES = { poi: 'Mark', sample: 'Sample', hazard: 'Hazard' };
+
+class MapModel {
+  constructor(options = {}) {
+    const {
+      bounds = null,
+      waypoints = [],
+      route = [],
+      hazards = [],
+      breadcrumbSpacing = 2,
+      maxBreadcrumbs = 2000
+    } = options;
+    
+    this.id = null;
+    this.title = '';
+    
+    // UTM zone of the map coordinates: { zone, hemisphere }, null when unknown
+    this.utm = null;
+    
+    // { minX, minY, maxX, maxY }; null fits the bounds to the content
+    this.bounds = bounds;
+    
+    // Elevation model of the site (see terrain.js), null for flat ground
+    this.terrain = null;
+    
+    // Lunar site the map stands for: { name, lat, lon } selenographic degrees, null when unknown
+    this.site = null;
+    
+    // Waypoints: { id, label, type, x, y, visited }, plus { note, markedAt } for pins
+    this.waypoints = [];
+    waypoints.forEach(waypoint => this.addWaypoint(waypoint, { silent: true }));
+    
+    // Planned route as points: [{ x, y }]
+    this.route = this.resolveRoute(route);
+    
+    // Hazard zones to keep out of: circles { id, label, x, y, radius } or polygons { id, label, points }
+    this.hazards = [];
+    hazards.forEach(hazard => this.addHazard(hazard, { silent: true }));
+    
+    // Breadcrumbs: [{ x, y, time }], one every breadcrumbSpacing meters walked
+    this.breadcrumbs = [];
+    this.breadcrumbSpacing = breadcrumbSpacing;
+    this.maxBreadcrumbs = maxBreadcrumbs;
+    
+    // Live position: { x, y } and heading in degrees clockwise from north
+    this.position = null;
+    this.heading = null;
+    
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Replace the model contents with a map definition
+   * @param {Object} definition - Parsed map file
+   */
+  load(definition) {
+    if (!definition || !Array.isArray(definition.waypoints)) {
+      throw new Error('MapModel: map definition needs a waypoints array');
+    }
+    
+    this.id = definition.id || null;
+    this.title = definition.title || '';
+    this.utm = definition.utm || null;
+    this.bounds = definition.bounds || null;
+    this.terrain = definition.terrain || null;
+    this.site = definition.site || null;
+    this.waypoints = [];
+    definition.waypoints.forEach(waypoint => this.addWaypoint(waypoint, { silent: true }));
+    this.route = this.resolveRoute(definition.route || []);
+    this.hazards = [];
+    (definition.hazards || []).forEach(hazard => this.addHazard(hazard, { silent: true }));
+    
+    this.emit('bounds');
+    this.emit('waypoints');
+    this.emit('route');
+    this.emit('hazards');
+  }
+  
+  // Turn waypoint ids in a route into points
+  resolveRoute(route) {
+    return route.map(point => {
+      if (typeof point !== 'string') return { x: point.x, y: point.y };
+      
+      const waypoint = this.getWaypoint(point);
+      if (!waypoint) {
+        throw new Error(`MapModel: route refers to unknown waypoint "${point}"`);
+      }
+      return { x: waypoint.x, y: waypoint.y };
+    });
+  }
+  
+  /**
+   * Get the bounds to draw: the configured bounds, or the content with a margin
+   * @returns {Object|null} - { minX, minY, maxX, maxY }
+   */
+  getBounds() {
+    if (this.bounds) return this.bounds;
+    
+    const hazardPoints = this.hazards.flatMap(hazard => hazard.points || [hazard]);
+    const points = [...this.waypoints, ...this.route, ...this.breadcrumbs, ...hazardPoints];
+    if (this.position) points.push(this.position);
+    if (points.length === 0) return null;
+    
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const margin = 10;
+    return {
+      minX: Math.min(...xs) - margin,
+      minY: Math.min(...ys) - margin,
+      maxX: Math.max(...xs) + margin,
+      maxY: Math.max(...ys) + margin
+    };
+  }
+  
+  setBounds(bounds) {
+    this.bounds = bounds;
+    this.emit('bounds');
+  }
+  
+  /**
+   * Get the transform from map coordinates to pixels of a canvas, keeping the
+   * aspect ratio of the bounds (north up)
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {Object|null} - { scale, toPixel(x, y), toMap(px, py) } (scale in pixels per meter)
+   */
+  getTransform(width, height) {
+    const bounds = this.getBounds();
+    if (!bounds) return null;
+    
+    const spanX = Math.max(bounds.maxX - bounds.minX, 1);
+    const spanY = Math.max(bounds.maxY - bounds.minY, 1);
+    const scale = Math.min(width / spanX, height / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    
+    return {
+      scale,
+      toPixel: (x, y) => ({
+        x: offsetX + (x - bounds.minX) * scale,
+        y: offsetY + (bounds.maxY - y) * scale
+      }),
+      toMap: (px, py) => ({
+        x: bounds.minX + (px - offsetX) / scale,
+        y: bounds.maxY - (py - offsetY) / scale
+      })
+    };
+  }
+  
+  /**
+   * Add a waypoint
+   * @param {Object} waypoint - { id, label, type, x, y }
+   * @param {Object} options - { silent: skip the change notification }
+   * @returns {Object} - The stored waypoint
+   */
+  addWaypoint(waypoint, options = {}) {
+    const type = waypoint.type || 'waypoint';
+    if (!WAYPOINT_TYPES.includes(type)) {
+      throw new Error(`MapModel: unknown waypoint type "${type}"`);
+    }
+    if (typeof waypoint.x !== 'number' || typeof waypoint.y !== 'number') {
+      throw new Error(`MapModel: waypoint "${waypoint.id || waypoint.label}" needs numeric x and y`);
+    }
+    
+    const stored = {
+      ...waypoint,
+      id: waypoint.id || `waypoint-${Date.now()}-${this.waypoints.length}`,
+      label: waypoint.label || 'Waypoint',
+      type,
+      visited: Boolean(waypoint.visited)
+    };
+    
+    if (this.getWaypoint(stored.id)) {
+      throw new Error(`MapModel: duplicate waypoint id "${stored.id}"`);
+    }
+    
+    this.waypoints.push(stored);
+    if (!options.silent) this.emit('waypoints');
+    return stored;
+  }
+  
+  /**
+   * Update fields of a waypoint
+   * @param {string} id - Waypoint id
+   * @param {Object} changes - Fields to change
+   */
+  updateWaypoint(id, changes) {
+    const waypoint = this.getWaypoint(id);
+    if (!waypoint) return;
+    
+    Object.assign(waypoint, changes);
+    this.emit('waypoints');
+  }
+  
+  removeWaypoint(id) {
+    const count = this.waypoints.length;
+    this.waypoints = this.waypoints.filter(waypoint => waypoint.id !== id);
+    if (this.waypoints.length !== count) this.emit('waypoints');
+  }
+  
+  getWaypoint(id) {
+    return this.waypoints.find(waypoint => waypoint.id === id) || null;
+  }
+  
+  /**
+   * Replace the planned route
+   * @param {Array} route - Points { x, y } or waypoint ids
+   */
+  setRoute(route) {
+    this.route = this.resolveRoute(route);
+    this.emit('route');
+  }
+  
+  /**
+   * Add a hazard zone
+   * @param {Object} hazard - Circle { id, label, x, y, radius } or polygon { id, label, points }
+   * @param {Object} options - { silent: skip the change notification }
+   * @returns {Object} - The stored hazard
+   */
+  addHazard(hazard, options = {}) {
+    const isCircle = typeof hazard.x === 'number' && typeof hazard.y === 'number' && hazard.radius > 0;
+    const isPolygon = Array.isArray(hazard.points) && hazard.points.length >= 3;
+    if (!isCircle && !isPolygon) {
+      throw new Error(`MapModel: hazard "${hazard.id || hazard.label}" needs x, y and radius, or at least three points`);
+    }
+    
+    const stored = {
+      ...hazard,
+      id: hazard.id || `hazard-${Date.now()}-${this.hazards.length}`,
+      label: hazard.label || 'Hazard'
+    };
+    
+    this.hazards.push(stored);
+    if (!options.silent) this.emit('hazards');
+    return stored;
+  }
+  
+  removeHazard(id) {
+    const count = this.hazards.length;
+    this.hazards = this.hazards.filter(hazard => hazard.id !== id);
+    if (this.hazards.length !== count) this.emit('hazards');
+  }
+  
+  /**
+   * Find the hazard zone containing a point
+   * @param {number} x - Easting
+   * @param {number} y - Northing
+   * @param {number} margin - Extra clearance around circular hazards in meters
+   * @returns {Object|null} - Hazard
+   */
+  hazardAt(x, y, margin = 0) {
+    return this.hazards.find(hazard => {
+      if (!hazard.points) {
+        return Math.hypot(x - hazard.x, y - hazard.y) <= hazard.radius + margin;
+      }
+      
+      // Even-odd rule
+      let inside = false;
+      const { points } = hazard;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+          inside = !inside;
+        }
+      }
+      return inside;
+    }) || null;
+  }
+  
+  /**
+   * Update the live position, dropping a breadcrumb when far enough from the last one
+   * @param {number} x - Easting
+   * @param {number} y - Northing
+   * @param {number} heading - Heading in degrees (optional)
+   */
+  setPosition(x, y, heading = this.heading) {
+    this.position = { x, y };
+    this.heading = heading;
+    
+    const last = this.breadcrumbs[this.breadcrumbs.length - 1];
+    if (!last || Math.hypot(x - last.x, y - last.y) >= this.breadcrumbSpacing) {
+      this.breadcrumbs.push({ x, y, time: Date.now() });
+      if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+        this.breadcrumbs.shift();
+      }
+      this.emit('breadcrumbs');
+    }
+    
+    this.emit('position');
+  }
+  
+  setHeading(heading) {
+    this.heading = heading;
+    this.emit('position');
+  }
+  
+  clearBreadcrumbs() {
+    this.breadcrumbs = [];
+    this.emit('breadcrumbs');
+  }
+  
+  /**
+   * Distance from the live position to a waypoint
+   * @param {Object} waypoint - Waypoint
+   * @returns {number|null} - Meters, or null without a position
+   */
+  distanceTo(waypoint) {
+    if (!this.position) return null;
+    return Math.hypot(waypoint.x - this.position.x, waypoint.y - this.position.y);
+  }
+  
+  /**
+   * Follow position and heading telemetry
+   * @param {TelemetryService} telemetry - Telemetry service
+   * @returns {Function} - Unbind function
+   */
+  bindTelemetry(telemetry) {
+    const update = () => {
+      const x = telemetry.getValue('posEasting');
+      const y = telemetry.getValue('posNorthing');
+      if (x === undefined || y === undefined) return;
+      
+      const heading = telemetry.getValue('heading');
+      const moved = !this.position || this.position.x !== x || this.position.y !== y;
+      if (moved || heading !== this.heading) {
+        this.setPosition(x, y, heading === undefined ? null : heading);
+      }
+    };
+    
+    const unsubscribers = ['posEasting', 'posNorthing', 'heading'].map(channel =>
+      telemetry.subscribe(channel, update)
+    );
+    update();
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+  
+  /**
+   * Listen for changes
+   * @param {Function} callback - Called with (type, model) where type is
+   *   'bounds', 'waypoints', 'route', 'hazards', 'breadcrumbs' or 'position'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type) {
+    this.listeners.forEach(callback => callback(type, this));
+  }
+}
+
+/**
+ * Fetch a map file into a model
+ * @param {string} url - Map file URL
+ * @param {Object} options - { fetch, model: existing model to load into (a new one by default) }
+ * @returns {Promise<MapModel>} - Loaded model
+ */
+export async function loadMap(url, options = {}) {
+  const {
+    fetch = (...args) => window.fetch(...args),
+    model = new MapModel()
+  } = options;
+  
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load map ${url}: HTTP ${response.status}`);
+  }
+  
+  model.load(await response.json());
+  return model;
+}
+
+export default MapModel;
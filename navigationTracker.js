@@ -0,0 +1,203 @@
+/**
+ * NavigationTracker - Distance, speed and time estimates for the navigation panels
+ *
+ * Integrates the astronaut's position over time into distance walked and a
+ * recent walking speed, and combines them with the route planner's remaining
+ * distance and the suit's consumables into:
+ *   walked    - meters walked this EVA
+ *   remaining - meters left along the planned route
+ *   total     - walked + remaining
+ *   speed     - recent walking speed in m/s
+ *   eta       - seconds to the end of the route at that speed
+ *   timeLeft  - seconds of EVA left on the most limiting consumable (from the
+ *               consumables estimator when given one, else the suit's estimates)
+ *   margin    - timeLeft - eta (negative when the route cannot be finished)
+ */
+
+// Consumable time-left channels; the EVA ends when the first runs out
+const TIME_LEFT_CHANNELS = ['o2TimeLeft', 'batteryTimeLeft'];
+
+class NavigationTracker {
+  constructor(options = {}) {
+    const {
+      mapModel,
+      routePlanner = null,
+      telemetry = null,
+      consumables = null,
+      speedWindow = 60,
+      minSpeed = 0.1,
+      maxSpeed = 3,
+      jitterDistance = 0.5,
+      defaultSpeed = 0.8
+    } = options;
+    
+    if (!mapModel) {
+      throw new Error('NavigationTracker: a map model is required');
+    }
+    
+    this.model = mapModel;
+    this.routePlanner = routePlanner;
+    this.telemetry = telemetry;
+    this.consumables = consumables;
+    
+    // Seconds of walking used for the recent speed
+    this.speedWindow = speedWindow;
+    
+    // Speeds in m/s: below minSpeed the astronaut is standing, above maxSpeed a
+    // position change is a new fix rather than walking
+    this.minSpeed = minSpeed;
+    this.maxSpeed = maxSpeed;
+    this.defaultSpeed = defaultSpeed;
+    
+    // Position changes smaller than this (meters) are IMU noise
+    this.jitterDistance = jitterDistance;
+    
+    this.listeners = new Set();
+    this.unsubscribers = [];
+    this.reset();
+  }
+  
+  /**
+   * Forget the distance walked and the speed history
+   */
+  reset() {
+    this.walked = 0;
+    this.lastPoint = null;
+    this.lastTime = 0;
+    
+    // Walking steps within the speed window: [{ start, time, distance }]
+    this.samples = [];
+  }
+  
+  /**
+   * Add a position sample
+   * @param {Object} position - { x, y } in map coordinates
+   * @param {number} now - Time in ms
+   */
+  addPosition(position, now = Date.now()) {
+    if (!this.lastPoint) {
+      this.lastPoint = { x: position.x, y: position.y };
+      this.lastTime = now;
+      return;
+    }
+    
+    const distance = Math.hypot(position.x - this.lastPoint.x, position.y - this.lastPoint.y);
+    if (distance < this.jitterDistance) return;
+    
+    const elapsed = (now - this.lastTime) / 1000;
+    if (elapsed > 0 && distance / elapsed <= this.maxSpeed) {
+      this.walked += distance;
+      this.samples.push({ start: this.lastTime, time: now, distance });
+    }
+    
+    this.lastPoint = { x: position.x, y: position.y };
+    this.lastTime = now;
+  }
+  
+  /**
+   * Recent walking speed
+   * @param {number} now - Time in ms
+   * @returns {number} - m/s, or 0 when standing
+   */
+  getSpeed(now = Date.now()) {
+    const since = now - this.speedWindow * 1000;
+    this.samples = this.samples.filter(sample => sample.time >= since);
+    if (this.samples.length === 0) return 0;
+    
+    // Averaged from the start of the oldest step, so speed decays while standing
+    const distance = this.samples.reduce((sum, sample) => sum + sample.distance, 0);
+    const span = Math.min(this.speedWindow, (now - this.samples[0].start) / 1000);
+    const speed = span > 0 ? distance / span : 0;
+    return speed >= this.minSpeed ? speed : 0;
+  }
+  
+  // Seconds of EVA left on the most limiting consumable, or null without telemetry
+  getTimeLeft() {
+    if (this.consumables) return this.consumables.getTimeLeft();
+    if (!this.telemetry) return null;
+    
+    const values = TIME_LEFT_CHANNELS
+      .map(channel => this.telemetry.getValue(channel))
+      .filter(value => typeof value === 'number');
+    return values.length ? Math.min(...values) : null;
+  }
+  
+  /**
+   * Current navigation figures
+   * @param {number} now - Time in ms
+   * @returns {Object} - { walked, remaining, total, speed, eta, timeLeft, margin }; unknown figures are null
+   */
+  getStats(now = Date.now()) {
+    const remaining = this.routePlanner
+      ? this.routePlanner.getRemainingDistance(this.model.position)
+      : null;
+    
+    // Standing still: estimate with the nominal walking speed
+    const speed = this.getSpeed(now);
+    const eta = remaining === null ? null : remaining / (speed || this.defaultSpeed);
+    const timeLeft = this.getTimeLeft();
+    
+    return {
+      walked: this.walked,
+      remaining,
+      total: remaining === null ? null : this.walked + remaining,
+      speed,
+      eta,
+      timeLeft,
+      margin: eta === null || timeLeft === null ? null : timeLeft - eta
+    };
+  }
+  
+  /**
+   * Follow position updates, route changes and consumables
+   */
+  attach() {
+    this.detach();
+    
+    this.unsubscribers.push(this.model.subscribe(type => {
+      if (type !== 'position') return;
+      this.addPosition(this.model.position);
+      this.update();
+    }));
+    
+    if (this.routePlanner) {
+      this.unsubscribers.push(this.routePlanner.subscribe(type => {
+        if (type === 'planned') this.update();
+      }));
+    }
+    
+    if (this.consumables) {
+      this.unsubscribers.push(this.consumables.subscribe(() => this.update()));
+    } else if (this.telemetry) {
+      TIME_LEFT_CHANNELS.forEach(channel => {
+        this.unsubscribers.push(this.telemetry.subscribe(channel, () => this.update()));
+      });
+    }
+    
+    if (this.model.position) this.addPosition(this.model.position);
+    this.update();
+  }
+  
+  detach() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+  
+  // Tell listeners the latest figures
+  update() {
+    const stats = this.getStats();
+    this.listeners.forEach(callback => callback(stats));
+  }
+  
+  /**
+   * Listen for new figures
+   * @param {Function} callback - Called with the stats object of getStats
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default NavigationTracker;
@@ -0,0 +1,400 @@
+import * as THREE from 'three';
+
+/**
+ * PhotoCapture - Snapshots of the astronaut's view, tagged and kept in IndexedDB
+ *
+ * A capture renders one eye of the current view (the desktop camera, or the
+ * left eye of an XR session) into an offscreen target right after the frame,
+ * and composites it over the camera passthrough when a passthrough video is
+ * set. Each photo is tagged with the map position and heading, the time, and
+ * the procedure step in progress, and stored so an EVA's photos survive a
+ * reload.
+ *
+ * Photo record:
+ * {
+ *   id, takenAt, width, height, note,
+ *   image, thumbnail,                       (JPEG blobs)
+ *   position: { x, y } | null, heading,     (map coordinates, degrees)
+ *   procedure: { id, title } | null,
+ *   step: { id, label, index } | null
+ * }
+ */
+
+// 8-bit linear to sRGB, for pixels read back from a render target
+const SRGB_TABLE = new Uint8ClampedArray(256).map((_, i) => {
+  const linear = i / 255;
+  const srgb = linear <= 0.0031308 ? linear * 12.92 : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+  return Math.round(srgb * 255);
+});
+
+// Canvas contents as a blob
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PhotoCapture: could not encode image')), type, quality);
+  });
+}
+
+// Resolve an IndexedDB request
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * PhotoStore - Photo records in an IndexedDB object store keyed by id
+ */
+export class PhotoStore {
+  constructor(options = {}) {
+    const {
+      dbName = 'nasa-suits',
+      storeName = 'photos',
+      indexedDB = globalThis.indexedDB
+    } = options;
+    
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+  
+  // Open (and on first use create) the database
+  open() {
+    if (!this.db) {
+      if (!this.indexedDB) {
+        return Promise.reject(new Error('PhotoStore: IndexedDB is not available'));
+      }
+      
+      const request = this.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+      };
+      this.db = promisify(request);
+    }
+    return this.db;
+  }
+  
+  // Run a request against the object store
+  async run(mode, operation) {
+    const db = await this.open();
+    const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+    return promisify(operation(store));
+  }
+  
+  put(photo) {
+    return this.run('readwrite', store => store.put(photo));
+  }
+  
+  async getAll() {
+    const photos = await this.run('readonly', store => store.getAll());
+    return photos.sort((a, b) => a.takenAt - b.takenAt);
+  }
+  
+  delete(id) {
+    return this.run('readwrite', store => store.delete(id));
+  }
+  
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * MemoryPhotoStore - Same interface as PhotoStore, for browsers without IndexedDB
+ */
+export class MemoryPhotoStore {
+  constructor() {
+    this.photos = new Map();
+  }
+  
+  async put(photo) {
+    this.photos.set(photo.id, photo);
+  }
+  
+  async getAll() {
+    return [...this.photos.values()].sort((a, b) => a.takenAt - b.takenAt);
+  }
+  
+  async delete(id) {
+    this.photos.delete(id);
+  }
+  
+  async clear() {
+    this.photos.clear();
+  }
+}
+
+class PhotoCapture {
+  constructor(renderer, options = {}) {
+    const {
+      scene,
+      camera,
+      mapModel = null,
+      procedures = null,
+      store = globalThis.indexedDB ? new PhotoStore() : new MemoryPhotoStore(),
+      width = 1280,
+      thumbnailWidth = 320,
+      type = 'image/jpeg',
+      quality = 0.85
+    } = options;
+    
+    if (!scene || !camera) {
+      throw new Error('PhotoCapture: scene and camera are required');
+    }
+    
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.model = mapModel;
+    this.procedures = procedures;
+    this.store = store;
+    
+    // Image widths in pixels; heights follow the view's aspect ratio
+    this.width = width;
+    this.thumbnailWidth = thumbnailWidth;
+    this.type = type;
+    this.quality = quality;
+    
+    // Video element showing the camera passthrough, drawn behind the scene
+    this.passthrough = null;
+    
+    this.photos = [];
+    this.pending = [];
+    this.textures = new Map();
+    this.listeners = new Set();
+  }
+  
+  /**
+   * Read the stored photos, keeping new ones in memory when storage is unavailable
+   * @returns {Promise<Array>} - Photo records, oldest first
+   */
+  async load() {
+    try {
+      this.photos = await this.store.getAll();
+    } catch (error) {
+      console.warn('PhotoCapture: photo storage unavailable, keeping photos in memory', error);
+      this.store = new MemoryPhotoStore();
+      this.photos = [];
+    }
+    this.emit('loaded');
+    return this.photos;
+  }
+  
+  /**
+   * Composite captures over a camera feed
+   * @param {HTMLVideoElement|null} video - Playing video of the passthrough camera
+   */
+  setPassthrough(video) {
+    this.passthrough = video;
+  }
+  
+  /**
+   * Take a photo of the next rendered frame
+   * @param {Object} options - { note }
+   * @returns {Promise<Object>} - The stored photo record
+   */
+  capture(options = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ note: options.note || '', resolve, reject });
+    });
+  }
+  
+  /**
+   * Take the requested photos (call once per frame, after rendering)
+   */
+  update() {
+    if (this.pending.length === 0) return;
+    
+    const requests = this.pending;
+    this.pending = [];
+    
+    let canvas;
+    try {
+      canvas = this.renderSnapshot();
+    } catch (error) {
+      requests.forEach(request => request.reject(error));
+      return;
+    }
+    
+    const tags = this.getTags();
+    requests.forEach((request, i) => {
+      const id = `photo-${tags.takenAt}-${this.photos.length + i + 1}`;
+      this.save(canvas, { id, ...tags, note: request.note })
+        .then(request.resolve, request.reject);
+    });
+  }
+  
+  // Where, when and during which step the photo is taken
+  getTags() {
+    const { model, procedures } = this;
+    const step = procedures ? procedures.getCurrentStep() : null;
+    
+    return {
+      takenAt: Date.now(),
+      position: model && model.position ? { x: model.position.x, y: model.position.y } : null,
+      heading: model ? model.heading : null,
+      procedure: procedures && procedures.procedure
+        ? { id: procedures.procedure.id, title: procedures.procedure.title }
+        : null,
+      step: step ? { id: step.id, label: step.label, index: procedures.currentIndex } : null
+    };
+  }
+  
+  // Render one view of the scene offscreen and return it on a 2D canvas
+  renderSnapshot() {
+    const { renderer, scene } = this;
+    
+    // In XR the view is the left eye of the headset camera
+    const xrCamera = renderer.xr.isPresenting ? renderer.xr.getCamera() : null;
+    const camera = xrCamera && xrCamera.cameras.length ? xrCamera.cameras[0] : this.camera;
+    const projection = camera.projectionMatrix.elements;
+    const aspect = projection[5] / projection[0];
+    
+    const width = this.width;
+    const height = Math.round(width / aspect);
+    const target = new THREE.WebGLRenderTarget(width, height);
+    
+    // Leave the background clear so the passthrough shows behind the scene
+    const background = scene.background;
+    const clearAlpha = renderer.getClearAlpha();
+    if (this.passthrough) {
+      scene.background = null;
+      renderer.setClearAlpha(0);
+    }
+    
+    // Render with XR off so the single camera is used instead of both eyes
+    const xrEnabled = renderer.xr.enabled;
+    const previousTarget = renderer.getRenderTarget();
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+      renderer.xr.enabled = false;
+      renderer.setRenderTarget(target);
+      renderer.render(scene, camera);
+      renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+      renderer.xr.enabled = xrEnabled;
+      scene.background = background;
+      renderer.setClearAlpha(clearAlpha);
+      target.dispose();
+    }
+    
+    // Rows come bottom-up and in linear color
+    const image = new ImageData(width, height);
+    for (let y = 0; y < height; y++) {
+      const from = (height - 1 - y) * width * 4;
+      const to = y * width * 4;
+      for (let i = 0; i < width * 4; i += 4) {
+        image.data[to + i] = SRGB_TABLE[pixels[from + i]];
+        image.data[to + i + 1] = SRGB_TABLE[pixels[from + i + 1]];
+        image.data[to + i + 2] = SRGB_TABLE[pixels[from + i + 2]];
+        image.data[to + i + 3] = pixels[from + i + 3];
+      }
+    }
+    
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    layer.getContext('2d').putImageData(image, 0, 0);
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+    if (this.passthrough && this.passthrough.videoWidth) {
+      this.drawCover(ctx, this.passthrough, width, height);
+    }
+    ctx.drawImage(layer, 0, 0);
+    return canvas;
+  }
+  
+  // Draw a video frame scaled to cover the canvas
+  drawCover(ctx, video, width, height) {
+    const scale = Math.max(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    ctx.drawImage(video, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  }
+  
+  // Encode a snapshot and its thumbnail and store the record
+  async save(canvas, tags) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = this.thumbnailWidth;
+    thumbnail.height = Math.round(this.thumbnailWidth * canvas.height / canvas.width);
+    thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+    
+    const photo = {
+      width: canvas.width,
+      height: canvas.height,
+      ...tags,
+      image: await canvasToBlob(canvas, this.type, this.quality),
+      thumbnail: await canvasToBlob(thumbnail, this.type, this.quality)
+    };
+    
+    await this.store.put(photo);
+    this.photos.push(photo);
+    this.emit('captured', photo);
+    return photo;
+  }
+  
+  /**
+   * Delete a photo
+   * @param {string} id - Photo id
+   */
+  async remove(id) {
+    await this.store.delete(id);
+    this.photos = this.photos.filter(photo => photo.id !== id);
+    
+    ['thumbnail', 'image'].forEach(kind => {
+      const key = `${id}:${kind}`;
+      if (this.textures.has(key)) {
+        this.textures.get(key).dispose();
+        this.textures.delete(key);
+      }
+    });
+    this.emit('removed', id);
+  }
+  
+  /**
+   * Texture of a photo for the gallery, filled in once the image is decoded
+   * @param {Object} photo - Photo record
+   * @param {string} kind - 'thumbnail' or 'image'
+   * @returns {THREE.Texture} - Cached texture
+   */
+  getTexture(photo, kind = 'thumbnail') {
+    const key = `${photo.id}:${kind}`;
+    if (!this.textures.has(key)) {
+      const texture = new THREE.Texture();
+      texture.colorSpace = THREE.SRGBColorSpace;
+      texture.flipY = false;
+      createImageBitmap(photo[kind], { imageOrientation: 'flipY' })
+        .then(bitmap => {
+          texture.image = bitmap;
+          texture.needsUpdate = true;
+        })
+        .catch(error => console.warn('PhotoCapture: could not decode photo', error));
+      this.textures.set(key, texture);
+    }
+    return this.textures.get(key);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  /**
+   * Listen for photo changes
+   * @param {Function} callback - Called with (type, detail): 'loaded', 'captured'
+   *   with the photo, 'removed' with its id
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default PhotoCapture;
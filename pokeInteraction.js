@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+import { isVisible, applyInteractionState, activateInteractive } from './interactionManager.js';
+
+/**
+ * PokeInteraction - Direct-touch button presses with the hand-tracked index fingertip
+ *
+ * Every visible button (SpaceUI.createButton groups, action buttons and
+ * other meshes with userData.onClick) is treated as a flat plate facing +Z.
+ * A press starts when the fingertip crosses the front face from in front,
+ * and fires once it has been pushed pressDepth behind the face. The plate
+ * follows the fingertip in as it is pressed. While the fingertip is within
+ * hoverDistance in front of a button, the button shows its hover state and a
+ * ring cursor on the button shrinks as the fingertip approaches.
+ */
+
+// Check whether an object can be poked
+function isPokeable(object) {
+  const data = object.userData;
+  return Boolean(object.setState || data.isActionButton || data.onClick);
+}
+
+// Local bounds of the face of a button: its own geometry or its first child mesh (the background)
+function getLocalBounds(target) {
+  const mesh = target.geometry ? target : target.children.find(child => child.geometry);
+  if (!mesh) return null;
+  
+  if (!mesh.geometry.boundingBox) {
+    mesh.geometry.computeBoundingBox();
+  }
+  
+  const bounds = mesh.geometry.boundingBox.clone();
+  if (mesh !== target) {
+    bounds.translate(mesh.position);
+  }
+  return bounds;
+}
+
+class PokeInteraction {
+  constructor(renderer, scene, options = {}) {
+    const {
+      roots = [],
+      hands = [renderer.xr.getHand(0), renderer.xr.getHand(1)],
+      onAction = null,
+      pressDepth = 0.008,
+      hoverDistance = 0.06,
+      releaseDistance = 0.01,
+      maxDepth = 0.05,
+      debounce = 400
+    } = options;
+    
+    this.renderer = renderer;
+    this.scene = scene;
+    this.roots = [...roots];
+    this.onAction = onAction;
+    
+    // Distances in meters
+    this.pressDepth = pressDepth;
+    this.hoverDistance = hoverDistance;
+    this.releaseDistance = releaseDistance;
+    this.maxDepth = maxDepth;
+    
+    // Minimum time in ms between two presses of the same button
+    this.debounce = debounce;
+    this.lastPressTimes = new WeakMap();
+    
+    this.tip = new THREE.Vector3();
+    this.local = new THREE.Vector3();
+    this.inverse = new THREE.Quaternion();
+    
+    this.hands = hands.map(hand => ({
+      hand,
+      target: null,
+      pressing: false,
+      fired: false,
+      previousDistance: null,
+      cursor: this.createCursor()
+    }));
+    
+    console.log('PokeInteraction initialized');
+  }
+  
+  // Ring drawn on the button under the fingertip
+  createCursor() {
+    const geometry = new THREE.RingGeometry(0.006, 0.009, 24);
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x00FFFF,
+      transparent: true,
+      opacity: 0.8,
+      depthTest: false,
+      side: THREE.DoubleSide
+    });
+    
+    const cursor = new THREE.Mesh(geometry, material);
+    cursor.renderOrder = 50000;
+    cursor.visible = false;
+    this.scene.add(cursor);
+    return cursor;
+  }
+  
+  /**
+   * Add an object tree whose buttons can be poked
+   * @param {THREE.Object3D} root - Root object (e.g. SpaceUI.root)
+   */
+  addRoot(root) {
+    if (!this.roots.includes(root)) {
+      this.roots.push(root);
+    }
+  }
+  
+  // Visible pokeable objects under the roots
+  collectTargets() {
+    const targets = [];
+    this.roots.forEach(root => {
+      root.traverseVisible(object => {
+        if (isPokeable(object) && isVisible(object)) {
+          targets.push(object);
+        }
+      });
+    });
+    return targets;
+  }
+  
+  /**
+   * Measure a fingertip against a button
+   * @param {THREE.Object3D} target - Button
+   * @param {THREE.Vector3} tip - Fingertip world position
+   * @returns {Object|null} - { distance in front of the face (negative when pressed in), inside, x, y }
+   */
+  measure(target, tip) {
+    const bounds = target.userData.pokeBounds || (target.userData.pokeBounds = getLocalBounds(target));
+    if (!bounds || !target.parent) return null;
+    
+    // Fingertip in the button's frame at its rest position (the plate moves while pressed)
+    const rest = target.userData.pokeRestZ !== undefined ? target.userData.pokeRestZ : target.position.z;
+    const scale = target.userData.baseScale || target.scale;
+    
+    this.local.copy(tip);
+    target.parent.worldToLocal(this.local);
+    this.local.set(this.local.x - target.position.x, this.local.y - target.position.y, this.local.z - rest);
+    this.local.applyQuaternion(this.inverse.copy(target.quaternion).invert()).divide(scale);
+    
+    // Button sizes are in parent units, distances are compared in meters
+    const worldScale = target.parent.getWorldScale(new THREE.Vector3()).z * scale.z;
+    
+    return {
+      distance: (this.local.z - bounds.max.z) * worldScale,
+      inside: this.local.x >= bounds.min.x && this.local.x <= bounds.max.x &&
+        this.local.y >= bounds.min.y && this.local.y <= bounds.max.y,
+      x: this.local.x,
+      y: this.local.y,
+      z: bounds.max.z
+    };
+  }
+  
+  // Closest button in front of (or being pressed by) the fingertip
+  findTarget(targets, tip) {
+    let best = null;
+    
+    targets.forEach(target => {
+      const measurement = this.measure(target, tip);
+      if (!measurement || !measurement.inside) return;
+      if (measurement.distance > this.hoverDistance || measurement.distance < -this.maxDepth) return;
+      
+      if (!best || Math.abs(measurement.distance) < Math.abs(best.measurement.distance)) {
+        best = { target, measurement };
+      }
+    });
+    
+    return best;
+  }
+  
+  // Push the plate back to follow the fingertip, or restore it
+  setPressOffset(target, depth) {
+    if (target.userData.pokeRestZ === undefined) {
+      target.userData.pokeRestZ = target.position.z;
+    }
+    target.position.z = target.userData.pokeRestZ - Math.min(Math.max(depth, 0), this.pressDepth);
+  }
+  
+  // Stop tracking the current target of a hand
+  release(state) {
+    if (state.target) {
+      this.setPressOffset(state.target, 0);
+      applyInteractionState(state.target, 'normal');
+    }
+    state.target = null;
+    state.pressing = false;
+    state.fired = false;
+    state.previousDistance = null;
+    state.cursor.visible = false;
+  }
+  
+  // Fire a button unless it was pressed too recently
+  press(target) {
+    const now = Date.now();
+    const last = this.lastPressTimes.get(target) || 0;
+    if (now - last < this.debounce) return false;
+    
+    this.lastPressTimes.set(target, now);
+    console.log('Button poked:', target.name || target.userData.id);
+    activateInteractive(target, this.onAction);
+    return true;
+  }
+  
+  // Place the ring cursor on the button face under the fingertip
+  updateCursor(state, target, measurement) {
+    const { cursor } = state;
+    const closeness = 1 - THREE.MathUtils.clamp(measurement.distance / this.hoverDistance, 0, 1);
+    
+    cursor.position.set(measurement.x, measurement.y, measurement.z + 0.001);
+    target.localToWorld(cursor.position);
+    target.getWorldQuaternion(cursor.quaternion);
+    cursor.scale.setScalar(1.5 - closeness);
+    cursor.material.color.setHex(state.pressing ? 0x00FF66 : 0x00FFFF);
+    cursor.material.opacity = 0.4 + closeness * 0.6;
+    cursor.visible = true;
+  }
+  
+  /**
+   * Track fingertips and press buttons (call once per frame)
+   */
+  update() {
+    if (!this.renderer.xr.isPresenting) {
+      this.hands.forEach(state => {
+        if (state.target) this.release(state);
+      });
+      return;
+    }
+    
+    const targets = this.collectTargets();
+    
+    this.hands.forEach(state => {
+      const joint = state.hand.joints && state.hand.joints['index-finger-tip'];
+      if (!joint || !joint.visible) {
+        this.release(state);
+        return;
+      }
+      
+      joint.getWorldPosition(this.tip);
+      
+      // Keep the button being pressed until the fingertip leaves it
+      let target = state.target;
+      let measurement = target && isVisible(target) ? this.measure(target, this.tip) : null;
+      
+      if (!state.pressing || !measurement || !measurement.inside || measurement.distance < -this.maxDepth) {
+        const found = this.findTarget(targets, this.tip);
+        if (!found || found.target !== state.target) {
+          this.release(state);
+        }
+        if (!found) return;
+        
+        target = found.target;
+        measurement = found.measurement;
+      }
+      
+      if (state.target !== target) {
+        state.target = target;
+        applyInteractionState(target, 'hover');
+      }
+      
+      const { distance } = measurement;
+      
+      // A press only starts when the fingertip crosses the face from in front
+      if (!state.pressing && distance <= 0 && state.previousDistance !== null && state.previousDistance > 0) {
+        state.pressing = true;
+        state.fired = false;
+        applyInteractionState(target, 'active');
+      }
+      
+      if (state.pressing) {
+        this.setPressOffset(target, -distance);
+        
+        if (!state.fired && -distance >= this.pressDepth) {
+          state.fired = true;
+          this.press(target);
+        }
+        
+        // Withdrawing the fingertip past the release distance ends the press
+        if (distance > this.releaseDistance) {
+          state.pressing = false;
+          state.fired = false;
+          this.setPressOffset(target, 0);
+          applyInteractionState(target, 'hover');
+        }
+      }
+      
+      state.previousDistance = distance;
+      this.updateCursor(state, target, measurement);
+    });
+  }
+}
+
+export default PokeInteraction;
@@ -0,0 +1,311 @@
+/**
+ * Procedure loader - Parses and validates declarative EVA procedure files
+ *
+ * Procedure file format (JSON):
+ * {
+ *   "id": "eva-egress",
+ *   "title": "EVA Egress",
+ *   "subtitle": "Connect UIA to DCU and Start Depress",      (optional)
+ *   "steps": [
+ *     {
+ *       "id": "emu-power-on",
+ *       "label": "EMU PWR - ON",
+ *       "category": "UIA",                                   (optional)
+ *       "assignee": "EV1" | "EV2" | "BOTH",                  (optional, default BOTH)
+ *       "autoComplete": <condition>,                         (optional)
+ *       "branches": [{ "when": <condition>, "goto": "<step id>" }],  (optional)
+ *       "steps": [ ...sub-steps ]                            (optional)
+ *     }
+ *   ]
+ * }
+ *
+ * A condition compares a telemetry channel with a value, or combines conditions:
+ *   { "channel": "o2Primary", "op": "<", "value": 20 }
+ *   { "all": [<condition>, ...] }
+ *   { "any": [<condition>, ...] }
+ *
+ * Keys not listed here are rejected, so a misspelt key fails validation.
+ */
+import { TELEMETRY_CHANNELS } from './telemetry.js';
+
+export const CONDITION_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const ASSIGNEES = ['EV1', 'EV2', 'BOTH'];
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Keys allowed on each kind of object, so a misspelt key is reported rather than ignored
+const PROCEDURE_KEYS = ['id', 'title', 'subtitle', 'steps'];
+const STEP_KEYS = ['id', 'label', 'category', 'assignee', 'autoComplete', 'branches', 'steps'];
+const BRANCH_KEYS = ['when', 'goto'];
+const COMPARISON_KEYS = ['channel', 'op', 'value'];
+
+/**
+ * Error thrown for a malformed procedure file; `errors` lists every problem found
+ */
+export class ProcedureValidationError extends Error {
+  constructor(source, errors) {
+    super(`Invalid procedure ${source}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ProcedureValidationError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Evaluate a condition against telemetry values
+ * @param {Object} condition - Condition object
+ * @param {Function} getValue - Returns the latest value of a channel
+ * @returns {boolean} - True when the condition holds (false when data is missing)
+ */
+export function evaluateCondition(condition, getValue) {
+  if (condition.all) {
+    return condition.all.every(part => evaluateCondition(part, getValue));
+  }
+  
+  if (condition.any) {
+    return condition.any.some(part => evaluateCondition(part, getValue));
+  }
+  
+  const value = getValue(condition.channel);
+  if (value === undefined) return false;
+  
+  return CONDITION_OPERATORS[condition.op](value, condition.value);
+}
+
+/**
+ * Describe a condition for display, e.g. "O2 < 20"
+ * @param {Object} condition - Condition object
+ * @param {Object} channels - Channel definitions
+ * @returns {string} - Readable condition
+ */
+export function describeCondition(condition, channels = TELEMETRY_CHANNELS) {
+  if (condition.all) return condition.all.map(part => describeCondition(part, channels)).join(' and ');
+  if (condition.any) return condition.any.map(part => describeCondition(part, channels)).join(' or ');
+  
+  const channel = channels[condition.channel];
+  const label = channel ? channel.label : condition.channel;
+  const value = channel && channel.format ? channel.format(condition.value) : condition.value;
+  return `${label} ${condition.op} ${value}`;
+}
+
+// Report keys of an object that are not in allowed, e.g. "steps[0].autocomplete: unknown key"
+function validateKeys(object, allowed, path, errors) {
+  Object.keys(object).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push(`${path ? `${path}.` : ''}${key}: unknown key`);
+    }
+  });
+}
+
+// Validate a condition, appending problems to errors
+function validateCondition(condition, path, channels, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path}: condition must be an object`);
+    return;
+  }
+  
+  if ('all' in condition || 'any' in condition) {
+    const key = 'all' in condition ? 'all' : 'any';
+    validateKeys(condition, [key], path, errors);
+    if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+      errors.push(`${path}.${key}: must be a non-empty array of conditions`);
+      return;
+    }
+    condition[key].forEach((part, index) => validateCondition(part, `${path}.${key}[${index}]`, channels, errors));
+    return;
+  }
+  
+  validateKeys(condition, COMPARISON_KEYS, path, errors);
+  
+  const channel = channels[condition.channel];
+  if (typeof condition.channel !== 'string') {
+    errors.push(`${path}.channel: required`);
+  } else if (!channel) {
+    errors.push(`${path}.channel: unknown telemetry channel "${condition.channel}"`);
+  }
+  
+  if (!(condition.op in CONDITION_OPERATORS)) {
+    errors.push(`${path}.op: must be one of ${Object.keys(CONDITION_OPERATORS).join(' ')}, got "${condition.op}"`);
+  }
+  
+  if (!('value' in condition)) {
+    errors.push(`${path}.value: required`);
+  } else if (channel) {
+    const expected = channel.type === 'boolean' ? 'boolean' : 'number';
+    if (typeof condition.value !== expected) {
+      errors.push(`${path}.value: channel "${condition.channel}" is a ${expected}, got ${JSON.stringify(condition.value)}`);
+    } else if (expected === 'boolean' && !['==', '!='].includes(condition.op)) {
+      errors.push(`${path}.op: boolean channel "${condition.channel}" only supports == and !=`);
+    }
+  }
+}
+
+// Validate a list of steps recursively, collecting ids and branch targets
+function validateSteps(steps, path, channels, errors, ids, targets) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`${path}: must be a non-empty array of steps`);
+    return;
+  }
+  
+  steps.forEach((step, index) => {
+    const stepPath = `${path}[${index}]`;
+    
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      errors.push(`${stepPath}: step must be an object`);
+      return;
+    }
+    
+    validateKeys(step, STEP_KEYS, stepPath, errors);
+    
+    if (typeof step.id !== 'string' || !ID_PATTERN.test(step.id)) {
+      errors.push(`${stepPath}.id: required, letters, digits, "-" and "_" only`);
+    } else if (ids.has(step.id)) {
+      errors.push(`${stepPath}.id: duplicate step id "${step.id}"`);
+    } else {
+      ids.add(step.id);
+    }
+    
+    if (typeof step.label !== 'string' || step.label.trim() === '') {
+      errors.push(`${stepPath}.label: required`);
+    }
+    
+    if ('category' in step && typeof step.category !== 'string') {
+      errors.push(`${stepPath}.category: must be a string`);
+    }
+    
+    if ('assignee' in step && !ASSIGNEES.includes(step.assignee)) {
+      errors.push(`${stepPath}.assignee: must be one of ${ASSIGNEES.join(', ')}, got "${step.assignee}"`);
+    }
+    
+    if ('autoComplete' in step) {
+      if (step.steps) {
+        errors.push(`${stepPath}.autoComplete: not allowed on a step with sub-steps`);
+      }
+      validateCondition(step.autoComplete, `${stepPath}.autoComplete`, channels, errors);
+    }
+    
+    if ('branches' in step) {
+      if (!Array.isArray(step.branches)) {
+        errors.push(`${stepPath}.branches: must be an array`);
+      } else {
+        step.branches.forEach((branch, branchIndex) => {
+          const branchPath = `${stepPath}.branches[${branchIndex}]`;
+          if (branch && typeof branch === 'object') {
+            validateKeys(branch, BRANCH_KEYS, branchPath, errors);
+          }
+          validateCondition(branch && branch.when, `${branchPath}.when`, channels, errors);
+          
+          if (!branch || typeof branch.goto !== 'string') {
+            errors.push(`${branchPath}.goto: required step id`);
+          } else {
+            targets.push({ path: `${branchPath}.goto`, id: branch.goto });
+          }
+        });
+      }
+    }
+    
+    if ('steps' in step) {
+      validateSteps(step.steps, `${stepPath}.steps`, channels, errors, ids, targets);
+    }
+  });
+}
+
+/**
+ * Validate a procedure definition
+ * @param {Object} definition - Parsed procedure
+ * @param {Object} options - { channels: telemetry channel definitions }
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+export function validateProcedure(definition, options = {}) {
+  const {
+    channels = TELEMETRY_CHANNELS
+  } = options;
+  
+  const errors = [];
+  
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['procedure must be a JSON object'];
+  }
+  
+  validateKeys(definition, PROCEDURE_KEYS, '', errors);
+  
+  if (typeof definition.id !== 'string' || !ID_PATTERN.test(definition.id)) {
+    errors.push('id: required, letters, digits, "-" and "_" only');
+  }
+  
+  if (typeof definition.title !== 'string' || definition.title.trim() === '') {
+    errors.push('title: required');
+  }
+  
+  if ('subtitle' in definition && typeof definition.subtitle !== 'string') {
+    errors.push('subtitle: must be a string');
+  }
+  
+  const ids = new Set();
+  const targets = [];
+  validateSteps(definition.steps, 'steps', channels, errors, ids, targets);
+  
+  // Branch targets can point anywhere in the procedure, so check them last
+  targets.forEach(target => {
+    if (!ids.has(target.id)) {
+      errors.push(`${target.path}: unknown step "${target.id}"`);
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Parse and validate procedure text or an already parsed object
+ * @param {string|Object} input - JSON text or object
+ * @param {Object} options - { source: name used in errors, channels }
+ * @returns {Object} - Valid procedure definition
+ * @throws {ProcedureValidationError} - When the procedure is malformed
+ */
+export function parseProcedure(input, options = {}) {
+  const {
+    source = '(inline)'
+  } = options;
+  
+  let definition = input;
+  if (typeof input === 'string') {
+    try {
+      definition = JSON.parse(input);
+    } catch (error) {
+      throw new ProcedureValidationError(source, [`not valid JSON: ${error.message}`]);
+    }
+  }
+  
+  const errors = validateProcedure(definition, options);
+  if (errors.length > 0) {
+    throw new ProcedureValidationError(source, errors);
+  }
+  
+  return definition;
+}
+
+/**
+ * Fetch, parse and validate a procedure file
+ * @param {string} url - Procedure file URL
+ * @param {Object} options - { fetch, channels }
+ * @returns {Promise<Object>} - Valid procedure definition
+ */
+export async function loadProcedure(url, options = {}) {
+  const {
+    fetch = (...args) => window.fetch(...args)
+  } = options;
+  
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load procedure ${url}: HTTP ${response.status}`);
+  }
+  
+  return parseProcedure(await response.text(), { ...options, source: url });
+}
@@ -0,0 +1,329 @@
+/**
+ * ProcedureManager - Tracks progress through EVA procedures (checklists)
+ *
+ * Procedures are declarative definitions (see procedureLoader.js). Nested
+ * sub-steps are flattened into one list; steps with sub-steps act as group
+ * headers and complete once all their sub-steps are complete. When attached
+ * to telemetry, the current step completes itself when its autoComplete
+ * condition holds, and jumps to another step when a branch condition holds.
+ */
+import { parseProcedure, evaluateCondition, describeCondition } from './procedureLoader.js';
+
+// Flatten nested steps into display order
+function flattenSteps(steps, depth = 0, parent = null, result = []) {
+  steps.forEach(step => {
+    const { steps: children, ...fields } = step;
+
+    const entry = {
+      category: parent ? parent.category : 'General',
+      assignee: parent ? parent.assignee : 'BOTH',
+      ...fields,
+      depth,
+      parentId: parent ? parent.id : null,
+      isGroup: Array.isArray(children),
+      completed: false
+    };
+    result.push(entry);
+    
+    if (children) {
+      flattenSteps(children, depth + 1, entry, result);
+    }
+  });
+  
+  return result;
+}
+
+class ProcedureManager {
+  constructor(options = {}) {
+    const {
+      procedures = [],
+      crewMember = 'EV1'
+    } = options;
+    
+    // Procedure library by id
+    this.library = new Map();
+    procedures.forEach(procedure => this.register(procedure));
+    
+    // Crew member viewing this HUD ('EV1' or 'EV2')
+    this.crewMember = crewMember;
+    
+    this.procedure = null;
+    this.steps = [];
+    this.currentIndex = 0;
+    this.listeners = new Set();
+    
+    // Telemetry used for autoComplete and branch conditions
+    this.telemetry = null;
+    this.unsubscribe = null;
+    this.evaluating = false;
+  }
+  
+  /**
+   * Add a procedure to the library
+   * @param {Object} procedure - Procedure definition (validated before it is added)
+   */
+  register(procedure) {
+    const definition = parseProcedure(procedure, { source: procedure.id || '(inline)' });
+    this.library.set(definition.id, definition);
+  }
+  
+  /**
+   * Evaluate step conditions whenever telemetry changes
+   * @param {TelemetryService} telemetry - Telemetry service
+   */
+  attach(telemetry) {
+    this.detach();
+    
+    this.telemetry = telemetry;
+    this.unsubscribe = telemetry.subscribe('*', () => this.evaluateConditions());
+  }
+  
+  detach() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.telemetry = null;
+  }
+  
+  /**
+   * Start a procedure from the library (or a procedure definition)
+   * @param {string|Object} procedure - Procedure id or definition
+   * @returns {Object} - The loaded procedure
+   */
+  load(procedure) {
+    const definition = typeof procedure === 'string' ? this.library.get(procedure) : parseProcedure(procedure);
+    if (!definition) {
+      throw new Error(`ProcedureManager: unknown procedure "${procedure}"`);
+    }
+    
+    this.procedure = definition;
+    this.steps = flattenSteps(definition.steps);
+    this.currentIndex = this.findStep(0, 1);
+    
+    this.emit('loaded');
+    this.evaluateConditions();
+    return definition;
+  }
+  
+  // Find the next actionable (non-group) step from an index in a direction
+  findStep(from, direction, predicate = () => true) {
+    for (let i = from; i >= 0 && i < this.steps.length; i += direction) {
+      if (!this.steps[i].isGroup && predicate(this.steps[i])) return i;
+    }
+    return -1;
+  }
+  
+  /**
+   * Get the step the crew is currently on
+   * @returns {Object|null} - Current step
+   */
+  getCurrentStep() {
+    return this.steps[this.currentIndex] || null;
+  }
+  
+  /**
+   * Get the steps assigned to a crew member
+   * @param {string} crewMember - 'EV1' or 'EV2' (defaults to this HUD's crew member)
+   * @returns {Array} - Steps assigned to that crew member or to both
+   */
+  getStepsFor(crewMember = this.crewMember) {
+    return this.steps.filter(step => step.assignee === 'BOTH' || step.assignee === crewMember);
+  }
+  
+  /**
+   * Move to the next step
+   * @returns {Object|null} - New current step
+   */
+  next() {
+    const index = this.findStep(this.currentIndex + 1, 1);
+    if (index !== -1) {
+      this.moveTo(index);
+    }
+    return this.getCurrentStep();
+  }
+  
+  /**
+   * Move to the previous step
+   * @returns {Object|null} - New current step
+   */
+  previous() {
+    const index = this.findStep(this.currentIndex - 1, -1);
+    if (index !== -1) {
+      this.moveTo(index);
+    }
+    return this.getCurrentStep();
+  }
+  
+  /**
+   * Jump to a step by id
+   * @param {string} stepId - Target step (a group id jumps to its first sub-step)
+   * @returns {Object|null} - New current step
+   */
+  goTo(stepId) {
+    const target = this.steps.findIndex(step => step.id === stepId);
+    if (target === -1) {
+      throw new Error(`ProcedureManager: unknown step "${stepId}"`);
+    }
+    
+    this.moveTo(this.findStep(target, 1));
+    return this.getCurrentStep();
+  }
+  
+  moveTo(index) {
+    if (index === -1 || index === this.currentIndex) return;
+    
+    this.currentIndex = index;
+    this.emit('moved');
+    this.evaluateConditions();
+  }
+  
+  /**
+   * Mark a step complete and advance to the next incomplete step
+   * @param {string} stepId - Step id (defaults to the current step)
+   * @returns {boolean} - True when the step was newly completed
+   */
+  completeStep(stepId = null) {
+    const step = stepId ? this.steps.find(candidate => candidate.id === stepId) : this.getCurrentStep();
+    if (!step || step.completed || step.isGroup) return false;
+    
+    step.completed = true;
+    step.completedAt = Date.now();
+    this.emit('completed', step);
+    
+    this.updateGroups();
+    
+    // Advance past finished steps
+    const nextIndex = this.findStep(0, 1, candidate => !candidate.completed);
+    if (nextIndex === -1) {
+      this.emit('finished');
+    } else if (step === this.steps[this.currentIndex]) {
+      const after = this.findStep(this.currentIndex + 1, 1, candidate => !candidate.completed);
+      this.moveTo(after === -1 ? nextIndex : after);
+    }
+    
+    return true;
+  }
+  
+  // Complete group headers whose sub-steps are all complete
+  updateGroups() {
+    [...this.steps].reverse().forEach(group => {
+      if (!group.isGroup || group.completed) return;
+      
+      const children = this.steps.filter(step => step.parentId === group.id);
+      if (children.every(child => child.completed)) {
+        group.completed = true;
+        group.completedAt = Date.now();
+      }
+    });
+  }
+  
+  // Branching back re-opens every step between the target and the current step
+  reopenFrom(stepId) {
+    const target = this.steps.findIndex(step => step.id === stepId);
+    if (target === -1 || target > this.currentIndex) return;
+    
+    for (let i = target; i <= this.currentIndex; i++) {
+      this.steps[i].completed = false;
+      delete this.steps[i].completedAt;
+    }
+    
+    // Parent groups of re-opened steps are no longer complete either
+    this.steps.forEach(group => {
+      if (group.isGroup && this.steps.some(step => step.parentId === group.id && !step.completed)) {
+        group.completed = false;
+      }
+    });
+  }
+  
+  /**
+   * Apply autoComplete and branch conditions of the current step
+   */
+  evaluateConditions() {
+    if (!this.telemetry || this.evaluating) return;
+    
+    const getValue = (channel) => this.telemetry.getValue(channel);
+    
+    // Guard against re-entry: completing or branching moves to a new step,
+    // which evaluates again; limit the chain to the length of the procedure
+    this.evaluating = true;
+    try {
+      for (let hops = 0; hops < this.steps.length; hops++) {
+        const step = this.getCurrentStep();
+        if (!step) break;
+        
+        const branch = (step.branches || []).find(candidate => evaluateCondition(candidate.when, getValue));
+        if (branch) {
+          console.log(`Procedure branch: ${describeCondition(branch.when)} -> ${branch.goto}`);
+          this.emit('branched', step);
+          const previous = this.currentIndex;
+          this.reopenFrom(branch.goto);
+          this.goTo(branch.goto);
+          if (this.currentIndex === previous) break;
+          continue;
+        }
+        
+        if (!step.completed && step.autoComplete && evaluateCondition(step.autoComplete, getValue)) {
+          if (!this.completeStep(step.id) || this.getCurrentStep() === step) break;
+          continue;
+        }
+        
+        break;
+      }
+    } finally {
+      this.evaluating = false;
+    }
+  }
+  
+  /**
+   * Clear completion state of every step
+   */
+  reset() {
+    this.steps.forEach(step => {
+      step.completed = false;
+      delete step.completedAt;
+    });
+    this.currentIndex = this.findStep(0, 1);
+    this.emit('loaded');
+  }
+  
+  /**
+   * Check whether every step is complete
+   * @returns {boolean} - True when finished
+   */
+  isComplete() {
+    return this.steps.length > 0 && this.steps.every(step => step.completed);
+  }
+  
+  /**
+   * Snapshot of progress for rendering
+   * @returns {Object} - { title, subtitle, steps, currentIndex, completedCount }
+   */
+  getState() {
+    return {
+      title: this.procedure ? this.procedure.title : '',
+      subtitle: this.procedure ? this.procedure.subtitle || '' : '',
+      steps: this.steps,
+      currentIndex: this.currentIndex,
+      completedCount: this.steps.filter(step => step.completed).length
+    };
+  }
+  
+  /**
+   * Listen for progress changes
+   * @param {Function} callback - Called with (type, step, state) where type is
+   *   'loaded', 'moved', 'completed', 'branched' or 'finished'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type, step = this.getCurrentStep()) {
+    const state = this.getState();
+    this.listeners.forEach(callback => callback(type, step, state));
+  }
+}
+
+export default ProcedureManager;
@@ -0,0 +1,591 @@
+/**
+ * RoutePlanner - Plans walking routes between waypoints across the terrain
+ *
+ * The map area is divided into a grid of cellSize meters. Cells inside hazard
+ * zones, within clearance of a rock or steeper than maxSlope are impassable;
+ * the others cost their length, weighted up with slope. Each leg between two
+ * goals is found with A* over the 8-connected grid, then straightened where
+ * there is a clear line of sight.
+ *
+ * While attached, the planner writes its route into the map model, drops
+ * goals as they are reached (marking their waypoints visited) and re-plans
+ * when the astronaut strays more than offRouteDistance from the route or the
+ * hazards change. All coordinates are map coordinates (UTM meters).
+ */
+
+// Upper bound on grid size; the cell size grows for large maps
+const MAX_CELLS = 250000;
+
+// 8-connected neighbor offsets: [dx, dy, step length in cells]
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// Minimal binary heap of grid indices ordered by a score array
+class IndexHeap {
+  constructor(scores) {
+    this.scores = scores;
+    this.items = [];
+  }
+  
+  get size() {
+    return this.items.length;
+  }
+  
+  push(index) {
+    const { items, scores } = this;
+    items.push(index);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (scores[items[parent]] <= scores[items[i]]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+  
+  pop() {
+    const { items, scores } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && scores[items[left]] < scores[items[smallest]]) smallest = left;
+        if (right < items.length && scores[items[right]] < scores[items[smallest]]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Total length of a polyline
+function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+class RoutePlanner {
+  constructor(options = {}) {
+    const {
+      mapModel,
+      cellSize = 1,
+      clearance = 0.5,
+      maxSlope = 25,
+      slopeWeight = 3,
+      heightAt = null,
+      obstacles = [],
+      offRouteDistance = 5,
+      arrivalDistance = 3,
+      replanInterval = 3000,
+      walkingSpeed = 0.8,
+      projectionLookBack = 10
+    } = options;
+    
+    if (!mapModel) {
+      throw new Error('RoutePlanner: a map model is required');
+    }
+    
+    this.model = mapModel;
+    
+    // Grid resolution and keep-out distance around rocks and hazards, in meters
+    this.cellSize = cellSize;
+    this.clearance = clearance;
+    
+    // Slope limit in degrees, and how strongly slope below the limit adds cost
+    this.maxSlope = maxSlope;
+    this.slopeWeight = slopeWeight;
+    
+    // Terrain elevation: heightAt(x, y) -> meters, or null for flat ground
+    this.heightAt = heightAt;
+    
+    // Rocks and other round obstacles: [{ x, y, radius }]
+    this.obstacles = obstacles;
+    
+    this.offRouteDistance = offRouteDistance;
+    this.arrivalDistance = arrivalDistance;
+    this.replanInterval = replanInterval;
+    
+    // Nominal walking speed in m/s for time estimates
+    this.walkingSpeed = walkingSpeed;
+    
+    // Meters behind the last projected point the astronaut is looked for along the
+    // route; ahead, the search stops at twice the distance moved since (plus the
+    // same margin), so a route that loops back is not matched on its return leg
+    this.projectionLookBack = projectionLookBack;
+    
+    // Remaining goals in order: [{ x, y, waypointId }]
+    this.goals = [];
+    
+    // Last planned route
+    this.route = [];
+    this.length = 0;
+    this.lastPlanTime = 0;
+    
+    // Route segment and point the astronaut was last projected onto
+    this.projectedSegment = 0;
+    this.projectedPoint = null;
+    
+    this.grid = null;
+    this.listeners = new Set();
+    this.unsubscribe = null;
+  }
+  
+  /**
+   * Set the goals to visit, in order
+   * @param {Array} goals - Waypoint ids or points { x, y }
+   */
+  setGoals(goals) {
+    this.goals = goals.map(goal => {
+      const waypoint = typeof goal === 'string'
+        ? this.model.getWaypoint(goal)
+        : this.model.waypoints.find(candidate => candidate.x === goal.x && candidate.y === goal.y);
+      
+      if (typeof goal === 'string' && !waypoint) {
+        throw new Error(`RoutePlanner: unknown waypoint "${goal}"`);
+      }
+      
+      const point = waypoint || goal;
+      return { x: point.x, y: point.y, waypointId: waypoint ? waypoint.id : null };
+    });
+    
+    if (this.unsubscribe) this.plan('goals');
+  }
+  
+  /**
+   * Replace the round obstacles (e.g. rocks)
+   * @param {Array} obstacles - [{ x, y, radius }]
+   */
+  setObstacles(obstacles) {
+    this.obstacles = obstacles;
+    this.invalidate();
+  }
+  
+  /**
+   * Set the terrain elevation function
+   * @param {Function|null} heightAt - (x, y) -> meters
+   */
+  setHeightAt(heightAt) {
+    this.heightAt = heightAt;
+    this.invalidate();
+  }
+  
+  // Drop the cached grid and re-plan when attached
+  invalidate() {
+    this.grid = null;
+    if (this.unsubscribe && this.route.length > 0) this.plan('terrain');
+  }
+  
+  // Grid bounds: the map bounds, grown to contain the given points
+  getGridBounds(points) {
+    const bounds = this.model.getBounds() || { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const margin = 5;
+    return {
+      minX: Math.floor(Math.min(bounds.minX, ...points.map(point => point.x - margin))),
+      minY: Math.floor(Math.min(bounds.minY, ...points.map(point => point.y - margin))),
+      maxX: Math.ceil(Math.max(bounds.maxX, ...points.map(point => point.x + margin))),
+      maxY: Math.ceil(Math.max(bounds.maxY, ...points.map(point => point.y + margin)))
+    };
+  }
+  
+  /**
+   * Build (or reuse) the cost grid covering some points
+   * @param {Array} points - Points that must lie on the grid
+   * @returns {Object} - { minX, minY, cell, cols, rows, costs } with Infinity for impassable cells
+   */
+  buildGrid(points = []) {
+    const bounds = this.getGridBounds(points);
+    const grid = this.grid;
+    if (grid && bounds.minX >= grid.minX && bounds.minY >= grid.minY &&
+        bounds.maxX <= grid.maxX && bounds.maxY <= grid.maxY) {
+      return grid;
+    }
+    
+    const spanX = bounds.maxX - bounds.minX;
+    const spanY = bounds.maxY - bounds.minY;
+    const cell = Math.max(this.cellSize, Math.sqrt(spanX * spanY / MAX_CELLS));
+    const cols = Math.max(1, Math.ceil(spanX / cell));
+    const rows = Math.max(1, Math.ceil(spanY / cell));
+    const costs = new Float32Array(cols * rows);
+    
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = bounds.minX + (col + 0.5) * cell;
+        const y = bounds.minY + (row + 0.5) * cell;
+        costs[row * cols + col] = this.model.hazardAt(x, y, this.clearance) ? Infinity : this.slopeCost(x, y, cell);
+      }
+    }
+    
+    // Rasterize obstacles over the cells they cover
+    this.obstacles.forEach(obstacle => {
+      const reach = obstacle.radius + this.clearance;
+      const minCol = Math.max(0, Math.floor((obstacle.x - reach - bounds.minX) / cell));
+      const maxCol = Math.min(cols - 1, Math.floor((obstacle.x + reach - bounds.minX) / cell));
+      const minRow = Math.max(0, Math.floor((obstacle.y - reach - bounds.minY) / cell));
+      const maxRow = Math.min(rows - 1, Math.floor((obstacle.y + reach - bounds.minY) / cell));
+      
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const x = bounds.minX + (col + 0.5) * cell;
+          const y = bounds.minY + (row + 0.5) * cell;
+          if (Math.hypot(x - obstacle.x, y - obstacle.y) <= reach) {
+            costs[row * cols + col] = Infinity;
+          }
+        }
+      }
+    });
+    
+    this.grid = { ...bounds, cell, cols, rows, costs };
+    return this.grid;
+  }
+  
+  // Cost multiplier of a cell from the terrain slope, Infinity when too steep
+  slopeCost(x, y, cell) {
+    if (!this.heightAt) return 1;
+    
+    const dx = (this.heightAt(x + cell, y) - this.heightAt(x - cell, y)) / (2 * cell);
+    const dy = (this.heightAt(x, y + cell) - this.heightAt(x, y - cell)) / (2 * cell);
+    const slope = Math.atan(Math.hypot(dx, dy)) * 180 / Math.PI;
+    if (!Number.isFinite(slope) || slope > this.maxSlope) return Infinity;
+    
+    return 1 + this.slopeWeight * (slope / this.maxSlope) ** 2;
+  }
+  
+  // Grid cell index of a point
+  cellOf(grid, point) {
+    const col = Math.min(grid.cols - 1, Math.max(0, Math.floor((point.x - grid.minX) / grid.cell)));
+    const row = Math.min(grid.rows - 1, Math.max(0, Math.floor((point.y - grid.minY) / grid.cell)));
+    return row * grid.cols + col;
+  }
+  
+  // Check a straight segment for impassable cells (the end cells are always allowed)
+  isClear(grid, from, to, allowed) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.ceil(length / (grid.cell / 2));
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const index = this.cellOf(grid, { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+      if (grid.costs[index] === Infinity && !allowed.has(index)) return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Find a path between two points
+   * @param {Object} start - { x, y }
+   * @param {Object} goal - { x, y }
+   * @returns {Object|null} - { points, length }, or null when the goal cannot be reached
+   */
+  findPath(start, goal) {
+    const grid = this.buildGrid([start, goal]);
+    const { cols, rows, costs } = grid;
+    const startIndex = this.cellOf(grid, start);
+    const goalIndex = this.cellOf(grid, goal);
+    
+    // The astronaut may stand in (and waypoints may sit in) a blocked cell
+    const allowed = new Set([startIndex, goalIndex]);
+    const passable = (index) => costs[index] !== Infinity || allowed.has(index);
+    const cellCost = (index) => (costs[index] === Infinity ? 1 : costs[index]);
+    
+    const goalCol = goalIndex % cols;
+    const goalRow = Math.floor(goalIndex / cols);
+    const heuristic = (index) => {
+      const dx = Math.abs(index % cols - goalCol);
+      const dy = Math.abs(Math.floor(index / cols) - goalRow);
+      return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * grid.cell;
+    };
+    
+    const g = new Float64Array(cols * rows).fill(Infinity);
+    const f = new Float64Array(cols * rows).fill(Infinity);
+    const cameFrom = new Int32Array(cols * rows).fill(-1);
+    const closed = new Uint8Array(cols * rows);
+    const open = new IndexHeap(f);
+    
+    g[startIndex] = 0;
+    f[startIndex] = heuristic(startIndex);
+    open.push(startIndex);
+    
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalIndex) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+      
+      const col = current % cols;
+      const row = Math.floor(current / cols);
+      
+      NEIGHBORS.forEach(([dx, dy, step]) => {
+        const nextCol = col + dx;
+        const nextRow = row + dy;
+        if (nextCol < 0 || nextCol >= cols || nextRow < 0 || nextRow >= rows) return;
+        
+        const next = nextRow * cols + nextCol;
+        if (closed[next] || !passable(next)) return;
+        
+        // No cutting corners of blocked cells on diagonal moves
+        if (dx !== 0 && dy !== 0 && (!passable(row * cols + nextCol) || !passable(nextRow * cols + col))) return;
+        
+        const cost = g[current] + step * grid.cell * (cellCost(current) + cellCost(next)) / 2;
+        if (cost < g[next]) {
+          g[next] = cost;
+          f[next] = cost + heuristic(next);
+          cameFrom[next] = current;
+          open.push(next);
+        }
+      });
+    }
+    
+    if (g[goalIndex] === Infinity) return null;
+    
+    // Walk back from the goal, using the exact start and goal points at the ends
+    const cells = [];
+    for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+      cells.unshift(index);
+    }
+    const points = cells.map(index => ({
+      x: grid.minX + (index % cols + 0.5) * grid.cell,
+      y: grid.minY + (Math.floor(index / cols) + 0.5) * grid.cell
+    }));
+    points[0] = { x: start.x, y: start.y };
+    if (points.length === 1) points.push({ x: goal.x, y: goal.y });
+    points[points.length - 1] = { x: goal.x, y: goal.y };
+    
+    const smoothed = this.smooth(grid, points, allowed);
+    return { points: smoothed, length: pathLength(smoothed) };
+  }
+  
+  // Straighten a grid path: skip ahead to the farthest point in clear line of sight
+  smooth(grid, points, allowed) {
+    // Slope-weighted terrain keeps the grid path, which already follows the cheapest
+    // ground; only points along straight runs are dropped
+    if (this.heightAt) {
+      return points.filter((point, i) => {
+        if (i === 0 || i === points.length - 1) return true;
+        const previous = points[i - 1];
+        const next = points[i + 1];
+        return (point.x - previous.x) * (next.y - point.y) !== (point.y - previous.y) * (next.x - point.x);
+      });
+    }
+    
+    const result = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      while (next > anchor + 1 && !this.isClear(grid, points[anchor], points[next], allowed)) {
+        next--;
+      }
+      result.push(points[next]);
+      anchor = next;
+    }
+    return result;
+  }
+  
+  /**
+   * Plan a route from the current position (or the first goal) through the remaining goals
+   * @param {string} reason - Why the route is planned, reported to listeners
+   * @returns {Object|null} - { route, length, reachable, reason }, or null with nothing to plan
+   */
+  plan(reason = 'manual') {
+    const { position } = this.model;
+    const start = position || this.goals[0];
+    const goals = position ? this.goals : this.goals.slice(1);
+    if (!start || goals.length === 0) return null;
+    
+    const route = [{ x: start.x, y: start.y }];
+    let reachable = true;
+    let from = start;
+    
+    goals.forEach(goal => {
+      const leg = this.findPath(from, goal);
+      if (leg) {
+        route.push(...leg.points.slice(1));
+      } else {
+        // Keep the goal on the route as a straight leg so it stays visible
+        reachable = false;
+        route.push({ x: goal.x, y: goal.y });
+        console.warn('RoutePlanner: no passable route to', goal.waypointId || goal);
+      }
+      from = goal;
+    });
+    
+    this.route = route;
+    this.length = pathLength(route);
+    this.projectedSegment = 0;
+    this.projectedPoint = null;
+    this.lastPlanTime = Date.now();
+    this.model.setRoute(route);
+    
+    const result = { route, length: this.length, reachable, reason };
+    this.emit('planned', result);
+    if (!reachable) this.emit('unreachable', result);
+    return result;
+  }
+  
+  /**
+   * Distance from a point to the planned route
+   * @param {Object} point - { x, y }
+   * @returns {number} - Meters (Infinity without a route)
+   */
+  distanceFromRoute(point) {
+    const projection = this.project(point);
+    return projection ? projection.distance : Infinity;
+  }
+  
+  /**
+   * Distance left to walk along the route from a point
+   * @param {Object} point - { x, y }; the whole route length when omitted
+   * @returns {number|null} - Meters, or null without a route
+   */
+  getRemainingDistance(point = null) {
+    if (this.route.length < 2) return null;
+    if (!point) return this.length;
+    
+    const projection = this.project(point);
+    let remaining = projection.distance + Math.hypot(
+      this.route[projection.segment + 1].x - projection.x,
+      this.route[projection.segment + 1].y - projection.y
+    );
+    for (let i = projection.segment + 2; i < this.route.length; i++) {
+      remaining += Math.hypot(this.route[i].x - this.route[i - 1].x, this.route[i].y - this.route[i - 1].y);
+    }
+    return remaining;
+  }
+  
+  /**
+   * Estimated walking time along the rest of the route
+   * @param {Object} point - { x, y }
+   * @returns {number|null} - Seconds at the nominal walking speed
+   */
+  getRemainingTime(point = null) {
+    const remaining = this.getRemainingDistance(point);
+    return remaining === null ? null : remaining / this.walkingSpeed;
+  }
+  
+  // Closest point of the route to a point: { x, y, segment, distance }, searching
+  // the stretch around the point last projected onto
+  project(point) {
+    const segmentLength = (i) => Math.hypot(this.route[i + 1].x - this.route[i].x, this.route[i + 1].y - this.route[i].y);
+    
+    let first = Math.min(this.projectedSegment, Math.max(0, this.route.length - 2));
+    for (let behind = 0; first > 0 && behind < this.projectionLookBack; first--) {
+      behind += segmentLength(first - 1);
+    }
+    
+    const from = this.projectedPoint;
+    const reach = from
+      ? 2 * Math.hypot(point.x - from.x, point.y - from.y) + this.projectionLookBack
+      : Infinity;
+    
+    let best = null;
+    let ahead = 0;
+    for (let i = first; i < this.route.length - 1; i++) {
+      if (i > this.projectedSegment) {
+        if (ahead > reach) break;
+        ahead += segmentLength(i - 1);
+      }
+      
+      const a = this.route[i];
+      const b = this.route[i + 1];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq)) : 0;
+      const x = a.x + dx * t;
+      const y = a.y + dy * t;
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (!best || distance < best.distance) {
+        best = { x, y, segment: i, distance };
+      }
+    }
+    
+    if (best) {
+      this.projectedSegment = best.segment;
+      this.projectedPoint = { x: best.x, y: best.y };
+    }
+    return best;
+  }
+  
+  // Advance goals on arrival and re-plan when off route
+  checkProgress() {
+    const { position } = this.model;
+    if (!position || this.goals.length === 0) return;
+    
+    const goal = this.goals[0];
+    if (Math.hypot(goal.x - position.x, goal.y - position.y) <= this.arrivalDistance) {
+      this.goals.shift();
+      
+      const waypoint = goal.waypointId && this.model.getWaypoint(goal.waypointId);
+      if (waypoint && waypoint.type !== 'base') {
+        this.model.updateWaypoint(waypoint.id, { visited: true });
+      }
+      
+      this.emit('arrived', { goal, waypoint: waypoint || null, remaining: this.goals.length });
+      this.plan('arrived');
+      return;
+    }
+    
+    if (this.route.length === 0) {
+      this.plan('position');
+      return;
+    }
+    
+    const distance = this.distanceFromRoute(position);
+    if (distance > this.offRouteDistance && Date.now() - this.lastPlanTime >= this.replanInterval) {
+      this.emit('offRoute', { position, distance });
+      this.plan('offRoute');
+    }
+  }
+  
+  /**
+   * Follow the map model: track progress on position updates, re-plan when hazards change
+   */
+  attach() {
+    this.detach();
+    
+    this.unsubscribe = this.model.subscribe(type => {
+      if (type === 'position') {
+        this.checkProgress();
+      } else if (type === 'hazards' || type === 'bounds') {
+        this.grid = null;
+        if (this.route.length > 0) this.plan(type);
+      }
+    });
+    
+    this.plan('attach');
+  }
+  
+  detach() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+  
+  /**
+   * Listen for planner events
+   * @param {Function} callback - Called with (type, detail) where type is
+   *   'planned', 'unreachable', 'arrived' or 'offRoute'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+}
+
+export default RoutePlanner;
@@ -0,0 +1,524 @@
+import * as THREE from 'three';
+
+/**
+ * SDF text - Text meshes sized in meters, drawn from a signed distance field atlas
+ *
+ * Glyphs are rasterized with the canvas on first use, turned into a signed
+ * distance field (Felzenszwalb & Huttenlocher's exact distance transform, as
+ * in Mapbox's TinySDF) and packed into a shared atlas texture per font. Each
+ * text is one mesh with a quad per glyph; the shader thresholds the distance
+ * with screen-space derivatives, so edges stay sharp at any size or headset
+ * resolution, and draws an outline for contrast against the terrain.
+ *
+ * Text options:
+ *   text          - string; '\n' starts a new line
+ *   textSize      - em size in meters
+ *   color, outlineColor - CSS colors
+ *   outlineWidth  - outline around the glyphs, as a fraction of the em (0 for none)
+ *   opacity
+ *   align         - 'left', 'center' or 'right'
+ *   verticalAlign - 'top', 'middle' or 'bottom'
+ *   lineHeight    - line spacing, as a multiple of textSize
+ *   maxWidth, maxHeight - box the text is laid out in (meters); the mesh origin is
+ *                   its center. Unbounded sides align to the origin instead
+ *   wrap          - break lines at spaces (and inside words longer than maxWidth)
+ *   maxLines      - lines kept before the rest is cut
+ *   ellipsis      - marks cut text ('…'); null to cut without a mark
+ *   autoFit       - shrink the font, down to minTextSize, before cutting text
+ *   minTextSize   - smallest font autoFit uses (meters)
+ */
+
+// Default text options
+export const TEXT_DEFAULTS = {
+  text: '',
+  textSize: 0.03,
+  color: '#FFFFFF',
+  outlineColor: '#000000',
+  outlineWidth: 0.08,
+  opacity: 1,
+  align: 'center',
+  verticalAlign: 'middle',
+  lineHeight: 1.2,
+  maxWidth: Infinity,
+  maxHeight: Infinity,
+  wrap: true,
+  maxLines: Infinity,
+  ellipsis: '…',
+  autoFit: false,
+  minTextSize: 0.012,
+  fontFamily: 'Arial',
+  fontWeight: 'bold',
+  depthTest: false
+};
+
+const INF = 1e20;
+
+// One-dimensional squared distance transform of grid[offset + i * stride], in place
+function edt1d(grid, offset, stride, length, f, v, z) {
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+  f[0] = grid[offset];
+  
+  for (let q = 1, k = 0, s = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+    const q2 = q * q;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q2 - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+    
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+  
+  for (let q = 0, k = 0; q < length; q++) {
+    while (z[k + 1] < q) k++;
+    const r = v[k];
+    const qr = q - r;
+    grid[offset + q * stride] = f[r] + qr * qr;
+  }
+}
+
+// Two-dimensional squared distance transform: columns, then rows
+function edt(grid, width, height) {
+  const size = Math.max(width, height);
+  const f = new Float64Array(size);
+  const v = new Uint16Array(size);
+  const z = new Float64Array(size + 1);
+  
+  for (let x = 0; x < width; x++) edt1d(grid, x, width, height, f, v, z);
+  for (let y = 0; y < height; y++) edt1d(grid, y * width, 1, width, f, v, z);
+}
+
+/**
+ * GlyphAtlas - Distance fields of the glyphs of one font, packed into a texture
+ */
+export class GlyphAtlas {
+  constructor(options = {}) {
+    const {
+      fontFamily = 'Arial',
+      fontWeight = 'bold',
+      size = 48,
+      buffer = 8,
+      radius = 12,
+      cutoff = 0.25,
+      textureSize = 1024
+    } = options;
+    
+    this.fontFamily = fontFamily;
+    this.fontWeight = fontWeight;
+    
+    // Em size of the rasterized glyphs and the empty border around them (pixels)
+    this.size = size;
+    this.buffer = buffer;
+    
+    // Distance covered by the field (pixels), and the share of it inside the glyphs:
+    // the glyph edge is at 1 - cutoff in the texture
+    this.radius = radius;
+    this.cutoff = cutoff;
+    
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.font = `${fontWeight} ${size}px ${fontFamily}`;
+    
+    this.textureSize = textureSize;
+    this.data = new Uint8Array(textureSize * textureSize);
+    this.texture = new THREE.DataTexture(this.data, textureSize, textureSize, THREE.RedFormat, THREE.UnsignedByteType);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+    this.texture.generateMipmaps = false;
+    this.texture.needsUpdate = true;
+    
+    // Shelf packing cursor
+    this.packX = 0;
+    this.packY = 0;
+    this.shelfHeight = 0;
+    this.full = false;
+    
+    // Glyph metrics by character: { x, y, width, height, left, top, advance } in pixels
+    this.glyphs = new Map();
+  }
+  
+  /**
+   * Metrics of a glyph, rasterizing it on first use
+   * @param {string} char - One character
+   * @returns {Object} - { x, y, width, height, left, top, advance }; width 0 for
+   *   glyphs with nothing to draw
+   */
+  getGlyph(char) {
+    if (!this.glyphs.has(char)) {
+      this.glyphs.set(char, this.rasterize(char));
+    }
+    return this.glyphs.get(char);
+  }
+  
+  /**
+   * Advance width of a string at the atlas size, without kerning
+   * @param {string} text - Text
+   * @returns {number} - Pixels
+   */
+  measure(text) {
+    let width = 0;
+    for (const char of text) width += this.getGlyph(char).advance;
+    return width;
+  }
+  
+  // Draw a glyph, compute its distance field and copy it into the atlas
+  rasterize(char) {
+    const { context, buffer } = this;
+    context.font = this.font;
+    context.textBaseline = 'alphabetic';
+    context.textAlign = 'left';
+    
+    const metrics = context.measureText(char);
+    const advance = metrics.width;
+    const left = Math.ceil(metrics.actualBoundingBoxLeft || 0);
+    const top = Math.ceil(metrics.actualBoundingBoxAscent || 0);
+    const glyphWidth = Math.max(0, Math.ceil((metrics.actualBoundingBoxRight || 0) + left));
+    const glyphHeight = Math.max(0, top + Math.ceil(metrics.actualBoundingBoxDescent || 0));
+    
+    if (glyphWidth === 0 || glyphHeight === 0) {
+      return { x: 0, y: 0, width: 0, height: 0, left: 0, top: 0, advance };
+    }
+    
+    const width = glyphWidth + buffer * 2;
+    const height = glyphHeight + buffer * 2;
+    const slot = this.allocate(width, height);
+    if (!slot) {
+      return { x: 0, y: 0, width: 0, height: 0, left: 0, top: 0, advance };
+    }
+    
+    this.canvas.width = width;
+    this.canvas.height = height;
+    context.font = this.font;
+    context.textBaseline = 'alphabetic';
+    context.textAlign = 'left';
+    context.fillStyle = '#000000';
+    context.clearRect(0, 0, width, height);
+    context.fillText(char, buffer + left, buffer + top);
+    const { data } = context.getImageData(0, 0, width, height);
+    
+    // Squared distance from each pixel to the glyph (outer) and, inside the glyph,
+    // to the background (inner); partially covered pixels sit near the edge
+    const outer = new Float64Array(width * height);
+    const inner = new Float64Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const coverage = data[i * 4 + 3] / 255;
+      if (coverage === 0) {
+        outer[i] = INF;
+        inner[i] = 0;
+      } else if (coverage === 1) {
+        outer[i] = 0;
+        inner[i] = INF;
+      } else {
+        const d = 0.5 - coverage;
+        outer[i] = d > 0 ? d * d : 0;
+        inner[i] = d < 0 ? d * d : 0;
+      }
+    }
+    edt(outer, width, height);
+    edt(inner, width, height);
+    
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const distance = Math.sqrt(outer[i]) - Math.sqrt(inner[i]);
+        const value = Math.round(255 - 255 * (distance / this.radius + this.cutoff));
+        this.data[(slot.y + y) * this.textureSize + slot.x + x] = Math.max(0, Math.min(255, value));
+      }
+    }
+    this.texture.needsUpdate = true;
+    
+    return { x: slot.x, y: slot.y, width, height, left, top, advance };
+  }
+  
+  // Space for a glyph, on the current shelf or a new one; null when the atlas is full
+  allocate(width, height) {
+    if (this.packX + width > this.textureSize) {
+      this.packX = 0;
+      this.packY += this.shelfHeight;
+      this.shelfHeight = 0;
+    }
+    if (this.packY + height > this.textureSize) {
+      if (!this.full) console.warn(`GlyphAtlas: no room left for glyphs of ${this.font}`);
+      this.full = true;
+      return null;
+    }
+    
+    const slot = { x: this.packX, y: this.packY };
+    this.packX += width;
+    this.shelfHeight = Math.max(this.shelfHeight, height);
+    return slot;
+  }
+}
+
+// One atlas per font, shared by all texts
+const atlases = new Map();
+
+/**
+ * Atlas of a font
+ * @param {string} fontFamily - CSS font family
+ * @param {string} fontWeight - CSS font weight
+ * @returns {GlyphAtlas} - Shared atlas
+ */
+export function getGlyphAtlas(fontFamily = 'Arial', fontWeight = 'bold') {
+  const key = `${fontWeight} ${fontFamily}`;
+  if (!atlases.has(key)) {
+    atlases.set(key, new GlyphAtlas({ fontFamily, fontWeight }));
+  }
+  return atlases.get(key);
+}
+
+// Break a paragraph into lines no wider than maxWidth (pixels)
+function wrapParagraph(atlas, paragraph, maxWidth) {
+  const lines = [];
+  let line = '';
+  
+  // Runs of spaces separate words like one space, so no line starts or ends with one
+  paragraph.trim().split(/ +/).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (atlas.measure(candidate) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+    if (line) lines.push(line);
+    
+    // Words wider than the box are broken between characters
+    line = '';
+    for (const char of word) {
+      if (line && atlas.measure(line + char) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  });
+  
+  lines.push(line);
+  return lines;
+}
+
+// Shorten a line until it fits maxWidth (pixels) with the ellipsis appended
+function ellipsize(atlas, line, ellipsis, maxWidth) {
+  const chars = Array.from(line.trimEnd());
+  while (chars.length && atlas.measure(chars.join('') + ellipsis) > maxWidth) chars.pop();
+  return chars.join('').trimEnd() + ellipsis;
+}
+
+/**
+ * Break text into lines that fit a box
+ * @param {GlyphAtlas} atlas - Font atlas
+ * @param {Object} options - Text options
+ * @returns {Object} - { lines, textSize, truncated }: the lines to draw, the font size
+ *   used (smaller than asked when auto-fitted), and whether text was cut
+ */
+export function layoutText(atlas, options) {
+  const { text, maxWidth, maxHeight, wrap, maxLines, ellipsis, autoFit, lineHeight } = options;
+  const paragraphs = String(text).split('\n');
+  
+  const fit = (textSize) => {
+    const scale = textSize / atlas.size;
+    const width = maxWidth / scale;
+    const lines = wrap && Number.isFinite(width)
+      ? paragraphs.flatMap(paragraph => wrapParagraph(atlas, paragraph, width))
+      : paragraphs;
+    const allowed = Math.max(1, Math.min(maxLines, Math.floor(maxHeight / (textSize * lineHeight) + 1e-6)));
+    const fits = lines.length <= allowed && lines.every(line => atlas.measure(line) <= width);
+    return { lines, allowed, width, fits };
+  };
+  
+  let textSize = options.textSize;
+  let result = fit(textSize);
+  while (autoFit && !result.fits && textSize > options.minTextSize) {
+    textSize = Math.max(options.minTextSize, textSize * 0.9);
+    result = fit(textSize);
+  }
+  if (result.fits) return { lines: result.lines, textSize, truncated: false };
+  
+  // Cut to the lines that fit, marking the last one kept and any that run too wide
+  const mark = ellipsis || '';
+  const lines = result.lines.slice(0, result.allowed).map((line, i) => {
+    const cut = i === result.allowed - 1 && result.lines.length > result.allowed;
+    if (!cut && atlas.measure(line) <= result.width) return line;
+    return ellipsize(atlas, line, mark, result.width);
+  });
+  return { lines, textSize, truncated: true };
+}
+
+const vertexShader = `
+  varying vec2 vUv;
+  
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D map;
+  uniform vec3 color;
+  uniform vec3 outlineColor;
+  uniform float opacity;
+  uniform float edge;
+  uniform float outline;
+  varying vec2 vUv;
+  
+  void main() {
+    float distance = texture2D(map, vUv).r;
+    
+    // Antialias over about one screen pixel, whatever the distance to the text
+    float smoothing = max(fwidth(distance) * 0.7, 0.001);
+    float fill = smoothstep(edge - smoothing, edge + smoothing, distance);
+    float border = outline > 0.0 ? smoothstep(edge - outline - smoothing, edge - outline + smoothing, distance) : 0.0;
+    
+    float alpha = max(fill, border) * opacity;
+    if (alpha < 0.01) discard;
+    
+    gl_FragColor = vec4(mix(outlineColor, color, fill), alpha);
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * SDFText - Mesh of a text block, laid out in meters
+ */
+class SDFText extends THREE.Mesh {
+  constructor(options = {}) {
+    const settings = { ...TEXT_DEFAULTS, ...options };
+    const atlas = getGlyphAtlas(settings.fontFamily, settings.fontWeight);
+    
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        map: { value: atlas.texture },
+        color: { value: new THREE.Color(settings.color) },
+        outlineColor: { value: new THREE.Color(settings.outlineColor) },
+        opacity: { value: settings.opacity },
+        edge: { value: 1 - atlas.cutoff },
+        outline: { value: 0 }
+      },
+      vertexShader,
+      fragmentShader,
+      extensions: { derivatives: true },
+      transparent: true,
+      depthTest: settings.depthTest,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+    
+    super(new THREE.BufferGeometry(), material);
+    
+    this.atlas = atlas;
+    this.options = settings;
+    
+    // Font size and lines of the last layout
+    this.textSize = settings.textSize;
+    this.lines = [];
+    this.truncated = false;
+    
+    this.update();
+  }
+  
+  /**
+   * Change the text and, optionally, any other text option
+   * @param {string} text - New text
+   * @param {Object} options - Text options to change
+   */
+  setText(text, options = {}) {
+    const next = { ...this.options, ...options, text: String(text) };
+    const changed = Object.keys(next).some(key => next[key] !== this.options[key]);
+    if (!changed) return;
+    
+    this.options = next;
+    this.update();
+  }
+  
+  // Lay out the text and rebuild the glyph quads
+  update() {
+    const { options, atlas } = this;
+    const { uniforms } = this.material;
+    uniforms.color.value.set(options.color);
+    uniforms.outlineColor.value.set(options.outlineColor);
+    uniforms.opacity.value = options.opacity;
+    
+    // The outline, as a fraction of the em, in distance-field units
+    uniforms.outline.value = Math.min(1 - atlas.cutoff, options.outlineWidth * atlas.size / atlas.radius);
+    
+    const { lines, textSize, truncated } = layoutText(atlas, options);
+    this.lines = lines;
+    this.textSize = textSize;
+    this.truncated = truncated;
+    
+    const scale = textSize / atlas.size;
+    const lineStep = textSize * options.lineHeight;
+    const blockWidth = Math.max(0, ...lines.map(line => atlas.measure(line) * scale));
+    const blockHeight = lines.length * lineStep;
+    
+    // Size for layouts: the box when bounded, else the text itself
+    this.layoutSize = {
+      width: Number.isFinite(options.maxWidth) ? options.maxWidth : blockWidth,
+      height: Number.isFinite(options.maxHeight) ? options.maxHeight : blockHeight
+    };
+    
+    // Top of the first line, relative to the origin at the center of the box
+    const boxTop = Number.isFinite(options.maxHeight) ? options.maxHeight / 2 : 0;
+    let top = blockHeight / 2;
+    if (options.verticalAlign === 'top') top = boxTop;
+    if (options.verticalAlign === 'bottom') top = blockHeight - boxTop;
+    
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+    const size = atlas.textureSize;
+    
+    lines.forEach((line, row) => {
+      const lineWidth = atlas.measure(line) * scale;
+      const boxLeft = Number.isFinite(options.maxWidth) ? -options.maxWidth / 2 : 0;
+      let penX = -lineWidth / 2;
+      if (options.align === 'left') penX = boxLeft;
+      if (options.align === 'right') penX = -boxLeft - lineWidth;
+      
+      // Baseline sits 0.8 em below the top of the line, centering caps in the line
+      const baseline = top - row * lineStep - (lineStep - textSize) / 2 - textSize * 0.8;
+      
+      for (const char of line) {
+        const glyph = atlas.getGlyph(char);
+        if (glyph.width > 0) {
+          const x0 = penX - (glyph.left + atlas.buffer) * scale;
+          const y0 = baseline + (glyph.top + atlas.buffer) * scale;
+          const x1 = x0 + glyph.width * scale;
+          const y1 = y0 - glyph.height * scale;
+          
+          // Atlas rows run down from v = 0
+          const u0 = glyph.x / size;
+          const u1 = (glyph.x + glyph.width) / size;
+          const v0 = glyph.y / size;
+          const v1 = (glyph.y + glyph.height) / size;
+          
+          const base = positions.length / 3;
+          positions.push(x0, y0, 0, x1, y0, 0, x0, y1, 0, x1, y1, 0);
+          uvs.push(u0, v0, u1, v0, u0, v1, u1, v1);
+          indices.push(base, base + 2, base + 1, base + 1, base + 2, base + 3);
+        }
+        penX += glyph.advance * scale;
+      }
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    
+    this.geometry.dispose();
+    this.geometry = geometry;
+  }
+  
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+export default SDFText;
@@ -0,0 +1,497 @@
+import * as THREE from 'three';
+
+/**
+ * SessionRecorder / SessionPlayer - EVA session recording and replay
+ *
+ * The recorder logs a timestamped stream of head pose and hand joints
+ * (sampled), telemetry readings, executed HUD commands and voice results. The
+ * file is JSON lines, gzipped when the browser can: a header line, then one
+ * event per line as [t, type, ...data] with t in ms since the start:
+ *   [t, 'head', px, py, pz, qx, qy, qz, qw]
+ *   [t, 'hand', handedness, x0, y0, z0, ... x24, y24, z24]   (HAND_JOINTS order)
+ *   [t, 'telemetry', channel, value]
+ *   [t, 'command', commandId, { source, slots, rest, transcript, hand }]
+ *   [t, 'voice', transcript, 'recognized' | 'unrecognized' | 'unbound']
+ *
+ * The player loads such a file and plays it back with scrubbing: the camera
+ * follows the recorded head, ghost joints show the hands, telemetry is
+ * republished and commands are run again, so a test run can be debriefed or a
+ * UI bug reproduced without the headset.
+ */
+
+export const SESSION_FORMAT = 'nasa-suits-session';
+export const SESSION_VERSION = 1;
+
+// WebXR hand joints, in the order they are stored
+export const HAND_JOINTS = [
+  'wrist',
+  'thumb-metacarpal', 'thumb-phalanx-proximal', 'thumb-phalanx-distal', 'thumb-tip',
+  ...['index', 'middle', 'ring', 'pinky'].flatMap(finger => [
+    `${finger}-finger-metacarpal`,
+    `${finger}-finger-phalanx-proximal`,
+    `${finger}-finger-phalanx-intermediate`,
+    `${finger}-finger-phalanx-distal`,
+    `${finger}-finger-tip`
+  ])
+];
+
+// Commands that are not recorded: recording and replay control themselves
+const UNRECORDED_COMMANDS = /^session\./;
+
+// Round to a number of decimals
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Gzip magic number
+function isGzip(bytes) {
+  return bytes.length > 1 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+export class SessionRecorder {
+  constructor(renderer, options = {}) {
+    const {
+      camera,
+      telemetry = null,
+      commands = null,
+      voice = null,
+      hands = [renderer.xr.getHand(0), renderer.xr.getHand(1)],
+      sampleInterval = 100
+    } = options;
+    
+    this.renderer = renderer;
+    this.camera = camera;
+    this.telemetry = telemetry;
+    this.commands = commands;
+    this.voice = voice;
+    
+    // Milliseconds between head and hand samples
+    this.sampleInterval = sampleInterval;
+    
+    // Handedness comes from the XRInputSource on connect
+    this.hands = hands.map(hand => {
+      const state = { hand, handedness: null };
+      hand.addEventListener('connected', (event) => { state.handedness = event.data.handedness; });
+      hand.addEventListener('disconnected', () => { state.handedness = null; });
+      return state;
+    });
+    
+    this.recording = false;
+    this.header = null;
+    this.events = [];
+    this.startTime = 0;
+    this.lastSample = -Infinity;
+    this.unsubscribers = [];
+    this.listeners = new Set();
+    
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+  }
+  
+  /**
+   * Start a new recording
+   * @param {number} now - performance.now() time
+   */
+  start(now = performance.now()) {
+    if (this.recording) this.stop();
+    
+    this.recording = true;
+    this.events = [];
+    this.startTime = now;
+    this.lastSample = -Infinity;
+    this.header = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      startedAt: Date.now(),
+      sampleInterval: this.sampleInterval,
+      joints: HAND_JOINTS.length
+    };
+    
+    if (this.telemetry) {
+      // Begin with the latest value of every channel, so a replay starts in the same state
+      this.telemetry.readings.forEach(({ value }, channel) => this.record('telemetry', channel, value));
+      this.unsubscribers.push(this.telemetry.subscribe('*', ({ channel, value }) => {
+        this.record('telemetry', channel, value);
+      }));
+    }
+    
+    if (this.commands) {
+      this.unsubscribers.push(this.commands.subscribe((type, detail) => {
+        if (type !== 'executed' || UNRECORDED_COMMANDS.test(detail.command)) return;
+        
+        const { source = null, slots, rest, transcript, hand } = detail;
+        this.record('command', detail.command, { source, slots, rest, transcript, hand });
+      }));
+    }
+    
+    if (this.voice) {
+      this.unsubscribers.push(this.voice.subscribe((type, detail) => {
+        if (type === 'recognized' || type === 'unrecognized' || type === 'unbound') {
+          this.record('voice', detail.transcript || '', type);
+        }
+      }));
+    }
+    
+    this.emit('started');
+  }
+  
+  /**
+   * Stop recording; the events stay available for export
+   */
+  stop() {
+    if (!this.recording) return;
+    
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.recording = false;
+    this.header.duration = this.events.length ? this.events[this.events.length - 1][0] : 0;
+    this.emit('stopped');
+  }
+  
+  // Append an event stamped with the time since the start
+  record(type, ...data) {
+    if (!this.recording) return;
+    this.events.push([Math.round(performance.now() - this.startTime), type, ...data]);
+  }
+  
+  /**
+   * Sample head pose and hand joints (call once per frame)
+   * @param {number} now - performance.now() time
+   */
+  update(now = performance.now()) {
+    if (!this.recording || now - this.lastSample < this.sampleInterval) return;
+    this.lastSample = now;
+    
+    const camera = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+    camera.updateMatrixWorld();
+    camera.matrixWorld.decompose(this.position, this.quaternion, new THREE.Vector3());
+    this.record('head',
+      ...this.position.toArray().map(value => round(value, 3)),
+      ...this.quaternion.toArray().map(value => round(value, 4))
+    );
+    
+    this.hands.forEach(state => {
+      const { hand, handedness } = state;
+      if (!handedness || !hand.joints) return;
+      
+      // Only fully tracked hands are stored
+      const joints = HAND_JOINTS.map(name => hand.joints[name]);
+      if (joints.some(joint => !joint || !joint.visible)) return;
+      
+      const positions = joints.flatMap(joint =>
+        joint.getWorldPosition(this.position).toArray().map(value => round(value, 3))
+      );
+      this.record('hand', handedness, ...positions);
+    });
+  }
+  
+  /**
+   * The recording as a file
+   * @returns {Promise<Object>} - { filename, blob }
+   */
+  async export() {
+    if (!this.header) {
+      throw new Error('SessionRecorder: nothing recorded');
+    }
+    
+    const text = [this.header, ...this.events].map(line => JSON.stringify(line)).join('\n');
+    const stamp = new Date(this.header.startedAt).toISOString().replace(/[:.]/g, '-');
+    const blob = new Blob([text], { type: 'application/x-ndjson' });
+    
+    if (typeof CompressionStream === 'undefined') {
+      return { filename: `session-${stamp}.jsonl`, blob };
+    }
+    
+    const compressed = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    return { filename: `session-${stamp}.jsonl.gz`, blob: new Blob([compressed], { type: 'application/gzip' }) };
+  }
+  
+  emit(type) {
+    this.listeners.forEach(callback => callback(type, this));
+  }
+  
+  /**
+   * Listen for recording changes
+   * @param {Function} callback - Called with (type, recorder) where type is 'started' or 'stopped'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export class SessionPlayer {
+  constructor(scene, camera, options = {}) {
+    const {
+      telemetry = null,
+      commands = null,
+      followHead = true,
+      jointRadius = 0.008,
+      skipCommands = /^(photo\.capture|geology\.export)/
+    } = options;
+    
+    this.scene = scene;
+    this.camera = camera;
+    this.telemetry = telemetry;
+    this.commands = commands;
+    this.followHead = followHead;
+    
+    // Commands with effects outside the HUD (new photos, downloads) are not run again
+    this.skipCommands = skipCommands;
+    
+    this.session = null;
+    this.time = 0;
+    this.rate = 1;
+    this.playing = false;
+    this.cursor = 0;
+    this.lastFrame = null;
+    this.listeners = new Set();
+    
+    // Ghost joints of both hands
+    this.handMesh = new THREE.InstancedMesh(
+      new THREE.SphereGeometry(jointRadius, 8, 6),
+      new THREE.MeshBasicMaterial({ color: 0x00FFFF, transparent: true, opacity: 0.8 }),
+      HAND_JOINTS.length * 2
+    );
+    this.handMesh.name = 'replay-hands';
+    this.handMesh.frustumCulled = false;
+    this.handMesh.visible = false;
+    scene.add(this.handMesh);
+    
+    this.matrix = new THREE.Matrix4();
+    this.hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+  }
+  
+  /**
+   * Load a recording
+   * @param {Blob|ArrayBuffer|string} source - File contents, gzipped or plain
+   * @returns {Promise<Object>} - The session { header, events, duration }
+   */
+  async load(source) {
+    let text = source;
+    if (typeof source !== 'string') {
+      const blob = source instanceof Blob ? source : new Blob([source]);
+      const bytes = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+      text = isGzip(bytes)
+        ? await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text()
+        : await blob.text();
+    }
+    
+    this.session = this.parse(text);
+    this.playing = false;
+    this.lastFrame = null;
+    this.handMesh.visible = true;
+    this.emit('loaded', this.session);
+    this.seek(0);
+    return this.session;
+  }
+  
+  // Split a recording into its header and events, indexing the pose samples
+  parse(text) {
+    const lines = text.split('\n').filter(line => line.trim());
+    const header = lines.length ? JSON.parse(lines[0]) : null;
+    if (!header || header.format !== SESSION_FORMAT) {
+      throw new Error('SessionPlayer: not a session recording');
+    }
+    if (header.version > SESSION_VERSION) {
+      throw new Error(`SessionPlayer: unsupported recording version ${header.version}`);
+    }
+    
+    const events = lines.slice(1).map(line => JSON.parse(line));
+    const heads = events.filter(event => event[1] === 'head');
+    const hands = {
+      left: events.filter(event => event[1] === 'hand' && event[2] === 'left'),
+      right: events.filter(event => event[1] === 'hand' && event[2] === 'right')
+    };
+    
+    return {
+      header,
+      events,
+      heads,
+      hands,
+      duration: events.length ? events[events.length - 1][0] : 0
+    };
+  }
+  
+  get duration() {
+    return this.session ? this.session.duration : 0;
+  }
+  
+  play() {
+    if (!this.session) return;
+    if (this.time >= this.duration) this.seek(0);
+    
+    this.playing = true;
+    this.lastFrame = null;
+    this.emit('played');
+  }
+  
+  pause() {
+    if (!this.playing) return;
+    
+    this.playing = false;
+    this.emit('paused');
+  }
+  
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+    return this.playing;
+  }
+  
+  /**
+   * Jump to a time; telemetry is restored to its state then, commands in between are not run
+   * @param {number} time - ms since the start of the recording
+   */
+  seek(time) {
+    if (!this.session) return;
+    
+    const { events } = this.session;
+    this.time = Math.max(0, Math.min(time, this.duration));
+    
+    // First event after the new time
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (events[mid][0] <= this.time) low = mid + 1;
+      else high = mid;
+    }
+    this.cursor = low;
+    
+    // Latest value of every channel up to the new time
+    if (this.telemetry) {
+      const readings = {};
+      for (let i = 0; i < this.cursor; i++) {
+        if (events[i][1] === 'telemetry') readings[events[i][2]] = events[i][3];
+      }
+      this.telemetry.publish(readings, this.session.header.startedAt + this.time);
+    }
+    
+    this.applyPose(this.time);
+    this.emit('time', this.time);
+  }
+  
+  /**
+   * Advance playback (call once per frame)
+   * @param {number} now - performance.now() time
+   */
+  update(now = performance.now()) {
+    if (!this.session || !this.playing) return;
+    
+    const elapsed = this.lastFrame === null ? 0 : now - this.lastFrame;
+    this.lastFrame = now;
+    
+    const time = Math.min(this.time + elapsed * this.rate, this.duration);
+    this.advance(time);
+    this.applyPose(time);
+    this.emit('time', time);
+    
+    if (time >= this.duration) {
+      this.pause();
+      this.emit('ended');
+    }
+  }
+  
+  // Apply the discrete events up to a time
+  advance(time) {
+    const { events, header } = this.session;
+    
+    while (this.cursor < events.length && events[this.cursor][0] <= time) {
+      const [t, type, ...data] = events[this.cursor++];
+      
+      if (type === 'telemetry' && this.telemetry) {
+        this.telemetry.publish({ [data[0]]: data[1] }, header.startedAt + t);
+      } else if (type === 'command') {
+        const [command, context] = data;
+        if (this.commands && !this.skipCommands.test(command)) {
+          this.commands.execute(command, { ...context, replayed: true });
+        }
+        this.emit('command', { time: t, command, context });
+      } else if (type === 'voice') {
+        this.emit('voice', { time: t, transcript: data[0], result: data[1] });
+      }
+    }
+    
+    this.time = time;
+  }
+  
+  // Place the camera and the ghost hands at a time
+  applyPose(time) {
+    const { heads, hands, header } = this.session;
+    
+    if (this.followHead && heads.length) {
+      const [previous, next] = this.bracket(heads, time);
+      const alpha = next[0] > previous[0]
+        ? THREE.MathUtils.clamp((time - previous[0]) / (next[0] - previous[0]), 0, 1)
+        : 0;
+      
+      this.camera.position.set(previous[2], previous[3], previous[4])
+        .lerp(new THREE.Vector3(next[2], next[3], next[4]), alpha);
+      this.camera.quaternion.set(previous[5], previous[6], previous[7], previous[8])
+        .slerp(new THREE.Quaternion(next[5], next[6], next[7], next[8]), alpha);
+      this.camera.updateMatrixWorld();
+    }
+    
+    // A hand is shown while its last sample is recent
+    ['left', 'right'].forEach((handedness, h) => {
+      const samples = hands[handedness];
+      const [sample] = samples.length ? this.bracket(samples, time) : [null];
+      const tracked = sample && sample[0] <= time && time - sample[0] <= header.sampleInterval * 2;
+      
+      for (let j = 0; j < HAND_JOINTS.length; j++) {
+        const offset = 3 + j * 3;
+        this.handMesh.setMatrixAt(h * HAND_JOINTS.length + j, tracked
+          ? this.matrix.makeTranslation(sample[offset], sample[offset + 1], sample[offset + 2])
+          : this.hidden);
+      }
+    });
+    this.handMesh.instanceMatrix.needsUpdate = true;
+  }
+  
+  // Samples at or before and after a time (the same sample at either end)
+  bracket(samples, time) {
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (samples[mid][0] <= time) low = mid;
+      else high = mid - 1;
+    }
+    return [samples[low], samples[Math.min(low + 1, samples.length - 1)]];
+  }
+  
+  /**
+   * Leave replay: stop playback and hide the ghost hands
+   */
+  unload() {
+    this.pause();
+    this.session = null;
+    this.time = 0;
+    this.handMesh.visible = false;
+    this.emit('unloaded');
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  /**
+   * Listen for playback events
+   * @param {Function} callback - Called with (type, detail): 'loaded' with the session,
+   *   'time' with the time in ms, 'command' and 'voice' with the replayed event,
+   *   'played', 'paused', 'ended' and 'unloaded'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default SessionRecorder;
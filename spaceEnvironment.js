@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { XRHandModelFactory } from 'three/examples/jsm/webxr/XRHandModelFactory.js';
 import SpaceUI from './SpaceUI.js';
+import WaypointBeacons from './waypointBeacons.js';
 
 class SpaceEnvironment {
   constructor(scene, camera, renderer) {
@@ -42,13 +43,6 @@ class SpaceEnvironment {
     // Init UI elements
     this.initializeUI();
     
-    // Pinch state tracking
-    this.isPinching = false;
-    this.lastPinchTime = 0;
-    
-    // Add keyboard listeners
-    this.addKeyboardListeners();
-    
     console.log('SpaceEnvironment initialized successfully');
   }
   
@@ -71,7 +65,7 @@ class SpaceEnvironment {
       position: new THREE.Vector3(-0.3, 0, -0.5),
       texts: [
         { text: "100m", color: "#FFCC00", yOffset: 0.02 },
-        { text: "remaining", color: "#FFFFFF", yOffset: -0.02, fontSize: 0.02 }
+        { text: "remaining", color: "#FFFFFF", yOffset: -0.02, textSize: 0.02 }
       ]
     });
     
@@ -79,7 +73,7 @@ class SpaceEnvironment {
       position: new THREE.Vector3(0.3, 0, -0.5),
       texts: [
         { text: "15:00 min", color: "#00FF66", yOffset: 0.02 },
-        { text: "to Destination", color: "#FFFFFF", yOffset: -0.02, fontSize: 0.02 }
+        { text: "to Destination", color: "#FFFFFF", yOffset: -0.02, textSize: 0.02 }
       ]
     });
     
@@ -289,6 +283,7 @@ class SpaceEnvironment {
     this.moonGround = new THREE.Mesh(moonGroundGeometry, moonMaterial);
     this.moonGround.rotation.x = -Math.PI / 2; // Rotate to be horizontal
     this.moonGround.position.y = -1.5; // Position below the user
+    this.moonGround.receiveShadow = true;
     this.scene.add(this.moonGround);
     
     // Add some basic terrain
@@ -297,6 +292,9 @@ class SpaceEnvironment {
   
   // Add rocks to terrain
   addRocks() {
+    // Rocks are kept so navigation can steer around them
+    this.rocks = [];
+    
     // Add some rocks
     for (let i = 0; i < 30; i++) {
       const rockGeometry = new THREE.DodecahedronGeometry(0.1 + Math.random() * 0.4, 0);
@@ -307,6 +305,8 @@ class SpaceEnvironment {
       });
       
       const rock = new THREE.Mesh(rockGeometry, rockMaterial);
+      rock.castShadow = true;
+      rock.receiveShadow = true;
       
       // Position randomly on the ground, but avoid the center area
       let x, z;
@@ -315,7 +315,7 @@ class SpaceEnvironment {
         z = (Math.random() - 0.5) * 80;
       } while (Math.sqrt(x * x + z * z) < 5); // Keep rocks away from the center
       
-      rock.position.set(x, -1.5 + rock.geometry.parameters.radius / 2, z);
+      rock.position.set(x, this.groundHeightAt(x, z) + rock.geometry.parameters.radius / 2, z);
       
       // Random rotation
       rock.rotation.x = Math.random() * Math.PI;
@@ -323,15 +323,62 @@ class SpaceEnvironment {
       rock.rotation.z = Math.random() * Math.PI;
       
       this.scene.add(rock);
+      this.rocks.push(rock);
     }
   }
 
+  // Scene height of the ground below a point: the terrain surface, else the flat plane
+  groundHeightAt(x, z) {
+    return this.terrain ? this.terrain.heightAt(x, z) : this.moonGround.position.y;
+  }
+  
+  // Replace the flat ground with a terrain surface and set the rocks down on it
+  setTerrain(terrain) {
+    if (this.unsubscribeTerrain) {
+      this.unsubscribeTerrain();
+      this.scene.remove(this.terrain.group);
+    }
+    
+    this.terrain = terrain;
+    this.scene.remove(this.moonGround);
+    this.scene.add(terrain.group);
+    
+    // The surface moves when the site is re-anchored
+    this.unsubscribeTerrain = terrain.subscribe(type => {
+      if (type === 'placed') this.placeRocks();
+    });
+    this.placeRocks();
+  }
+  
+  // Rest the rocks on the ground
+  placeRocks() {
+    (this.rocks || []).forEach(rock => {
+      rock.position.y = this.groundHeightAt(rock.position.x, rock.position.z) + rock.geometry.parameters.radius / 2;
+    });
+  }
+  
   // Setup lighting
   setupLighting() {
-    // Harsh directional light (sun)
+    // Harsh directional light (sun), placed by setSunPosition; shadows cover the site
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFShadowMap;
+    
     const sunLight = new THREE.DirectionalLight(0xFFFFFF, 1.5);
     sunLight.position.set(10, 20, 10);
+    sunLight.castShadow = true;
+    sunLight.shadow.mapSize.set(2048, 2048);
+    sunLight.shadow.camera.left = -60;
+    sunLight.shadow.camera.right = 60;
+    sunLight.shadow.camera.top = 60;
+    sunLight.shadow.camera.bottom = -60;
+    sunLight.shadow.camera.near = 1;
+    sunLight.shadow.camera.far = 400;
+    sunLight.shadow.bias = -0.0005;
+    sunLight.shadow.normalBias = 0.05;
     this.scene.add(sunLight);
+    this.scene.add(sunLight.target);
+    this.sunLight = sunLight;
+    this.sunIntensity = sunLight.intensity;
     
     // Earth glow (subtle blue ambient)
     const earthLight = new THREE.HemisphereLight(0x0044FF, 0x000000, 0.2);
@@ -340,6 +387,69 @@ class SpaceEnvironment {
     // General ambient light
     const ambientLight = new THREE.AmbientLight(0x222222, 0.5);
     this.scene.add(ambientLight);
+    
+    this.addHeadlamp();
+  }
+  
+  // Helmet light, off until switched on; follows the head in update()
+  addHeadlamp() {
+    this.headlamp = new THREE.SpotLight(0xFFF4E0, 40, 30, THREE.MathUtils.degToRad(25), 0.4, 2);
+    this.headlamp.name = 'headlamp';
+    this.headlamp.visible = false;
+    this.headlamp.castShadow = true;
+    this.headlamp.shadow.mapSize.set(1024, 1024);
+    this.headlamp.shadow.bias = -0.0005;
+    this.scene.add(this.headlamp);
+    this.scene.add(this.headlamp.target);
+    
+    // Mounted on the helmet above the eyes, aimed a little below the line of sight
+    this.headlampOffset = new THREE.Vector3(0, 0.12, 0);
+    this.headlampAim = new THREE.Vector3(0, -0.35, -1);
+  }
+  
+  /**
+   * Switch the helmet light
+   * @param {boolean} on - Light on
+   * @returns {boolean} - Whether the light is on
+   */
+  setHeadlamp(on) {
+    this.headlamp.visible = Boolean(on);
+    return this.headlamp.visible;
+  }
+  
+  // Keep the helmet light on the head pose (the XR camera in a session)
+  updateHeadlamp() {
+    if (!this.headlamp.visible) return;
+    
+    const head = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+    head.updateMatrixWorld();
+    this.headlamp.position.copy(this.headlampOffset).applyMatrix4(head.matrixWorld);
+    this.headlamp.target.position.copy(this.headlampAim).applyMatrix4(head.matrixWorld);
+  }
+  
+  /**
+   * Point the sunlight from a direction over the site
+   * @param {number} azimuth - Degrees clockwise from north
+   * @param {number} elevation - Degrees above the horizon
+   */
+  setSunPosition(azimuth, elevation) {
+    const light = this.sunLight;
+    const az = THREE.MathUtils.degToRad(azimuth);
+    const el = THREE.MathUtils.degToRad(elevation);
+    const direction = { east: Math.sin(az) * Math.cos(el), north: Math.cos(az) * Math.cos(el), up: Math.sin(el) };
+    
+    // Aim at the site origin from far enough out for the shadow camera to see the whole site
+    const origin = this.coordinates ? this.coordinates.worldOrigin : new THREE.Vector3(0, -1.5, 0);
+    if (this.coordinates) {
+      this.coordinates.enuToWorld(direction, light.position).sub(origin);
+    } else {
+      light.position.set(direction.east, direction.up, -direction.north);
+    }
+    light.position.multiplyScalar(200).add(origin);
+    light.target.position.copy(origin);
+    
+    // No direct light once the sun has set
+    light.intensity = elevation > 0 ? this.sunIntensity : 0;
   }
   
   // Setup hand tracking
@@ -350,7 +460,7 @@ class SpaceEnvironment {
     this.scene.add(this.controller1);
     this.scene.add(this.controller2);
     
-    // Hand models
+    // Hand models (hand index does not imply handedness; gestures use XRInputSource.handedness)
     const handModelFactory = new XRHandModelFactory();
     
     // Left hand
@@ -364,103 +474,6 @@ class SpaceEnvironment {
     this.handModelRight = handModelFactory.createHandModel(this.handRight, 'mesh');
     this.handRight.add(this.handModelRight);
     this.scene.add(this.handRight);
-    
-    // Visual indicator for pinch gesture
-    const pinchIndicatorGeometry = new THREE.SphereGeometry(0.01, 16, 16);
-    const pinchIndicatorMaterial = new THREE.MeshBasicMaterial({ 
-      color: 0x00FF00, 
-      transparent: true,
-      opacity: 0.7
-    });
-    
-    this.pinchIndicatorLeft = new THREE.Mesh(pinchIndicatorGeometry, pinchIndicatorMaterial.clone());
-    this.pinchIndicatorRight = new THREE.Mesh(pinchIndicatorGeometry, pinchIndicatorMaterial.clone());
-    this.pinchIndicatorLeft.visible = false;
-    this.pinchIndicatorRight.visible = false;
-    this.scene.add(this.pinchIndicatorLeft);
-    this.scene.add(this.pinchIndicatorRight);
-  }
-  
-  // Detect pinch gesture between thumb and index finger
-  detectPinchGesture(hand) {
-    if (!hand || !hand.joints) return false;
-    
-    const indexTip = hand.joints['index-finger-tip'];
-    const thumbTip = hand.joints['thumb-tip'];
-    
-    if (!indexTip || !thumbTip) return false;
-    
-    const indexPos = indexTip.position;
-    const thumbPos = thumbTip.position;
-    
-    // Calculate distance between tips
-    const distance = indexPos.distanceTo(thumbPos);
-    
-    // Distance threshold for pinch (in meters)
-    return distance < 0.02; // 2cm threshold
-  }
-  
-  // Handle pinch events with improved UI integration
-  handlePinchGesture(hand, isPinching, isLeft) {
-    const indicator = isLeft ? this.pinchIndicatorLeft : this.pinchIndicatorRight;
-    
-    if (isPinching) {
-      // Show indicator at midpoint of thumb and index
-      const indexTip = hand.joints['index-finger-tip'];
-      const thumbTip = hand.joints['thumb-tip'];
-      
-      if (indexTip && thumbTip) {
-        const midpoint = new THREE.Vector3().addVectors(
-          indexTip.position,
-          thumbTip.position
-        ).multiplyScalar(0.5);
-        
-        indicator.position.copy(midpoint);
-        indicator.visible = true;
-        
-        // Only trigger a single pinch event on initial pinch detection
-        const now = Date.now();
-        if (!this.isPinching && now - this.lastPinchTime > 500) {
-          // Pinch started
-          console.log('Pinch detected from ' + (isLeft ? 'LEFT' : 'RIGHT') + ' hand');
-          this.isPinching = true;
-          
-          // Handle gestures based on which hand
-          if (isLeft) {
-            // Left hand pinch toggles action buttons
-            this.toggleActionButtons();
-          } else {
-            // Right hand pinch toggles map
-            this.toggleMapModal();
-          }
-        }
-      }
-    } else {
-      indicator.visible = false;
-      
-      if (this.isPinching) {
-        // Pinch ended
-        console.log('Pinch released');
-        this.isPinching = false;
-        this.lastPinchTime = Date.now();
-      }
-    }
-  }
-  
-  // Keyboard event listener for UI control
-  addKeyboardListeners() {
-    window.addEventListener('keydown', (event) => {
-      if (event.code === 'KeyM') {
-        console.log('Map key (M) pressed - toggling map modal');
-        this.toggleMapModal();
-      } else if (event.code === 'KeyA') {
-        console.log('Action key (A) pressed - toggling action buttons');
-        this.toggleActionButtons();
-      } else if (event.code === 'KeyU') {
-        console.log('Update key (U) pressed - updating stats');
-        this.updateStats();
-      }
-    });
   }
   
   // Toggle action buttons visibility
@@ -479,24 +492,53 @@ class SpaceEnvironment {
     }
   }
   
-  // Update stats display (example to demonstrate dynamic updates)
+  // Bind the status panels to a telemetry service
+  setTelemetry(telemetry) {
+    if (this.unbindTelemetry) {
+      this.unbindTelemetry();
+    }
+    
+    this.telemetry = telemetry;
+    this.unbindTelemetry = telemetry.bindStatusPanels(this.statusPanel);
+  }
+  
+  // Recolor the status panels from a caution & warning engine
+  setCautionWarning(cautionWarning) {
+    if (this.unbindCautionWarning) {
+      this.unbindCautionWarning();
+    }
+    
+    this.cautionWarning = cautionWarning;
+    this.unbindCautionWarning = cautionWarning.bindStatusPanels(this.statusPanel);
+  }
+  
+  // Show beacons for the waypoints of a map model, placed through a coordinate service
+  setNavigation(mapModel, coordinates) {
+    if (this.beacons) {
+      this.beacons.dispose();
+    }
+    
+    this.mapModel = mapModel;
+    this.coordinates = coordinates;
+    this.beacons = new WaypointBeacons(this.scene, this.camera, {
+      renderer: this.renderer,
+      mapModel,
+      coordinates,
+      ui: this.ui
+    });
+  }
+  
+  // Point the off-screen arrow at a waypoint (null for the first unvisited stop)
+  setNextWaypoint(id) {
+    if (this.beacons) {
+      this.beacons.setNextWaypoint(id);
+    }
+  }
+  
+  // Push the latest telemetry values into the status panels
   updateStats() {
-    if (this.statusPanel) {
-      // Randomly update a stat
-      const stats = ['Battery', 'O2', 'Pressure'];
-      const stat = stats[Math.floor(Math.random() * stats.length)];
-      
-      let value;
-      if (stat === 'Battery') {
-        value = Math.floor(Math.random() * 100) + '%';
-      } else if (stat === 'O2') {
-        value = Math.floor(Math.random() * 100) + '%';
-      } else if (stat === 'Pressure') {
-        value = (13 + Math.random() * 2).toFixed(1) + 'psi';
-      }
-      
-      console.log(`Updating ${stat} to ${value}`);
-      this.statusPanel.updatePanel(stat, value);
+    if (this.statusPanel && this.telemetry) {
+      this.telemetry.refreshStatusPanels(this.statusPanel);
     }
   }
   
@@ -507,8 +549,8 @@ class SpaceEnvironment {
       this.earth.rotation.y += 0.0001;
     }
     
-    // Update controls (when not in VR)
-    if (this.controls) {
+    // Update controls (when not in VR, and not while a replay drives the camera)
+    if (this.controls && this.controls.enabled) {
       this.controls.update();
     }
     
@@ -516,22 +558,13 @@ class SpaceEnvironment {
     const isVR = this.renderer.xr.isPresenting;
     this.ui.updatePosition(isVR);
     
-    // Hand tracking and gesture detection
-    const session = this.renderer.xr.getSession();
-    if (session) {
-      // Check for pinch gesture on left hand
-      if (this.handLeft && this.handLeft.joints) {
-        const leftPinch = this.detectPinchGesture(this.handLeft);
-        this.handlePinchGesture(this.handLeft, leftPinch, true);
-      }
-      
-      // Check for pinch gesture on right hand
-      if (this.handRight && this.handRight.joints) {
-        const rightPinch = this.detectPinchGesture(this.handRight);
-        this.handlePinchGesture(this.handRight, rightPinch, false);
-      }
+    // Keep the off-screen waypoint arrow at the edge of the view
+    if (this.beacons) {
+      this.beacons.update();
     }
     
+    this.updateHeadlamp();
+    
     // Render the scene
     this.renderer.render(this.scene, this.camera);
   }
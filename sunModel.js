@@ -0,0 +1,406 @@
+/**
+ * SunModel - Position of the sun over a lunar site, and the ground it leaves dark
+ *
+ * The sun's direction comes from the date and the selenographic latitude and
+ * longitude of the site: the subsolar point follows the mean elongation of the
+ * Moon and the tilt of its equator (Meeus, Astronomical Algorithms ch. 53,
+ * from mean elements: within a few degrees of azimuth, and a fraction of a
+ * degree of elevation near the poles). Near the south pole the sun
+ * stays within a couple of degrees of the horizon, so low relief casts long
+ * shadows.
+ *
+ * Shadows are found on a grid over the terrain by marching from each cell
+ * towards the sun. Cells that are dark at every sampled sun position over a
+ * time window (the EVA) are in persistent shadow, and a route can be checked
+ * for long stretches through them. A large site takes far longer than a frame
+ * to cover, so the grid is worked through a few cells per update() and the
+ * previous grid stays in use until the new one is complete.
+ *
+ * Map coordinates are UTM meters with grid north taken as the site's north.
+ */
+
+const DAY = 86400000;
+const HOUR = 3600000;
+const J2000 = Date.UTC(2000, 0, 1, 12);
+
+// Inclination of the lunar equator to the ecliptic (degrees)
+const LUNAR_EQUATOR_TILT = 1.54242;
+
+// A site near the lunar south pole
+export const DEFAULT_SITE = { name: 'Lunar south pole', lat: -89.5, lon: 0 };
+
+// Caution & warning rule for the longest dark stretch of the planned route (meters)
+export const ROUTE_SHADOW_RULE = { nominal: [null, 20], caution: [20, 60], warning: [60, null], hysteresis: 2 };
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const wrap = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Selenographic position of the subsolar point
+ * @param {number} time - Time in ms
+ * @returns {Object} - { lat, lon } in degrees, longitude east positive in [-180, 180)
+ */
+export function subsolarPoint(time) {
+  const T = (time - J2000) / DAY / 36525;
+  
+  // Sun's geometric ecliptic longitude
+  const L0 = 280.46646 + 36000.76983 * T;
+  const M = toRadians(357.52911 + 35999.05029 * T);
+  const sunLongitude = L0 + 1.914602 * Math.sin(M) + 0.019993 * Math.sin(2 * M);
+  
+  // Moon's argument of latitude and ascending node
+  const F = 93.2720950 + 483202.0175233 * T;
+  const node = 125.0445479 - 1934.1362891 * T;
+  
+  // Seen from the sun the Moon is opposite the sun's longitude
+  const W = toRadians(sunLongitude + 180 - node);
+  const tilt = toRadians(LUNAR_EQUATOR_TILT);
+  const A = toDegrees(Math.atan2(Math.sin(W) * Math.cos(tilt), Math.cos(W)));
+  
+  return {
+    lat: toDegrees(Math.asin(-Math.sin(W) * Math.sin(tilt))),
+    lon: wrap(A - F + 180) - 180
+  };
+}
+
+/**
+ * Direction of the sun seen from a lunar site
+ * @param {number} time - Time in ms
+ * @param {Object} site - { lat, lon } selenographic degrees
+ * @returns {Object} - { azimuth: degrees clockwise from north, elevation: degrees above the horizon }
+ */
+export function sunPosition(time, site = DEFAULT_SITE) {
+  const subsolar = subsolarPoint(time);
+  const lat = toRadians(site.lat);
+  const lon = toRadians(site.lon);
+  const sunLat = toRadians(subsolar.lat);
+  const sunLon = toRadians(subsolar.lon);
+  
+  // Sun direction in Moon-fixed coordinates, projected on the site's east, north and up
+  const sun = [Math.cos(sunLat) * Math.cos(sunLon), Math.cos(sunLat) * Math.sin(sunLon), Math.sin(sunLat)];
+  const east = -Math.sin(lon) * sun[0] + Math.cos(lon) * sun[1];
+  const north = -Math.sin(lat) * Math.cos(lon) * sun[0] - Math.sin(lat) * Math.sin(lon) * sun[1] + Math.cos(lat) * sun[2];
+  const up = Math.cos(lat) * Math.cos(lon) * sun[0] + Math.cos(lat) * Math.sin(lon) * sun[1] + Math.sin(lat) * sun[2];
+  
+  return {
+    azimuth: wrap(toDegrees(Math.atan2(east, north))),
+    elevation: toDegrees(Math.asin(Math.max(-1, Math.min(1, up)))),
+    subsolar
+  };
+}
+
+class SunModel {
+  constructor(options = {}) {
+    const {
+      site = DEFAULT_SITE,
+      time = null,
+      heightAt = null,
+      bounds = null,
+      shadowWindow = 8 * HOUR,
+      shadowStep = HOUR / 2,
+      cellSize = 2,
+      maxCells = 40000,
+      minDarkLength = 20,
+      updateInterval = 10000,
+      frameBudget = 4
+    } = options;
+    
+    this.site = { ...site };
+    
+    // Offset of the model clock from the wall clock, so an EVA date can be rehearsed
+    this.timeOffset = time === null ? 0 : new Date(time).getTime() - Date.now();
+    
+    // Terrain elevation (x, y) -> meters and the map area to find shadows in
+    this.heightAt = heightAt;
+    this.bounds = bounds;
+    
+    // Persistent shadow: dark at every sun position, sampled every shadowStep over shadowWindow (ms)
+    this.shadowWindow = shadowWindow;
+    this.shadowStep = shadowStep;
+    this.cellSize = cellSize;
+    this.maxCells = maxCells;
+    
+    // Shortest dark stretch of a route worth reporting (meters)
+    this.minDarkLength = minDarkLength;
+    
+    // How often update() moves the sun (ms), and the time each update() may spend on shadows (ms)
+    this.updateInterval = updateInterval;
+    this.frameBudget = frameBudget;
+    
+    this.position = null;
+    this.shadows = null;
+    
+    // Shadow grid being worked through, and whether the current one is out of date
+    this.pendingShadows = null;
+    this.shadowsStale = false;
+    this.lastUpdate = -Infinity;
+    this.listeners = new Set();
+  }
+  
+  // Model time in ms
+  now() {
+    return Date.now() + this.timeOffset;
+  }
+  
+  /**
+   * Rehearse at another date and time; the clock keeps running from it
+   * @param {Date|string|number|null} time - Date, or null for the current time
+   */
+  setTime(time) {
+    this.timeOffset = time === null ? 0 : new Date(time).getTime() - Date.now();
+    this.refresh();
+  }
+  
+  /**
+   * Move the site
+   * @param {Object} site - { name, lat, lon } selenographic degrees
+   */
+  setSite(site) {
+    this.site = { ...site };
+    this.refresh();
+  }
+  
+  /**
+   * Find shadows on a terrain
+   * @param {Function|null} heightAt - (x, y) -> meters in map coordinates, or null for flat ground
+   * @param {Object} bounds - { minX, minY, maxX, maxY } map area to cover
+   */
+  setTerrain(heightAt, bounds = this.bounds) {
+    this.heightAt = heightAt;
+    this.bounds = bounds;
+    this.refresh();
+  }
+  
+  // Recompute the sun position and the shadows from the next update; the
+  // current shadows are kept until the new ones are complete
+  refresh() {
+    this.lastUpdate = -Infinity;
+    this.pendingShadows = null;
+    this.shadowsStale = true;
+  }
+  
+  /**
+   * Sun position at a time
+   * @param {number} time - Model time in ms (now by default)
+   * @returns {Object} - { azimuth, elevation, subsolar }
+   */
+  getPosition(time = this.now()) {
+    return sunPosition(time, this.site);
+  }
+  
+  /**
+   * Move the sun, roll the shadow window forward and work on the shadow grid
+   * for up to frameBudget ms (call once per frame)
+   * @param {number} now - Wall clock time in ms
+   */
+  update(now = Date.now()) {
+    if (now - this.lastUpdate >= this.updateInterval) {
+      this.lastUpdate = now;
+      
+      const time = now + this.timeOffset;
+      this.position = this.getPosition(time);
+      this.emit('moved', this.position);
+      
+      if (!this.pendingShadows &&
+          (this.shadowsStale || !this.shadows || time - this.shadows.from >= this.shadowStep)) {
+        this.shadowsStale = false;
+        this.pendingShadows = this.startShadows(time);
+        if (!this.pendingShadows) this.shadows = null;
+      }
+    }
+    
+    if (this.pendingShadows) {
+      this.continueShadows(this.frameBudget);
+    }
+  }
+  
+  /**
+   * Whether a map point is in shadow with the sun at a position
+   * @param {number} x - Easting
+   * @param {number} y - Northing
+   * @param {Object} sun - { azimuth, elevation }
+   * @param {number} maxHeight - Highest ground, above which the march can stop
+   * @returns {boolean} - True when the sun is below the horizon or hidden by terrain
+   */
+  isShadowed(x, y, sun, maxHeight = this.shadows ? this.shadows.maxHeight : Infinity) {
+    if (sun.elevation <= 0) return true;
+    if (!this.heightAt || !this.bounds) return false;
+    
+    const { minX, minY, maxX, maxY } = this.bounds;
+    const azimuth = toRadians(sun.azimuth);
+    const dx = Math.sin(azimuth);
+    const dy = Math.cos(azimuth);
+    const rise = Math.tan(toRadians(sun.elevation));
+    const start = this.heightAt(x, y);
+    
+    // March towards the sun until the ray leaves the terrain or passes above it
+    const step = this.cellSize;
+    for (let distance = step; ; distance += step) {
+      const px = x + dx * distance;
+      const py = y + dy * distance;
+      if (px < minX || px > maxX || py < minY || py > maxY) return false;
+      
+      const ray = start + distance * rise;
+      if (this.heightAt(px, py) > ray) return true;
+      if (ray > maxHeight) return false;
+    }
+  }
+  
+  /**
+   * Find the cells in persistent shadow over the time window, all at once
+   * @param {number} from - Start of the window, model time in ms
+   * @returns {Object|null} - { from, to, cellSize, columns, rows, bounds, dark: fraction of
+   *   sun positions each cell is shadowed at, maxHeight }, or null without bounds
+   */
+  computeShadows(from = this.now()) {
+    this.pendingShadows = this.startShadows(from);
+    if (!this.pendingShadows) {
+      this.shadows = null;
+      return null;
+    }
+    
+    this.continueShadows(Infinity);
+    return this.shadows;
+  }
+  
+  // Set up a shadow grid over the bounds, to be filled in by continueShadows
+  startShadows(from) {
+    if (!this.bounds) return null;
+    
+    const { minX, minY, maxX, maxY } = this.bounds;
+    const area = (maxX - minX) * (maxY - minY);
+    const cellSize = Math.max(this.cellSize, Math.sqrt(area / this.maxCells));
+    const columns = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+    const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+    
+    // Highest ground, to stop marching once a ray is above everything
+    let maxHeight = -Infinity;
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const height = this.heightAt
+          ? this.heightAt(minX + (column + 0.5) * cellSize, minY + (row + 0.5) * cellSize)
+          : 0;
+        maxHeight = Math.max(maxHeight, height);
+      }
+    }
+    
+    const positions = [];
+    for (let time = from; time <= from + this.shadowWindow; time += this.shadowStep) {
+      positions.push(this.getPosition(time));
+    }
+    
+    return {
+      grid: { from, to: from + this.shadowWindow, cellSize, columns, rows, bounds: { ...this.bounds }, maxHeight, dark: new Float32Array(columns * rows) },
+      positions,
+      cell: 0
+    };
+  }
+  
+  // Fill in cells of the pending shadow grid for up to budget ms, and put it in
+  // use once every cell is done
+  continueShadows(budget) {
+    const pending = this.pendingShadows;
+    const { grid, positions } = pending;
+    const { minX, minY } = grid.bounds;
+    const started = Date.now();
+    
+    while (pending.cell < grid.dark.length) {
+      const cell = pending.cell++;
+      const x = minX + (cell % grid.columns + 0.5) * grid.cellSize;
+      const y = minY + (Math.floor(cell / grid.columns) + 0.5) * grid.cellSize;
+      const shadowed = positions.filter(sun => this.isShadowed(x, y, sun, grid.maxHeight)).length;
+      grid.dark[cell] = shadowed / positions.length;
+      
+      if (Date.now() - started >= budget) return;
+    }
+    
+    this.pendingShadows = null;
+    this.shadows = grid;
+    this.emit('shadows', this.shadows);
+  }
+  
+  /**
+   * Whether a map point stays in shadow for the whole time window
+   * @param {Object} point - { x, y }
+   * @returns {boolean} - False outside the shadow grid
+   */
+  isPersistentShadow(point) {
+    const { shadows } = this;
+    if (!shadows) return false;
+    
+    const column = Math.floor((point.x - shadows.bounds.minX) / shadows.cellSize);
+    const row = Math.floor((point.y - shadows.bounds.minY) / shadows.cellSize);
+    if (column < 0 || row < 0 || column >= shadows.columns || row >= shadows.rows) return false;
+    return shadows.dark[row * shadows.columns + column] >= 1;
+  }
+  
+  /**
+   * Find the stretches of a route through persistent shadow
+   * @param {Array} route - Points { x, y }
+   * @returns {Array} - Stretches at least minDarkLength long:
+   *   { start, end: { x, y }, from, to: meters along the route, length }
+   */
+  checkRoute(route) {
+    const stretches = [];
+    let current = null;
+    let along = 0;
+    
+    const close = () => {
+      if (current && current.length >= this.minDarkLength) stretches.push(current);
+      current = null;
+    };
+    
+    for (let i = 1; i < route.length; i++) {
+      const a = route[i - 1];
+      const b = route[i];
+      const length = Math.hypot(b.x - a.x, b.y - a.y);
+      const steps = Math.max(1, Math.ceil(length / (this.cellSize / 2)));
+      
+      for (let s = 0; s < steps; s++) {
+        const t0 = s / steps;
+        const t1 = (s + 1) / steps;
+        const mid = { x: a.x + (b.x - a.x) * (t0 + t1) / 2, y: a.y + (b.y - a.y) * (t0 + t1) / 2 };
+        const end = { x: a.x + (b.x - a.x) * t1, y: a.y + (b.y - a.y) * t1 };
+        
+        if (this.isPersistentShadow(mid)) {
+          if (!current) {
+            current = {
+              start: { x: a.x + (b.x - a.x) * t0, y: a.y + (b.y - a.y) * t0 },
+              end,
+              from: along + length * t0,
+              to: along + length * t1,
+              length: 0
+            };
+          }
+          current.end = end;
+          current.to = along + length * t1;
+          current.length = current.to - current.from;
+        } else {
+          close();
+        }
+      }
+      along += length;
+    }
+    close();
+    
+    return stretches;
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  /**
+   * Listen for sun changes
+   * @param {Function} callback - Called with (type, detail): 'moved' with the sun
+   *   position, 'shadows' with the shadow grid
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default SunModel;
@@ -0,0 +1,607 @@
+/**
+ * Telemetry - Suit telemetry channels, pluggable data sources and a
+ * publish/subscribe hub that the HUD panels listen to
+ */
+import TSSSimulator, { TSS_PATHS, TSS_SCENARIOS } from './tssSimulator.js';
+
+// Oxides reported by the XRF spectrometer (TSS SPEC document), in weight percent
+export const SPEC_OXIDES = ['SiO2', 'TiO2', 'Al2O3', 'FeO', 'MnO', 'MgO', 'CaO', 'K2O', 'P2O3', 'other'];
+
+/**
+ * Telemetry channel of a spectrometer oxide
+ * @param {string} oxide - Oxide name, e.g. 'SiO2'
+ * @returns {string} - Channel key, e.g. 'specSiO2'
+ */
+export function specChannel(oxide) {
+  return `spec${oxide.charAt(0).toUpperCase()}${oxide.slice(1)}`;
+}
+
+// Channel definitions: every reading published through the service must use one of these keys
+export const TELEMETRY_CHANNELS = {
+  battery: { label: 'Battery', unit: '%', type: 'number', format: (v) => `${Math.round(v)}%` },
+  batteryTimeLeft: { label: 'Battery Time Left', unit: 's', type: 'number', format: (v) => formatDuration(v) },
+  batteryDrain: { label: 'Battery Drain', unit: '%/h', type: 'number', format: (v) => `${Math.round(v)}%/h` },
+  o2Primary: { label: 'O2', unit: '%', type: 'number', format: (v) => `${Math.round(v)}%` },
+  o2Secondary: { label: 'O2 Secondary', unit: '%', type: 'number', format: (v) => `${Math.round(v)}%` },
+  o2PrimaryPressure: { label: 'O2 Pri Tank', unit: 'psi', type: 'number', format: (v) => `${Math.round(v)}psi` },
+  o2SecondaryPressure: { label: 'O2 Sec Tank', unit: 'psi', type: 'number', format: (v) => `${Math.round(v)}psi` },
+  o2TimeLeft: { label: 'O2 Time Left', unit: 's', type: 'number', format: (v) => formatDuration(v) },
+  suitPressure: { label: 'Pressure', unit: 'psi', type: 'number', format: (v) => `${v.toFixed(1)}psi` },
+  co2: { label: 'CO2', unit: 'psi', type: 'number', format: (v) => `${v.toFixed(3)}psi` },
+  scrubberA: { label: 'CO2 Scrubber A', unit: '%', type: 'number', format: (v) => `${Math.round(v)}%` },
+  scrubberB: { label: 'CO2 Scrubber B', unit: '%', type: 'number', format: (v) => `${Math.round(v)}%` },
+  heartRate: { label: 'Heart Rate', unit: 'bpm', type: 'number', format: (v) => `${Math.round(v)}bpm` },
+  fanRpm: { label: 'Fan', unit: 'rpm', type: 'number', format: (v) => `${Math.round(v)}rpm` },
+  suitTemp: { label: 'Suit Temp', unit: '°F', type: 'number', format: (v) => `${v.toFixed(1)}°F` },
+  externalTemp: { label: 'External Temp', unit: '°F', type: 'number', format: (v) => `${Math.round(v)}°F` },
+  evaTime: { label: 'EVA Time', unit: 's', type: 'number', format: (v) => formatDuration(v) },
+  
+  // Umbilical Interface Assembly switches for the selected crew member
+  uiaPower: { label: 'UIA EMU Power', type: 'boolean', format: formatSwitch },
+  uiaOxygen: { label: 'UIA O2', type: 'boolean', format: formatSwitch },
+  uiaWaterSupply: { label: 'UIA Water Supply', type: 'boolean', format: formatSwitch },
+  uiaWaterWaste: { label: 'UIA Water Waste', type: 'boolean', format: formatSwitch },
+  uiaOxyVent: { label: 'UIA O2 Vent', type: 'boolean', format: formatSwitch },
+  uiaDepress: { label: 'UIA Depress', type: 'boolean', format: formatSwitch },
+  
+  // Display and Control Unit switches for the selected crew member
+  dcuBattery: { label: 'DCU Battery', type: 'boolean', format: (v) => v ? 'LOCAL' : 'UMB' },
+  dcuOxygen: { label: 'DCU O2', type: 'boolean', format: (v) => v ? 'PRI' : 'SEC' },
+  dcuComm: { label: 'DCU Comm', type: 'boolean', format: (v) => v ? 'A' : 'B' },
+  dcuFan: { label: 'DCU Fan', type: 'boolean', format: (v) => v ? 'PRI' : 'SEC' },
+  dcuPump: { label: 'DCU Pump', type: 'boolean', format: (v) => v ? 'OPEN' : 'CLOSED' },
+  dcuCo2: { label: 'DCU CO2', type: 'boolean', format: (v) => v ? 'A' : 'B' },
+  
+  // Position from the IMU (TSS reports UTM easting/northing in meters)
+  posEasting: { label: 'Easting', unit: 'm', type: 'number', format: (v) => `${v.toFixed(1)}m` },
+  posNorthing: { label: 'Northing', unit: 'm', type: 'number', format: (v) => `${v.toFixed(1)}m` },
+  heading: { label: 'Heading', unit: '°', type: 'number', format: (v) => `${Math.round(v)}°` },
+  
+  commTower: { label: 'Comm Tower', type: 'boolean', format: (v) => v ? 'UP' : 'DOWN' },
+  
+  // Last rock scanned by the XRF spectrometer, one channel per oxide
+  specId: { label: 'Spec Rock ID', type: 'number', format: (v) => String(v) },
+  specName: { label: 'Spec Rock', type: 'string', format: (v) => v || '--' },
+  ...Object.fromEntries(SPEC_OXIDES.map(oxide => [
+    specChannel(oxide),
+    { label: oxide, unit: '%', type: 'number', format: (v) => `${v.toFixed(2)}%` }
+  ]))
+};
+
+// Status panel title -> telemetry channel used by the default HUD
+export const DEFAULT_PANEL_BINDINGS = {
+  Battery: 'battery',
+  O2: 'o2Primary',
+  Pressure: 'suitPressure'
+};
+
+// Display a boolean switch state
+function formatSwitch(value) {
+  return value ? 'ON' : 'OFF';
+}
+
+/**
+ * Format a number of seconds as HH:MM:SS
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * TelemetryService - Holds the latest value of every channel and notifies subscribers
+ */
+class TelemetryService {
+  constructor(options = {}) {
+    const {
+      channels = {},
+      source = null
+    } = options;
+    
+    // Channel registry (defaults can be extended or overridden)
+    this.channels = { ...TELEMETRY_CHANNELS, ...channels };
+    
+    // Latest reading per channel: { value, timestamp }
+    this.readings = new Map();
+    
+    // Subscribers per channel ('*' receives every reading)
+    this.listeners = new Map();
+    
+    // Connection state of the current source
+    this.status = 'disconnected';
+    this.source = null;
+    
+    if (source) {
+      this.setSource(source);
+    }
+  }
+  
+  /**
+   * Replace the data source feeding this service
+   * @param {Object} source - Object implementing start(publish, setStatus) and stop()
+   */
+  setSource(source) {
+    const wasRunning = this.status !== 'disconnected';
+    this.stop();
+    this.source = source;
+    
+    if (wasRunning) {
+      this.start();
+    }
+  }
+  
+  /**
+   * Start receiving data from the current source
+   */
+  start() {
+    if (!this.source) {
+      console.warn('TelemetryService: no source configured');
+      return;
+    }
+    
+    this.setStatus('connecting');
+    this.source.start(
+      (readings, timestamp) => this.publish(readings, timestamp),
+      (status) => this.setStatus(status)
+    );
+  }
+  
+  /**
+   * Stop receiving data
+   */
+  stop() {
+    if (this.source) {
+      this.source.stop();
+    }
+    this.setStatus('disconnected');
+  }
+  
+  // Update connection status and notify '$status' subscribers
+  setStatus(status) {
+    if (status === this.status) return;
+    
+    this.status = status;
+    this.notify('$status', status, Date.now());
+  }
+  
+  /**
+   * Publish a set of readings
+   * @param {Object} readings - Map of channel key to value
+   * @param {number} timestamp - Reading time in ms (defaults to now)
+   */
+  publish(readings, timestamp = Date.now()) {
+    Object.entries(readings).forEach(([channel, rawValue]) => {
+      const definition = this.channels[channel];
+      if (!definition) {
+        console.warn(`TelemetryService: ignoring unknown channel "${channel}"`);
+        return;
+      }
+      
+      const value = this.coerce(definition, rawValue);
+      if (value === null) {
+        console.warn(`TelemetryService: invalid value for "${channel}":`, rawValue);
+        return;
+      }
+      
+      this.readings.set(channel, { value, timestamp });
+      this.notify(channel, value, timestamp);
+    });
+  }
+  
+  // Convert a raw value to the channel's declared type (null when invalid)
+  coerce(definition, rawValue) {
+    if (definition.type === 'boolean') {
+      return typeof rawValue === 'boolean' ? rawValue : null;
+    }
+    if (definition.type === 'string') {
+      return typeof rawValue === 'string' ? rawValue : null;
+    }
+    
+    const value = Number(rawValue);
+    return Number.isFinite(value) ? value : null;
+  }
+  
+  // Call subscribers of a channel and the wildcard subscribers
+  notify(channel, value, timestamp) {
+    const reading = { channel, value, timestamp };
+    [channel, '*'].forEach(key => {
+      if (key === '*' && channel === '$status') return;
+      
+      const callbacks = this.listeners.get(key);
+      if (callbacks) {
+        callbacks.forEach(callback => callback(reading));
+      }
+    });
+  }
+  
+  /**
+   * Subscribe to a channel
+   * @param {string} channel - Channel key, '*' for all channels or '$status' for connection state
+   * @param {Function} callback - Called with { channel, value, timestamp }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(channel, callback) {
+    if (!this.listeners.has(channel)) {
+      this.listeners.set(channel, new Set());
+    }
+    this.listeners.get(channel).add(callback);
+    
+    return () => {
+      const callbacks = this.listeners.get(channel);
+      if (callbacks) callbacks.delete(callback);
+    };
+  }
+  
+  /**
+   * Get the latest value of a channel
+   * @param {string} channel - Channel key
+   * @returns {*} - Latest value or undefined
+   */
+  getValue(channel) {
+    const reading = this.readings.get(channel);
+    return reading ? reading.value : undefined;
+  }
+  
+  /**
+   * Format a value for display using the channel definition
+   * @param {string} channel - Channel key
+   * @param {*} value - Value to format (defaults to latest)
+   * @returns {string} - Display string, '--' when no data
+   */
+  format(channel, value = this.getValue(channel)) {
+    const definition = this.channels[channel];
+    if (value === undefined || !definition) return '--';
+    
+    return definition.format ? definition.format(value) : String(value);
+  }
+  
+  /**
+   * Drive a status panel group created by SpaceUI.createStatusPanels
+   * @param {THREE.Group} statusGroup - Group returned by createStatusPanels
+   * @param {Object} bindings - Map of panel title to channel key
+   * @returns {Function} - Unbind function
+   */
+  bindStatusPanels(statusGroup, bindings = DEFAULT_PANEL_BINDINGS) {
+    const unsubscribers = Object.entries(bindings).map(([title, channel]) =>
+      this.subscribe(channel, ({ value }) => {
+        statusGroup.updatePanel(title, this.format(channel, value));
+      })
+    );
+    
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+  
+  /**
+   * Push the latest known values into a status panel group
+   * @param {THREE.Group} statusGroup - Group returned by createStatusPanels
+   * @param {Object} bindings - Map of panel title to channel key
+   */
+  refreshStatusPanels(statusGroup, bindings = DEFAULT_PANEL_BINDINGS) {
+    Object.entries(bindings).forEach(([title, channel]) => {
+      statusGroup.updatePanel(title, this.format(channel));
+    });
+  }
+}
+
+/**
+ * WebSocketTelemetrySource - Receives JSON messages pushed by a telemetry server
+ */
+export class WebSocketTelemetrySource {
+  constructor(options = {}) {
+    const {
+      url,
+      parse = (message) => message,
+      reconnectDelay = 3000
+    } = options;
+    
+    this.url = url;
+    this.parse = parse;
+    this.reconnectDelay = reconnectDelay;
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.active = false;
+  }
+  
+  start(publish, setStatus) {
+    this.active = true;
+    
+    const connect = () => {
+      setStatus('connecting');
+      this.socket = new WebSocket(this.url);
+      
+      this.socket.onopen = () => setStatus('connected');
+      
+      this.socket.onmessage = (event) => {
+        try {
+          const readings = this.parse(JSON.parse(event.data));
+          if (readings) publish(readings);
+        } catch (error) {
+          console.error('WebSocketTelemetrySource: failed to parse message', error);
+        }
+      };
+      
+      this.socket.onclose = () => {
+        this.socket = null;
+        if (!this.active) return;
+        
+        setStatus('reconnecting');
+        this.reconnectTimer = setTimeout(connect, this.reconnectDelay);
+      };
+    };
+    
+    connect();
+  }
+  
+  stop() {
+    this.active = false;
+    clearTimeout(this.reconnectTimer);
+    
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * HttpPollingTelemetrySource - Polls one or more JSON endpoints on an interval
+ */
+export class HttpPollingTelemetrySource {
+  constructor(options = {}) {
+    const {
+      url,
+      urls = url ? [url] : [],
+      interval = 1000,
+      parse = (json) => json,
+      fetch = (...args) => window.fetch(...args)
+    } = options;
+    
+    this.urls = urls;
+    this.interval = interval;
+    this.parse = parse;
+    this.fetch = fetch;
+    this.timer = null;
+    this.active = false;
+  }
+  
+  // Fetch and parse one endpoint
+  async request(url) {
+    const response = await this.fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+    return response.json();
+  }
+  
+  start(publish, setStatus) {
+    this.stop();
+    this.active = true;
+    
+    let polling = false;
+    const poll = async () => {
+      // Skip ticks while the previous poll is still waiting on a slow server
+      if (polling) return;
+      polling = true;
+      
+      // One failing endpoint (e.g. a 404) does not hold back the others
+      const results = await Promise.allSettled(this.urls.map(url => this.request(url)));
+      polling = false;
+      
+      // A poll that finishes after stop() publishes nothing
+      if (!this.active) return;
+      
+      const failures = results.filter(result => result.status === 'rejected');
+      failures.forEach(result => console.warn('HttpPollingTelemetrySource: poll failed', result.reason));
+      
+      results.forEach(result => {
+        if (result.status !== 'fulfilled') return;
+        
+        try {
+          const readings = this.parse(result.value);
+          if (readings) publish(readings);
+        } catch (error) {
+          console.error('HttpPollingTelemetrySource: failed to parse document', error);
+        }
+      });
+      setStatus(failures.length === results.length && results.length ? 'error' : 'connected');
+    };
+    
+    poll();
+    this.timer = setInterval(poll, this.interval);
+  }
+  
+  stop() {
+    this.active = false;
+    
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Convert a TSS JSON document into telemetry readings
+ * @param {Object} json - Any TSS document (TELEMETRY, UIA, DCU, IMU, SPEC, COMM, ...)
+ * @param {Object} options - { eva: 'eva1' | 'eva2', batteryCapacity: seconds of a full battery }
+ * @returns {Object|null} - Readings, or null for documents without suit data
+ */
+export function parseTSSTelemetry(json, options = {}) {
+  const {
+    eva = 'eva1',
+    batteryCapacity = 10800
+  } = options;
+  
+  if (json.telemetry) {
+    const suit = json.telemetry[eva];
+    if (!suit) return null;
+    
+    return {
+      evaTime: json.telemetry.eva_time,
+      battery: Math.min(100, suit.batt_time_left / batteryCapacity * 100),
+      batteryTimeLeft: suit.batt_time_left,
+      o2Primary: suit.oxy_pri_storage,
+      o2Secondary: suit.oxy_sec_storage,
+      o2PrimaryPressure: suit.oxy_pri_pressure,
+      o2SecondaryPressure: suit.oxy_sec_pressure,
+      o2TimeLeft: suit.oxy_time_left,
+      suitPressure: suit.suit_pressure_total,
+      co2: suit.helmet_pressure_co2,
+      scrubberA: suit.scrubber_a_co2_storage,
+      scrubberB: suit.scrubber_b_co2_storage,
+      heartRate: suit.heart_rate,
+      fanRpm: suit.fan_pri_rpm,
+      suitTemp: suit.temperature
+    };
+  }
+  
+  if (json.uia) {
+    return {
+      uiaPower: json.uia[`${eva}_power`],
+      uiaOxygen: json.uia[`${eva}_oxy`],
+      uiaWaterSupply: json.uia[`${eva}_water_supply`],
+      uiaWaterWaste: json.uia[`${eva}_water_waste`],
+      uiaOxyVent: json.uia.oxy_vent,
+      uiaDepress: json.uia.depress
+    };
+  }
+  
+  if (json.dcu && json.dcu[eva]) {
+    const dcu = json.dcu[eva];
+    return {
+      dcuBattery: dcu.batt,
+      dcuOxygen: dcu.oxy,
+      dcuComm: dcu.comm,
+      dcuFan: dcu.fan,
+      dcuPump: dcu.pump,
+      dcuCo2: dcu.co2
+    };
+  }
+  
+  if (json.imu && json.imu[eva]) {
+    const imu = json.imu[eva];
+    return {
+      posEasting: imu.posx,
+      posNorthing: imu.posy,
+      heading: imu.heading
+    };
+  }
+  
+  // specId goes last, so its listeners see the composition of the same scan
+  if (json.spec && json.spec[eva]) {
+    const spec = json.spec[eva];
+    const data = spec.data || {};
+    return {
+      specName: spec.name,
+      ...Object.fromEntries(SPEC_OXIDES.map(oxide => [specChannel(oxide), data[oxide]])),
+      specId: spec.id
+    };
+  }
+  
+  if (json.comm) {
+    return { commTower: json.comm.comm_tower };
+  }
+  
+  return null;
+}
+
+// Decrease of a value per hour over a sliding window of EVA time (seconds)
+function createDrainTracker(window) {
+  let samples = [];
+  
+  return (time, value) => {
+    if (typeof time !== 'number' || typeof value !== 'number') return null;
+    
+    // EVA time going back means a new EVA
+    const last = samples[samples.length - 1];
+    if (last && time < last.time) samples = [];
+    if (!last || time > last.time) samples.push({ time, value });
+    while (samples.length > 2 && time - samples[1].time >= window) samples.shift();
+    
+    const first = samples[0];
+    const span = time - first.time;
+    return span > 0 ? (first.value - value) / span * 3600 : null;
+  };
+}
+
+/**
+ * Create a polling source for a TSS server (or anything serving the same paths)
+ * @param {Object} options - { baseUrl, team, eva, interval, drainWindow: seconds the
+ *   battery drain rate is measured over, fetch }
+ * @returns {HttpPollingTelemetrySource} - Source polling the suit documents
+ */
+export function createTSSTelemetrySource(options = {}) {
+  const {
+    baseUrl = '',
+    team = 0,
+    eva = 'eva1',
+    interval = 1000,
+    drainWindow = 30,
+    fetch
+  } = options;
+  
+  const documents = ['telemetry', 'uia', 'dcu', 'imu', 'spec', 'comm'];
+  const batteryDrain = createDrainTracker(drainWindow);
+  
+  return new HttpPollingTelemetrySource({
+    urls: documents.map(name => baseUrl + TSS_PATHS[name](team)),
+    interval,
+    parse: (json) => {
+      const reading = parseTSSTelemetry(json, { eva });
+      if (reading && reading.battery !== undefined) {
+        const drain = batteryDrain(reading.evaTime, reading.battery);
+        if (drain !== null) reading.batteryDrain = drain;
+      }
+      return reading;
+    },
+    ...(fetch ? { fetch } : {})
+  });
+}
+
+/**
+ * Create a source from URL parameters:
+ *   ?tss=http://host:14141 - TSS server
+ *   ?telemetry=ws://...    - WebSocket pushing flat readings
+ *   ?telemetry=http://...  - HTTP endpoint returning flat readings
+ *   (none)                 - Bundled TSS simulator (?scenario=o2Leak etc.)
+ * @param {URLSearchParams} params - Page URL parameters
+ * @returns {Object} - { source, simulator } where simulator is set when running offline
+ */
+export function createTelemetrySource(params) {
+  const tss = params.get('tss');
+  const url = params.get('telemetry');
+  const team = Number(params.get('team') || 0);
+  const eva = params.get('eva') || 'eva1';
+  
+  if (tss) {
+    return { source: createTSSTelemetrySource({ baseUrl: tss.replace(/\/$/, ''), team, eva }), simulator: null };
+  }
+  
+  if (url && /^wss?:\/\//.test(url)) {
+    return { source: new WebSocketTelemetrySource({ url }), simulator: null };
+  }
+  
+  if (url && /^https?:\/\//.test(url)) {
+    return { source: new HttpPollingTelemetrySource({ url }), simulator: null };
+  }
+  
+  // Offline: poll the bundled simulator exactly as we would poll TSS
+  let scenario = params.get('scenario') || 'nominal';
+  if (!Array.isArray(TSS_SCENARIOS[scenario])) {
+    console.warn(`Unknown scenario "${scenario}", running "nominal" (one of ${Object.keys(TSS_SCENARIOS).join(', ')})`);
+    scenario = 'nominal';
+  }
+  
+  const simulator = new TSSSimulator({ scenario, team });
+  simulator.start();
+  
+  return {
+    source: createTSSTelemetrySource({ team, eva, fetch: simulator.fetch }),
+    simulator
+  };
+}
+
+export default TelemetryService;
@@ -0,0 +1,633 @@
+import * as THREE from 'three';
+
+/**
+ * Terrain - Ground surface built from a digital elevation model (DEM)
+ *
+ * A DEM is a grid of elevations in meters covering a rectangle of map (UTM)
+ * coordinates. It is read from a GeoTIFF, georeferenced by its own tags, or
+ * from a grayscale PNG heightmap (8 or 16 bit) described by a JSON file:
+ * {
+ *   "heightmap": "rockyard-dem.png",        (relative to the JSON file)
+ *   "bounds": { minX, minY, maxX, maxY },   (UTM extent of the first to last sample)
+ *   "minElevation": 0, "maxElevation": 12,  (meters at pixel values 0 and the maximum)
+ *   "noData": 0                             (optional pixel value of holes)
+ * }
+ * A JSON file can also point at a GeoTIFF, overriding its bounds or noData.
+ *
+ * DEM: { width, height, heights: Float32Array (rows north to south), bounds, utm }
+ *
+ * The surface is split into tiles of displaced geometry placed in the scene
+ * through a coordinate service, which in turn learns the ground elevation so
+ * beacons and other map points sit on the surface.
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// TIFF tags and GeoTIFF keys read by the parser
+const TIFF_TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileHeight: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  geoKeys: 34735,
+  noData: 42113
+};
+const GEO_KEYS = { modelType: 1024, rasterType: 1025, projectedCRS: 3072 };
+
+// Bytes per value of the TIFF field types
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 7: 1, 8: 2, 9: 4, 11: 4, 12: 8 };
+
+// Inflate zlib data
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Decode TIFF LZW data (MSB first, 9 to 12 bit codes, early change)
+function decodeLZW(input) {
+  let output = new Uint8Array(input.length * 4);
+  let length = 0;
+  const write = (entry) => {
+    if (length + entry.length > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, length + entry.length));
+      grown.set(output);
+      output = grown;
+    }
+    output.set(entry, length);
+    length += entry.length;
+  };
+  
+  let table = [];
+  let codeWidth = 9;
+  const reset = () => {
+    table = Array.from({ length: 258 }, (_, i) => Uint8Array.of(i));
+    codeWidth = 9;
+  };
+  reset();
+  
+  let bit = 0;
+  let previous = null;
+  while (bit + codeWidth <= input.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeWidth; i++, bit++) {
+      code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    
+    if (code === 257) break;
+    if (code === 256) {
+      reset();
+      previous = null;
+      continue;
+    }
+    
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+    } else if (previous) {
+      entry = new Uint8Array(previous.length + 1);
+      entry.set(previous);
+      entry[previous.length] = previous[0];
+    } else {
+      throw new Error('Terrain: corrupt LZW data');
+    }
+    write(entry);
+    
+    if (previous) {
+      const added = new Uint8Array(previous.length + 1);
+      added.set(previous);
+      added[previous.length] = entry[0];
+      table.push(added);
+    }
+    previous = entry;
+    if (table.length + 1 >= (1 << codeWidth) && codeWidth < 12) codeWidth++;
+  }
+  
+  return output.subarray(0, length);
+}
+
+// Fill holes with the lowest valid elevation so the surface stays closed
+function fillNoData(heights, noData) {
+  let lowest = Infinity;
+  const isHole = (value) => !Number.isFinite(value) || (noData !== null && value === noData);
+  heights.forEach(value => {
+    if (!isHole(value) && value < lowest) lowest = value;
+  });
+  if (lowest === Infinity) {
+    throw new Error('Terrain: the DEM has no valid elevations');
+  }
+  heights.forEach((value, i) => {
+    if (isHole(value)) heights[i] = lowest;
+  });
+}
+
+/**
+ * Read a grayscale PNG heightmap
+ * @param {ArrayBuffer} buffer - PNG file
+ * @param {Object} definition - { bounds, minElevation, maxElevation, noData }
+ * @returns {Promise<Object>} - DEM
+ */
+export async function parseHeightmapPNG(buffer, definition = {}) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    throw new Error('Terrain: not a PNG file');
+  }
+  
+  const { bounds, minElevation = 0, maxElevation, noData = null } = definition;
+  if (!bounds || typeof maxElevation !== 'number') {
+    throw new Error('Terrain: a PNG heightmap needs bounds and maxElevation');
+  }
+  
+  let header = null;
+  const data = [];
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+  
+  if (!header || header.colorType !== 0 || ![8, 16].includes(header.bitDepth) || header.interlace !== 0) {
+    throw new Error('Terrain: heightmaps must be non-interlaced 8 or 16 bit grayscale PNGs');
+  }
+  
+  const { width, height, bitDepth } = header;
+  const pixels = await inflate(new Blob(data));
+  const bpp = bitDepth / 8;
+  const stride = width * bpp;
+  const rows = new Uint8Array(stride * height);
+  
+  // Undo the per-row filters
+  for (let y = 0; y < height; y++) {
+    const filter = pixels[y * (stride + 1)];
+    const line = pixels.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = rows.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? rows.subarray((y - 1) * stride, y * stride) : new Uint8Array(stride);
+    
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = above[i];
+      const upLeft = i >= bpp ? above[i - bpp] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      row[i] = (line[i] + predicted) & 0xff;
+    }
+  }
+  
+  const maxValue = (1 << bitDepth) - 1;
+  const scale = (maxElevation - minElevation) / maxValue;
+  const heights = new Float32Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    const value = bitDepth === 16 ? (rows[i * 2] << 8) | rows[i * 2 + 1] : rows[i];
+    heights[i] = value === noData ? NaN : minElevation + value * scale;
+  }
+  fillNoData(heights, null);
+  
+  return { width, height, heights, bounds: { ...bounds }, utm: definition.utm || null };
+}
+
+/**
+ * Read a single-band GeoTIFF DEM in a projected (UTM) coordinate system
+ * @param {ArrayBuffer} buffer - TIFF file
+ * @param {Object} definition - Optional { bounds, noData, utm } overriding the file's tags
+ * @returns {Promise<Object>} - DEM
+ */
+export async function parseGeoTIFF(buffer, definition = {}) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4d4d) {
+    throw new Error('Terrain: not a TIFF file');
+  }
+  const little = order === 0x4949;
+  if (view.getUint16(2, little) !== 42) {
+    throw new Error('Terrain: BigTIFF files are not supported');
+  }
+  
+  // Tags of the first image directory
+  const tags = {};
+  const ifd = view.getUint32(4, little);
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const length = view.getUint32(entry + 4, little);
+    const size = TIFF_TYPE_SIZES[type];
+    if (!size) continue;
+    
+    const offset = size * length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+    const values = [];
+    for (let j = 0; j < length; j++) {
+      const at = offset + j * size;
+      switch (type) {
+        case 3: values.push(view.getUint16(at, little)); break;
+        case 4: values.push(view.getUint32(at, little)); break;
+        case 8: values.push(view.getInt16(at, little)); break;
+        case 9: values.push(view.getInt32(at, little)); break;
+        case 11: values.push(view.getFloat32(at, little)); break;
+        case 12: values.push(view.getFloat64(at, little)); break;
+        default: values.push(view.getUint8(at));
+      }
+    }
+    tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : values;
+  }
+  
+  const tag = (name, fallback) => (tags[TIFF_TAGS[name]] ? tags[TIFF_TAGS[name]][0] : fallback);
+  const width = tag('width');
+  const height = tag('height');
+  const bits = tag('bitsPerSample', 1);
+  const format = tag('sampleFormat', 1);
+  const compression = tag('compression', 1);
+  const predictor = tag('predictor', 1);
+  
+  if (tag('samplesPerPixel', 1) !== 1) {
+    throw new Error('Terrain: the GeoTIFF must have a single band');
+  }
+  if (![8, 16, 32, 64].includes(bits) || (format === 3 && bits < 32)) {
+    throw new Error(`Terrain: unsupported GeoTIFF sample type (${bits} bit, format ${format})`);
+  }
+  if (![1, 5, 8, 32946].includes(compression)) {
+    throw new Error(`Terrain: unsupported GeoTIFF compression ${compression}`);
+  }
+  
+  // GeoTIFF keys: [version, revision, minor, count, then (key, location, count, value) per key]
+  const geoKeys = {};
+  const directory = tags[TIFF_TAGS.geoKeys] || [];
+  for (let i = 4; i + 3 < directory.length; i += 4) {
+    if (directory[i + 1] === 0) geoKeys[directory[i]] = directory[i + 3];
+  }
+  if (geoKeys[GEO_KEYS.modelType] === 2) {
+    throw new Error('Terrain: the GeoTIFF must use a projected (UTM) coordinate system, not latitude/longitude');
+  }
+  
+  // UTM zone from the EPSG code of WGS84 / UTM (326zz north, 327zz south)
+  const crs = geoKeys[GEO_KEYS.projectedCRS];
+  const utm = definition.utm || (crs > 32600 && crs < 32661 ? { zone: crs - 32600, hemisphere: 'N' }
+    : crs > 32700 && crs < 32761 ? { zone: crs - 32700, hemisphere: 'S' } : null);
+  
+  // Extent of the sample points; by default the tiepoint is the corner of the first pixel
+  let bounds = definition.bounds ? { ...definition.bounds } : null;
+  if (!bounds) {
+    const scale = tags[TIFF_TAGS.pixelScale];
+    const tiepoint = tags[TIFF_TAGS.tiepoint];
+    if (!scale || !tiepoint) {
+      throw new Error('Terrain: the GeoTIFF has no georeferencing, give bounds in a JSON definition');
+    }
+    const [sx, sy] = scale;
+    const [i, j, , x, y] = tiepoint;
+    const center = geoKeys[GEO_KEYS.rasterType] === 2 ? 0 : 0.5;
+    const minX = x + (center - i) * sx;
+    const maxY = y - (center - j) * sy;
+    bounds = { minX, minY: maxY - (height - 1) * sy, maxX: minX + (width - 1) * sx, maxY };
+  }
+  
+  // Image data comes in tiles or in strips of whole rows
+  const tiled = tags[TIFF_TAGS.tileOffsets] !== undefined;
+  const chunkWidth = tiled ? tag('tileWidth') : width;
+  const chunkHeight = tiled ? tag('tileHeight') : Math.min(tag('rowsPerStrip', height), height);
+  const offsets = tags[TIFF_TAGS[tiled ? 'tileOffsets' : 'stripOffsets']];
+  const byteCounts = tags[TIFF_TAGS[tiled ? 'tileByteCounts' : 'stripByteCounts']];
+  const across = Math.ceil(width / chunkWidth);
+  const bytesPerSample = bits / 8;
+  const heights = new Float32Array(width * height);
+  
+  for (let c = 0; c < offsets.length; c++) {
+    let bytes = new Uint8Array(buffer, offsets[c], byteCounts[c]);
+    if (compression === 5) bytes = decodeLZW(bytes);
+    else if (compression !== 1) bytes = await inflate(bytes);
+    
+    const left = (c % across) * chunkWidth;
+    const top = Math.floor(c / across) * chunkHeight;
+    const rowBytes = chunkWidth * bytesPerSample;
+    const rows = Math.min(chunkHeight, Math.floor(bytes.length / rowBytes));
+    
+    for (let r = 0; r < rows && top + r < height; r++) {
+      let row = bytes.slice(r * rowBytes, (r + 1) * rowBytes);
+      
+      // Floating point predictor: bytes are differenced, then split by significance
+      if (predictor === 3) {
+        for (let i = 1; i < row.length; i++) row[i] = (row[i] + row[i - 1]) & 0xff;
+        const shuffled = row;
+        row = new Uint8Array(rowBytes);
+        for (let i = 0; i < chunkWidth; i++) {
+          for (let b = 0; b < bytesPerSample; b++) {
+            row[i * bytesPerSample + (little ? bytesPerSample - 1 - b : b)] = shuffled[b * chunkWidth + i];
+          }
+        }
+      }
+      
+      const rowView = new DataView(row.buffer, row.byteOffset, row.byteLength);
+      let sum = 0;
+      for (let i = 0; i < chunkWidth; i++) {
+        const at = i * bytesPerSample;
+        let value;
+        if (format === 3) {
+          value = bits === 32 ? rowView.getFloat32(at, little) : rowView.getFloat64(at, little);
+        } else if (predictor === 2) {
+          // Horizontal differencing: add up the unsigned differences, wrapping like the integer type
+          const raw = bits === 8 ? rowView.getUint8(at) : bits === 16 ? rowView.getUint16(at, little) : rowView.getUint32(at, little);
+          sum = (sum + raw) % 2 ** bits;
+          value = format === 2 && sum >= 2 ** (bits - 1) ? sum - 2 ** bits : sum;
+        } else if (format === 2) {
+          value = bits === 8 ? rowView.getInt8(at) : bits === 16 ? rowView.getInt16(at, little) : rowView.getInt32(at, little);
+        } else {
+          value = bits === 8 ? rowView.getUint8(at) : bits === 16 ? rowView.getUint16(at, little) : rowView.getUint32(at, little);
+        }
+        if (left + i < width) heights[(top + r) * width + left + i] = value;
+      }
+    }
+  }
+  
+  const noDataTag = tags[TIFF_TAGS.noData];
+  const noData = definition.noData !== undefined ? definition.noData : noDataTag ? parseFloat(noDataTag) : null;
+  fillNoData(heights, Number.isNaN(noData) ? null : noData);
+  
+  return { width, height, heights, bounds, utm };
+}
+
+/**
+ * Fetch a DEM: a GeoTIFF, or a JSON definition of a PNG heightmap or GeoTIFF
+ * @param {string} url - DEM or definition URL
+ * @param {Object} options - { fetch, terrain: Terrain to load into }
+ * @returns {Promise<Object>} - DEM
+ */
+export async function loadTerrain(url, options = {}) {
+  const {
+    fetch = (...args) => window.fetch(...args),
+    terrain = null
+  } = options;
+  
+  const get = async (target) => {
+    const response = await fetch(target);
+    if (!response.ok) {
+      throw new Error(`Failed to load terrain ${target}: HTTP ${response.status}`);
+    }
+    return response;
+  };
+  
+  let definition = {};
+  let heightmapUrl = url;
+  if (/\.json($|\?)/i.test(url)) {
+    definition = await (await get(url)).json();
+    if (!definition.heightmap) {
+      throw new Error('Terrain: the definition needs a heightmap file');
+    }
+    heightmapUrl = new URL(definition.heightmap, new URL(url, globalThis.location ? globalThis.location.href : undefined)).href;
+  }
+  
+  const buffer = await (await get(heightmapUrl)).arrayBuffer();
+  const isPNG = PNG_SIGNATURE.every((value, i) => new Uint8Array(buffer, 0, 8)[i] === value);
+  const dem = isPNG ? await parseHeightmapPNG(buffer, definition) : await parseGeoTIFF(buffer, definition);
+  
+  if (terrain) terrain.setDEM(dem);
+  return dem;
+}
+
+class Terrain {
+  constructor(options = {}) {
+    const {
+      coordinates,
+      material = null,
+      tileSize = 64,
+      maxVertices = 512 * 512,
+      textureSize = 100
+    } = options;
+    
+    if (!coordinates) {
+      throw new Error('Terrain: coordinates are required');
+    }
+    
+    this.coordinates = coordinates;
+    this.material = material || new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.9, metalness: 0.1 });
+    
+    // Cells per tile edge, and the vertex budget above which the grid is thinned out
+    this.tileSize = tileSize;
+    this.maxVertices = maxVertices;
+    
+    // Meters covered by one repeat of the material's texture coordinates
+    this.textureSize = textureSize;
+    
+    this.dem = null;
+    this.step = 1;
+    this.builtFor = null;
+    
+    // Tiles are built in site coordinates (east, up, -north) and placed by the group
+    this.group = new THREE.Group();
+    this.group.name = 'terrain';
+    
+    this.listeners = new Set();
+    this.unsubscribe = coordinates.subscribe(() => this.place());
+  }
+  
+  /**
+   * Replace the elevation model and rebuild the surface
+   * @param {Object} dem - DEM as returned by loadTerrain
+   */
+  setDEM(dem) {
+    if (!dem || dem.width < 2 || dem.height < 2 || dem.heights.length !== dem.width * dem.height) {
+      throw new Error('Terrain: the DEM needs a grid of at least 2x2 elevations');
+    }
+    
+    this.dem = dem;
+    this.step = Math.max(1, Math.ceil(Math.sqrt(dem.width * dem.height / this.maxVertices)));
+    this.builtFor = null;
+    
+    // Puts the site origin and map points without elevation on the surface, which places the tiles
+    this.coordinates.setElevation((x, y) => this.elevationAt(x, y));
+    if (dem.utm) this.coordinates.setZone(dem.utm.zone, dem.utm.hemisphere);
+    this.emit('loaded', dem);
+  }
+  
+  /**
+   * Ground elevation of a map point, interpolated between samples and clamped to the DEM edges
+   * @param {number} x - Easting
+   * @param {number} y - Northing
+   * @returns {number|null} - Meters, or null without a DEM
+   */
+  elevationAt(x, y) {
+    const { dem } = this;
+    if (!dem) return null;
+    
+    const { width, height, heights, bounds } = dem;
+    const column = THREE.MathUtils.clamp((x - bounds.minX) / (bounds.maxX - bounds.minX), 0, 1) * (width - 1);
+    const row = THREE.MathUtils.clamp((bounds.maxY - y) / (bounds.maxY - bounds.minY), 0, 1) * (height - 1);
+    const i = Math.min(Math.floor(column), width - 2);
+    const j = Math.min(Math.floor(row), height - 2);
+    const u = column - i;
+    const v = row - j;
+    
+    const top = heights[j * width + i] * (1 - u) + heights[j * width + i + 1] * u;
+    const bottom = heights[(j + 1) * width + i] * (1 - u) + heights[(j + 1) * width + i + 1] * u;
+    return top * (1 - v) + bottom * v;
+  }
+  
+  /**
+   * Scene height of the surface below a scene position
+   * @param {number} x - Scene X
+   * @param {number} z - Scene Z
+   * @returns {number} - Scene Y of the ground
+   */
+  heightAt(x, z) {
+    const utm = this.coordinates.worldToUTM(new THREE.Vector3(x, 0, z));
+    return this.coordinates.utmToGround(utm).y;
+  }
+  
+  // Follow the scene anchor, rebuilding the tiles when the site origin moves
+  place() {
+    if (!this.dem) return;
+    
+    const { origin, worldOrigin, northAngle } = this.coordinates;
+    const key = `${origin.x},${origin.y},${origin.z}`;
+    if (key !== this.builtFor) {
+      this.build();
+      this.builtFor = key;
+    }
+    
+    this.group.position.copy(worldOrigin);
+    this.group.rotation.set(0, -THREE.MathUtils.degToRad(northAngle), 0);
+    this.emit('placed', this.group);
+  }
+  
+  // Recreate the tile meshes from the DEM, relative to the site origin
+  build() {
+    this.clear();
+    
+    const { width, height, heights, bounds } = this.dem;
+    const { origin } = this.coordinates;
+    const step = this.step;
+    const dx = (bounds.maxX - bounds.minX) / (width - 1);
+    const dy = (bounds.maxY - bounds.minY) / (height - 1);
+    
+    // Grid thinned out by step, always keeping the last row and column
+    const columns = [];
+    for (let i = 0; i < width - 1; i += step) columns.push(i);
+    columns.push(width - 1);
+    const rows = [];
+    for (let j = 0; j < height - 1; j += step) rows.push(j);
+    rows.push(height - 1);
+    
+    const sample = (i, j) => heights[THREE.MathUtils.clamp(j, 0, height - 1) * width + THREE.MathUtils.clamp(i, 0, width - 1)];
+    
+    for (let tj = 0; tj < rows.length - 1; tj += this.tileSize) {
+      for (let ti = 0; ti < columns.length - 1; ti += this.tileSize) {
+        const tileColumns = columns.slice(ti, ti + this.tileSize + 1);
+        const tileRows = rows.slice(tj, tj + this.tileSize + 1);
+        const count = tileColumns.length * tileRows.length;
+        const positions = new Float32Array(count * 3);
+        const normals = new Float32Array(count * 3);
+        const uvs = new Float32Array(count * 2);
+        
+        let v = 0;
+        tileRows.forEach(j => {
+          tileColumns.forEach(i => {
+            const east = bounds.minX + i * dx - origin.x;
+            const north = bounds.maxY - j * dy - origin.y;
+            positions.set([east, sample(i, j) - origin.z, -north], v * 3);
+            
+            // Slopes from the full grid so neighbouring tiles share normals
+            const slopeEast = (sample(i + step, j) - sample(i - step, j)) / (2 * step * dx);
+            const slopeNorth = (sample(i, j - step) - sample(i, j + step)) / (2 * step * dy);
+            const normal = new THREE.Vector3(-slopeEast, 1, slopeNorth).normalize();
+            normals.set([normal.x, normal.y, normal.z], v * 3);
+            
+            uvs.set([east / this.textureSize, north / this.textureSize], v * 2);
+            v++;
+          });
+        });
+        
+        // Two triangles per cell, facing up
+        const indices = [];
+        const across = tileColumns.length;
+        for (let r = 0; r < tileRows.length - 1; r++) {
+          for (let c = 0; c < across - 1; c++) {
+            const a = r * across + c;
+            const b = a + 1;
+            const d = a + across;
+            indices.push(a, d, b, b, d, d + 1);
+          }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setIndex(count > 65535 ? new THREE.Uint32BufferAttribute(indices, 1) : new THREE.Uint16BufferAttribute(indices, 1));
+        geometry.computeBoundingSphere();
+        
+        const tile = new THREE.Mesh(geometry, this.material);
+        tile.name = `terrain-tile-${tj / this.tileSize}-${ti / this.tileSize}`;
+        tile.castShadow = true;
+        tile.receiveShadow = true;
+        this.group.add(tile);
+      }
+    }
+    
+    this.emit('built', this.group.children);
+  }
+  
+  // Remove and dispose the tiles
+  clear() {
+    [...this.group.children].forEach(tile => {
+      this.group.remove(tile);
+      tile.geometry.dispose();
+    });
+  }
+  
+  dispose() {
+    this.unsubscribe();
+    this.clear();
+    if (this.group.parent) this.group.parent.remove(this.group);
+    if (this.coordinates.elevationAt) this.coordinates.setElevation(null);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  /**
+   * Listen for terrain changes
+   * @param {Function} callback - Called with (type, detail): 'loaded' with the DEM,
+   *   'built' with the tile meshes, 'placed' with the group after a scene anchor change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+}
+
+export default Terrain;
@@ -0,0 +1,424 @@
+/**
+ * TSSSimulator - Local stand-in for the SUITS Telemetry Stream Server
+ *
+ * Serves the same JSON documents as TSS (TELEMETRY, EVA, UIA, DCU, IMU,
+ * ROVER, SPEC, COMM) through a fetch-compatible function, and plays back
+ * scripted EVA timelines. Time only advances through step() or start(), so
+ * a given seed and scenario always produce the same values.
+ */
+
+// TSS endpoint paths, relative to the server root
+export const TSS_PATHS = {
+  telemetry: (team) => `/json_data/teams/${team}/TELEMETRY.json`,
+  eva: (team) => `/json_data/teams/${team}/EVA.json`,
+  uia: () => '/json_data/UIA.json',
+  dcu: () => '/json_data/DCU.json',
+  imu: () => '/json_data/IMU.json',
+  rover: () => '/json_data/ROVER.json',
+  spec: () => '/json_data/SPEC.json',
+  comm: () => '/json_data/COMM.json'
+};
+
+// Scripted EVA timelines: each event fires once when eva_time reaches `at` seconds
+export const TSS_SCENARIOS = {
+  nominal: [
+    { at: 0, action: 'startEva' }
+  ],
+  o2Leak: [
+    { at: 0, action: 'startEva' },
+    { at: 120, action: 'fault', fault: 'o2Leak', eva: 'eva1', rate: 0.25 }
+  ],
+  batteryFault: [
+    { at: 0, action: 'startEva' },
+    { at: 90, action: 'fault', fault: 'batteryFault', eva: 'eva1', drop: 1800, rate: 4 }
+  ],
+  commLoss: [
+    { at: 0, action: 'startEva' },
+    { at: 60, action: 'fault', fault: 'commLoss' },
+    { at: 180, action: 'clear', fault: 'commLoss' }
+  ],
+  geology: [
+    { at: 0, action: 'startEva' },
+    { at: 30, action: 'spec', eva: 'eva1', sample: { name: 'mare_basalt', id: 1, data: { SiO2: 40.58, TiO2: 12.83, Al2O3: 10.91, FeO: 13.18, MnO: 0.19, MgO: 6.7, CaO: 10.64, K2O: 0.07, P2O3: 0.1, other: 4.8 } } },
+    { at: 90, action: 'spec', eva: 'eva1', sample: { name: 'anorthosite', id: 2, data: { SiO2: 44.2, TiO2: 0.06, Al2O3: 35.1, FeO: 0.4, MnO: 0.01, MgO: 0.3, CaO: 19.4, K2O: 0.02, P2O3: 0.01, other: 0.5 } } }
+  ]
+};
+
+// Nominal consumption per second of EVA time
+const NOMINAL_RATES = {
+  battery: 1,           // seconds of battery per second
+  oxyStorage: 0.0093,   // primary O2 storage percent per second
+  co2Scrubber: 0.005    // scrubber fill percent per second
+};
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+class TSSSimulator {
+  constructor(options = {}) {
+    const {
+      scenario = 'nominal',
+      seed = 1,
+      team = 0,
+      origin = { x: 298355, y: 3272383 }
+    } = options;
+    
+    this.team = team;
+    this.seed = seed;
+    this.origin = origin;
+    this.timer = null;
+    
+    // Allow passing simulator.fetch around as a plain function
+    this.fetch = this.fetch.bind(this);
+    
+    this.loadScenario(scenario);
+  }
+  
+  /**
+   * Load a scenario by name or as an event list, and reset the simulation
+   * @param {string|Array} scenario - Key of TSS_SCENARIOS or a list of events
+   */
+  loadScenario(scenario) {
+    const events = typeof scenario === 'string' ? TSS_SCENARIOS[scenario] : scenario;
+    if (!Array.isArray(events)) {
+      throw new Error(`TSSSimulator: unknown scenario "${scenario}"`);
+    }
+    
+    this.scenarioName = typeof scenario === 'string' ? scenario : 'custom';
+    this.events = [...events].sort((a, b) => a.at - b.at);
+    this.reset();
+  }
+  
+  // Restore the initial state of every document
+  reset() {
+    this.random = createRandom(this.seed);
+    this.time = 0;
+    this.nextEvent = 0;
+    this.faults = {};
+    this.loads = {};
+    
+    this.state = {
+      eva: {
+        started: false,
+        paused: false,
+        completed: false,
+        total_time: 0,
+        uia: { started: false, completed: false, time: 0 },
+        dcu: { started: false, completed: false, time: 0 },
+        rover: { started: false, completed: false, time: 0 },
+        spec: { started: false, completed: false, time: 0 }
+      },
+      telemetry: {
+        eva_time: 0,
+        eva1: this.createSuit(),
+        eva2: this.createSuit()
+      },
+      uia: {
+        eva1_power: false,
+        eva1_oxy: false,
+        eva1_water_supply: false,
+        eva1_water_waste: false,
+        eva2_power: false,
+        eva2_oxy: false,
+        eva2_water_supply: false,
+        eva2_water_waste: false,
+        oxy_vent: false,
+        depress: false
+      },
+      dcu: {
+        eva1: { batt: false, oxy: false, comm: false, fan: false, pump: false, co2: false },
+        eva2: { batt: false, oxy: false, comm: false, fan: false, pump: false, co2: false }
+      },
+      imu: {
+        eva1: { posx: this.origin.x, posy: this.origin.y, heading: 0 },
+        eva2: { posx: this.origin.x + 2, posy: this.origin.y, heading: 0 }
+      },
+      rover: { posx: this.origin.x + 20, posy: this.origin.y + 10, qr_id: 0 },
+      spec: {
+        eva1: { name: '', id: 0, data: this.createSpecData() },
+        eva2: { name: '', id: 0, data: this.createSpecData() }
+      },
+      comm: { comm_tower: true }
+    };
+    
+    this.applyEvents();
+  }
+  
+  // Initial suit telemetry, matching TSS field names
+  createSuit() {
+    return {
+      batt_time_left: 10800,
+      oxy_pri_storage: 100,
+      oxy_sec_storage: 100,
+      oxy_pri_pressure: 3100,
+      oxy_sec_pressure: 3100,
+      oxy_time_left: 10800,
+      heart_rate: 90,
+      oxy_consumption: 0.1,
+      co2_production: 0.1,
+      suit_pressure_oxy: 4.0,
+      suit_pressure_co2: 0.001,
+      suit_pressure_other: 0,
+      suit_pressure_total: 4.0,
+      fan_pri_rpm: 30000,
+      fan_sec_rpm: 30000,
+      helmet_pressure_co2: 0.1,
+      scrubber_a_co2_storage: 0,
+      scrubber_b_co2_storage: 0,
+      temperature: 70,
+      coolant_ml: 22,
+      coolant_gas_pressure: 0,
+      coolant_liquid_pressure: 500
+    };
+  }
+  
+  createSpecData() {
+    return { SiO2: 0, TiO2: 0, Al2O3: 0, FeO: 0, MnO: 0, MgO: 0, CaO: 0, K2O: 0, P2O3: 0, other: 0 };
+  }
+  
+  /**
+   * Advance simulated EVA time
+   * @param {number} dt - Seconds to advance
+   */
+  step(dt) {
+    let remaining = dt;
+    
+    // Split the step at event times so faults start exactly on schedule
+    while (remaining > 0 && this.isRunning()) {
+      const next = this.events[this.nextEvent];
+      const slice = next ? Math.min(remaining, Math.max(0, next.at - this.time)) || remaining : remaining;
+      
+      this.advance(slice);
+      remaining -= slice;
+    }
+  }
+  
+  isRunning() {
+    const { eva } = this.state;
+    return eva.started && !eva.paused && !eva.completed;
+  }
+  
+  // Advance every suit by dt seconds, then fire due events
+  advance(dt) {
+    const { eva, telemetry } = this.state;
+    
+    this.time += dt;
+    eva.total_time = Math.floor(this.time);
+    telemetry.eva_time = Math.floor(this.time);
+    
+    ['eva1', 'eva2'].forEach(id => this.stepSuit(id, telemetry[id], dt));
+    
+    this.applyEvents();
+  }
+  
+  // Consume resources for one suit
+  stepSuit(id, suit, dt) {
+    const leak = this.faults.o2Leak && this.faults.o2Leak.eva === id ? this.faults.o2Leak : null;
+    const battery = this.faults.batteryFault && this.faults.batteryFault.eva === id ? this.faults.batteryFault : null;
+    
+    // Battery drain, increased by a fault and by extra loads (e.g. helmet lights)
+    const extraLoad = Object.values(this.loads).reduce((sum, load) => sum + load, 0);
+    const batteryRate = NOMINAL_RATES.battery * (1 + extraLoad) * (battery ? battery.rate : 1);
+    suit.batt_time_left = Math.max(0, suit.batt_time_left - batteryRate * dt);
+    
+    // Primary O2 drains first, secondary takes over when primary is empty
+    const oxyRate = NOMINAL_RATES.oxyStorage + (leak ? leak.rate : 0);
+    if (suit.oxy_pri_storage > 0) {
+      suit.oxy_pri_storage = Math.max(0, suit.oxy_pri_storage - oxyRate * dt);
+    } else {
+      suit.oxy_sec_storage = Math.max(0, suit.oxy_sec_storage - oxyRate * dt);
+    }
+    
+    // UIA O2 vent empties the tanks, UIA O2 supply refills the primary tank
+    if (this.state.uia.oxy_vent) {
+      suit.oxy_pri_storage = Math.max(0, suit.oxy_pri_storage - 5 * dt);
+      suit.oxy_sec_storage = Math.max(0, suit.oxy_sec_storage - 5 * dt);
+    } else if (this.state.uia[`${id}_oxy`]) {
+      suit.oxy_pri_storage = Math.min(100, suit.oxy_pri_storage + 5 * dt);
+    }
+    
+    suit.oxy_pri_pressure = suit.oxy_pri_storage * 31;
+    suit.oxy_sec_pressure = suit.oxy_sec_storage * 31;
+    suit.oxy_time_left = (suit.oxy_pri_storage + suit.oxy_sec_storage) / oxyRate;
+    
+    // Suit pressure sags during a leak
+    suit.suit_pressure_oxy = leak ? Math.max(2.5, suit.suit_pressure_oxy - 0.002 * dt) : 4.0;
+    suit.suit_pressure_total = suit.suit_pressure_oxy + suit.suit_pressure_co2 + suit.suit_pressure_other;
+    
+    // The DCU CO2 switch picks the scrubber in use (off: A, on: B); a full one
+    // hands over to the other while that still has room
+    const dcu = this.state.dcu[id];
+    const other = dcu.co2 ? 'scrubber_a_co2_storage' : 'scrubber_b_co2_storage';
+    if (suit[dcu.co2 ? 'scrubber_b_co2_storage' : 'scrubber_a_co2_storage'] >= 100 && suit[other] < 100) {
+      dcu.co2 = !dcu.co2;
+    }
+    const scrubber = dcu.co2 ? 'scrubber_b_co2_storage' : 'scrubber_a_co2_storage';
+    suit[scrubber] = Math.min(100, suit[scrubber] + NOMINAL_RATES.co2Scrubber * dt);
+    
+    // Physiological noise
+    suit.heart_rate = 85 + this.random() * 15 + (leak ? 10 : 0);
+    suit.oxy_consumption = 0.1 + this.random() * 0.02;
+    suit.co2_production = 0.1 + this.random() * 0.02;
+    suit.helmet_pressure_co2 = 0.1 + this.random() * 0.02;
+    suit.temperature = 70 + this.random() * 2;
+  }
+  
+  // Fire every scenario event whose time has come
+  applyEvents() {
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].at <= this.time) {
+      const event = this.events[this.nextEvent++];
+      
+      switch (event.action) {
+        case 'startEva':
+          this.state.eva.started = true;
+          break;
+        case 'fault':
+          this.applyFault(event);
+          break;
+        case 'clear':
+          delete this.faults[event.fault];
+          if (event.fault === 'commLoss') this.state.comm.comm_tower = true;
+          break;
+        case 'spec':
+          this.setSpec(event.eva || 'eva1', event.sample);
+          break;
+        default:
+          console.warn(`TSSSimulator: unknown scenario action "${event.action}"`);
+      }
+    }
+  }
+  
+  applyFault(event) {
+    this.faults[event.fault] = { ...event };
+    
+    if (event.fault === 'batteryFault' && event.drop) {
+      const suit = this.state.telemetry[event.eva];
+      suit.batt_time_left = Math.max(0, suit.batt_time_left - event.drop);
+    }
+    
+    if (event.fault === 'commLoss') {
+      this.state.comm.comm_tower = false;
+    }
+    
+    console.log(`TSSSimulator: ${event.fault} at ${this.time.toFixed(0)}s`);
+  }
+  
+  /**
+   * Set an extra battery load as a fraction of nominal consumption
+   * @param {string} name - Load name (e.g. 'headlamp')
+   * @param {number} fraction - Additional drain, 0 to remove
+   */
+  setLoad(name, fraction) {
+    if (fraction) {
+      this.loads[name] = fraction;
+    } else {
+      delete this.loads[name];
+    }
+  }
+  
+  /**
+   * Set a UIA switch (as the crew would at the panel)
+   * @param {string} key - UIA field, e.g. 'eva1_power'
+   * @param {boolean} value - Switch state
+   */
+  setUIA(key, value) {
+    if (!(key in this.state.uia)) throw new Error(`TSSSimulator: unknown UIA switch "${key}"`);
+    this.state.uia[key] = value;
+  }
+  
+  /**
+   * Set a DCU switch
+   * @param {string} eva - 'eva1' or 'eva2'
+   * @param {string} key - DCU field, e.g. 'batt'
+   * @param {boolean} value - Switch state
+   */
+  setDCU(eva, key, value) {
+    const dcu = this.state.dcu[eva];
+    if (!dcu || !(key in dcu)) throw new Error(`TSSSimulator: unknown DCU switch "${eva}.${key}"`);
+    dcu[key] = value;
+  }
+  
+  /**
+   * Move a crew member
+   * @param {string} eva - 'eva1' or 'eva2'
+   * @param {Object} position - { posx, posy, heading } in TSS coordinates
+   */
+  setPosition(eva, position) {
+    Object.assign(this.state.imu[eva], position);
+  }
+  
+  /**
+   * Set the spectrometer reading for a scanned rock
+   * @param {string} eva - 'eva1' or 'eva2'
+   * @param {Object} sample - { name, id, data: { SiO2, TiO2, ... } }
+   */
+  setSpec(eva, sample) {
+    this.state.spec[eva] = {
+      name: sample.name || '',
+      id: sample.id || 0,
+      data: { ...this.createSpecData(), ...sample.data }
+    };
+  }
+  
+  /**
+   * Get a TSS document by name
+   * @param {string} name - Key of TSS_PATHS
+   * @returns {Object} - Copy of the document, shaped as TSS serves it
+   */
+  getDocument(name) {
+    if (!(name in TSS_PATHS)) throw new Error(`TSSSimulator: unknown document "${name}"`);
+    return clone({ [name]: this.state[name] });
+  }
+  
+  /**
+   * fetch()-compatible handler for TSS URLs (host is ignored)
+   * @param {string} url - Request URL
+   * @returns {Promise<Object>} - Response-like object
+   */
+  fetch(url) {
+    // A comm loss looks like a network failure to the client
+    if (this.faults.commLoss) {
+      return Promise.reject(new TypeError('Failed to fetch (simulated comm loss)'));
+    }
+    
+    const path = new URL(url, 'http://tss.local').pathname;
+    const name = Object.keys(TSS_PATHS).find(key => TSS_PATHS[key](this.team) === path);
+    
+    if (!name) {
+      return Promise.resolve({ ok: false, status: 404, json: async () => ({}) });
+    }
+    
+    const document = this.getDocument(name);
+    return Promise.resolve({ ok: true, status: 200, json: async () => document });
+  }
+  
+  /**
+   * Advance in real time
+   * @param {number} interval - Tick interval in ms
+   * @param {number} speed - Simulated seconds per real second
+   */
+  start(interval = 1000, speed = 1) {
+    this.stop();
+    this.timer = setInterval(() => this.step(interval / 1000 * speed), interval);
+  }
+  
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default TSSSimulator;
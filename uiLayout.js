@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+
+/**
+ * UI layout - Rows, columns and grids of SpaceUI components, and anchors on the HUD
+ *
+ * Items are arranged in their container's x/y plane around its origin, so a
+ * container is centered on its position like every other component. Sizes
+ * are in meters: an item declares its own with `layoutSize = { width, height }`
+ * (SpaceUI's panels and layouts do), anything else is measured from its
+ * meshes. An item's z is left alone.
+ *
+ * Layout options:
+ *   type    - 'row', 'column' or 'grid' (filled row by row)
+ *   columns - grid columns (default: as many as make the grid roughly square)
+ *   gap     - space between items; a number, or { x, y }
+ *   padding - space around the items; a number, or any of { x, y, top, right, bottom, left }
+ *   align   - cross-axis placement of items smaller than their row/column:
+ *             'start', 'center' or 'end' (start is left, or top)
+ *   justify - main-axis placement when width/height leave room:
+ *             'start', 'center', 'end' or 'space-between'
+ *   width, height - fixed outer size; automatic (content + padding) when null
+ */
+
+// Anchor name -> side of the HUD frame on each axis (-1 left/bottom, 1 right/top)
+export const ANCHORS = {
+  'top-left': [-1, 1],
+  'top': [0, 1],
+  'top-right': [1, 1],
+  'left': [-1, 0],
+  'center': [0, 0],
+  'right': [1, 0],
+  'bottom-left': [-1, -1],
+  'bottom': [0, -1],
+  'bottom-right': [1, -1]
+};
+
+// Padding as { top, right, bottom, left }
+function normalizePadding(padding = 0) {
+  if (typeof padding === 'number') {
+    return { top: padding, right: padding, bottom: padding, left: padding };
+  }
+  
+  const { x = 0, y = 0, top = y, right = x, bottom = y, left = x } = padding;
+  return { top, right, bottom, left };
+}
+
+// Gap as { x, y }
+function normalizeGap(gap = 0) {
+  return typeof gap === 'number' ? { x: gap, y: gap } : { x: gap.x || 0, y: gap.y || 0 };
+}
+
+/**
+ * Size of an item in its parent's x/y plane
+ * @param {THREE.Object3D} object - Component, layout or mesh
+ * @returns {Object} - { width, height, center: { x, y } }, center being the middle of
+ *   the item relative to its origin
+ */
+export function measure(object) {
+  if (object.layoutSize) {
+    return { width: object.layoutSize.width, height: object.layoutSize.height, center: { x: 0, y: 0 } };
+  }
+  
+  // Bounding box of the meshes in the object's own frame, scaled like the object
+  object.updateMatrixWorld(true);
+  const toLocal = object.matrixWorld.clone().invert();
+  const box = new THREE.Box3();
+  const childBox = new THREE.Box3();
+  object.traverse(child => {
+    if (!child.isMesh || !child.geometry) return;
+    if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+    childBox.copy(child.geometry.boundingBox).applyMatrix4(
+      new THREE.Matrix4().multiplyMatrices(toLocal, child.matrixWorld)
+    );
+    box.union(childBox);
+  });
+  
+  if (box.isEmpty()) return { width: 0, height: 0, center: { x: 0, y: 0 } };
+  
+  const { x: sx, y: sy } = object.scale;
+  return {
+    width: (box.max.x - box.min.x) * sx,
+    height: (box.max.y - box.min.y) * sy,
+    center: { x: (box.max.x + box.min.x) / 2 * sx, y: (box.max.y + box.min.y) / 2 * sy }
+  };
+}
+
+// Offset of an item of size `size` within a slot of size `slot`
+function alignIn(slot, size, align) {
+  if (align === 'start') return -(slot - size) / 2;
+  if (align === 'end') return (slot - size) / 2;
+  return 0;
+}
+
+// Start of the content and extra space between items along the main axis
+function justifyIn(room, content, count, justify) {
+  const free = Math.max(0, room - content);
+  if (justify === 'space-between' && count > 1) return { start: 0, between: free / (count - 1) };
+  if (justify === 'start') return { start: 0, between: 0 };
+  if (justify === 'end') return { start: free, between: 0 };
+  return { start: free / 2, between: 0 };
+}
+
+/**
+ * Position items in a row, column or grid
+ * @param {Array<THREE.Object3D>} items - Items, in order
+ * @param {Object} options - Layout options described at the top of this file
+ * @returns {Object} - { width, height } outer size of the arrangement, padding included
+ */
+export function arrange(items, options = {}) {
+  const {
+    type = 'column',
+    align = 'center',
+    justify = 'center',
+    width = null,
+    height = null
+  } = options;
+  
+  const gap = normalizeGap(options.gap);
+  const padding = normalizePadding(options.padding);
+  const sizes = items.map(measure);
+  
+  // Rows and columns are grids of one row or one column
+  let columns;
+  if (type === 'row') {
+    columns = Math.max(1, items.length);
+  } else if (type === 'column') {
+    columns = 1;
+  } else if (type === 'grid') {
+    columns = options.columns || Math.max(1, Math.ceil(Math.sqrt(items.length)));
+  } else {
+    throw new Error(`SpaceUI: unknown layout type "${type}"`);
+  }
+  const rows = Math.max(1, Math.ceil(items.length / columns));
+  
+  // Each column is as wide as its widest item, each row as tall as its tallest
+  const columnWidths = new Array(columns).fill(0);
+  const rowHeights = new Array(rows).fill(0);
+  sizes.forEach((size, index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    columnWidths[column] = Math.max(columnWidths[column], size.width);
+    rowHeights[row] = Math.max(rowHeights[row], size.height);
+  });
+  
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const contentWidth = sum(columnWidths) + gap.x * (columns - 1);
+  const contentHeight = sum(rowHeights) + gap.y * (rows - 1);
+  
+  const outerWidth = width === null ? contentWidth + padding.left + padding.right : width;
+  const outerHeight = height === null ? contentHeight + padding.top + padding.bottom : height;
+  
+  // A column's items share its inner width, a row's its inner height; fixed sizes
+  // leave room to justify along the main axis (both axes in a grid)
+  const innerWidth = outerWidth - padding.left - padding.right;
+  const innerHeight = outerHeight - padding.top - padding.bottom;
+  if (type === 'column') columnWidths[0] = innerWidth;
+  if (type === 'row') rowHeights[0] = innerHeight;
+  
+  const horizontal = type === 'column'
+    ? { start: 0, between: 0 }
+    : justifyIn(innerWidth, contentWidth, columns, justify);
+  const vertical = type === 'row'
+    ? { start: 0, between: 0 }
+    : justifyIn(innerHeight, contentHeight, rows, justify);
+  
+  // Left edge of each column and top edge of each row, from the container's top-left corner
+  const columnLefts = [];
+  let x = padding.left + horizontal.start;
+  columnWidths.forEach(columnWidth => {
+    columnLefts.push(x);
+    x += columnWidth + gap.x + horizontal.between;
+  });
+  
+  const rowTops = [];
+  let y = padding.top + vertical.start;
+  rowHeights.forEach(rowHeight => {
+    rowTops.push(y);
+    y += rowHeight + gap.y + vertical.between;
+  });
+  
+  items.forEach((item, index) => {
+    const size = sizes[index];
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    
+    // Rows align items vertically, columns horizontally, grids both ways
+    const slotX = columnLefts[column] + columnWidths[column] / 2;
+    const slotY = rowTops[row] + rowHeights[row] / 2;
+    const alignX = type === 'row' ? 0 : alignIn(columnWidths[column], size.width, align);
+    const alignY = type === 'column' ? 0 : -alignIn(rowHeights[row], size.height, align);
+    
+    item.position.x = slotX - outerWidth / 2 + alignX - size.center.x;
+    item.position.y = outerHeight / 2 - slotY + alignY - size.center.y;
+  });
+  
+  return { width: outerWidth, height: outerHeight };
+}
+
+/**
+ * Position of an item anchored in the HUD frame
+ * @param {string} anchor - One of ANCHORS, e.g. 'top-left'
+ * @param {Object} frame - { width, height, distance } of the HUD area, distance
+ *   being the z of the frame (negative, in front of the viewer)
+ * @param {Object} size - { width, height } of the item
+ * @param {THREE.Vector3} offset - Nudge from the anchored position
+ * @returns {THREE.Vector3} - Position of the item's center
+ */
+export function anchorPosition(anchor, frame, size, offset = null) {
+  const sides = ANCHORS[anchor];
+  if (!sides) {
+    throw new Error(`SpaceUI: unknown anchor "${anchor}"`);
+  }
+  
+  const [sideX, sideY] = sides;
+  const position = new THREE.Vector3(
+    sideX * (frame.width - size.width) / 2,
+    sideY * (frame.height - size.height) / 2,
+    frame.distance
+  );
+  return offset ? position.add(offset) : position;
+}
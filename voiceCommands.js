@@ -0,0 +1,362 @@
+/**
+ * Voice commands - Hands-free command input
+ *
+ * A recognizer turns speech (or typed text) into transcripts. The voice
+ * command controller matches transcripts against a small grammar and runs
+ * the command bound to the matched phrase in a CommandRegistry ('voice'
+ * bindings, keyed by phrase id), then confirms what it heard.
+ *
+ * Grammar entries: { id, patterns: ['open map', 'show map'] }. A pattern may
+ * contain one {channel} slot, filled from the channel vocabulary, e.g.
+ * 'read {channel}' matches "read O2" with slots.channel = 'o2Primary'.
+ * A command phrase has to open the utterance, so speech that merely contains
+ * it ("I'm not done yet") runs nothing. Words spoken after the phrase are
+ * passed on as free text (e.g. the note of "mark hazard loose regolith").
+ */
+
+export const DEFAULT_VOICE_GRAMMAR = [
+  { id: 'openMap', patterns: ['open map', 'show map'] },
+  { id: 'closeMap', patterns: ['close map', 'hide map'] },
+  { id: 'openProcedures', patterns: ['open procedures', 'show procedures', 'open checklist', 'show checklist'] },
+  { id: 'closeProcedures', patterns: ['close procedures', 'hide procedures', 'close checklist', 'hide checklist'] },
+  { id: 'toggleMenu', patterns: ['open menu', 'close menu'] },
+  { id: 'nextStep', patterns: ['next step'] },
+  { id: 'previousStep', patterns: ['previous step', 'go back'] },
+  { id: 'completeStep', patterns: ['complete step', 'step complete'] },
+  { id: 'acknowledge', patterns: ['acknowledge alerts', 'acknowledge alert'] },
+  { id: 'markPoint', patterns: ['mark point', 'mark this point'] },
+  { id: 'markSample', patterns: ['mark sample', 'mark a sample', 'start sample', 'new sample'] },
+  { id: 'finishSample', patterns: ['finish sample', 'close sample', 'sample done'] },
+  { id: 'showSamples', patterns: ['show samples', 'hide samples'] },
+  { id: 'exportSamples', patterns: ['export samples'] },
+  { id: 'takePicture', patterns: ['take picture', 'take a picture', 'take photo', 'take a photo'] },
+  { id: 'showPictures', patterns: ['show pictures', 'hide pictures', 'show photos', 'hide photos'] },
+  { id: 'startRecording', patterns: ['start recording', 'record session'] },
+  { id: 'stopRecording', patterns: ['stop recording', 'save recording'] },
+  { id: 'markHazard', patterns: ['mark hazard', 'mark a hazard'] },
+  { id: 'addNote', patterns: ['add note'] },
+  { id: 'headlampOn', patterns: ['lights on', 'light on', 'headlamp on', 'helmet light on'] },
+  { id: 'headlampOff', patterns: ['lights off', 'light off', 'headlamp off', 'helmet light off'] },
+  { id: 'readChannel', patterns: ['read {channel}', 'what is {channel}', 'what is my {channel}'] }
+];
+
+// Spoken names of telemetry channels for the {channel} slot
+export const DEFAULT_CHANNEL_VOCABULARY = {
+  'o2': 'o2Primary',
+  'oxygen': 'o2Primary',
+  'primary o2': 'o2Primary',
+  'secondary o2': 'o2Secondary',
+  'o2 time': 'o2TimeLeft',
+  'battery': 'battery',
+  'battery time': 'batteryTimeLeft',
+  'pressure': 'suitPressure',
+  'suit pressure': 'suitPressure',
+  'co2': 'co2',
+  'carbon dioxide': 'co2',
+  'heart rate': 'heartRate',
+  'temperature': 'suitTemp',
+  'eva time': 'evaTime'
+};
+
+/**
+ * Normalize a transcript for matching: lower case, words only
+ * @param {string} text - Transcript
+ * @returns {string} - Normalized text
+ */
+export function normalizeTranscript(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/\bc ?o (two|2)\b|\bco two\b/g, 'co2')
+    .replace(/\bo (two|2)\b/g, 'o2')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Match a transcript against a grammar
+ * @param {string} transcript - Transcript
+ * @param {Array} grammar - Grammar entries
+ * @param {Object} vocabulary - Channel vocabulary for {channel} slots
+ * @returns {Object|null} - { id, pattern, slots, rest } of the longest pattern the
+ *   transcript starts with, where rest is the text after the matched phrase
+ */
+export function matchTranscript(transcript, grammar = DEFAULT_VOICE_GRAMMAR, vocabulary = DEFAULT_CHANNEL_VOCABULARY) {
+  const text = ` ${normalizeTranscript(transcript)} `;
+  let best = null;
+  
+  grammar.forEach(entry => {
+    entry.patterns.forEach(pattern => {
+      let slots = {};
+      let phrase = null;
+      
+      if (pattern.includes('{channel}')) {
+        // Try each spoken channel name in the slot, longest first
+        const names = Object.keys(vocabulary).sort((a, b) => b.length - a.length);
+        const name = names.find(candidate => text.startsWith(` ${pattern.replace('{channel}', candidate)} `));
+        if (name) {
+          slots = { channel: vocabulary[name] };
+          phrase = pattern.replace('{channel}', name);
+        }
+      } else if (text.startsWith(` ${pattern} `)) {
+        phrase = pattern;
+      }
+      
+      // Prefer the most specific (longest) pattern when several match
+      if (phrase && (!best || pattern.length > best.pattern.length)) {
+        const rest = text.slice(phrase.length + 2).trim();
+        best = { id: entry.id, pattern, slots, rest };
+      }
+    });
+  });
+  
+  return best;
+}
+
+/**
+ * VoiceRecognizer - Interface for speech recognizers
+ *
+ * Implementations call this.emitResult(alternatives) with
+ * [{ transcript, confidence }] for each utterance.
+ */
+export class VoiceRecognizer {
+  constructor() {
+    this.listeners = new Set();
+    this.listening = false;
+  }
+  
+  isSupported() {
+    return true;
+  }
+  
+  start() {
+    this.listening = true;
+  }
+  
+  stop() {
+    this.listening = false;
+  }
+  
+  /**
+   * Listen for recognized utterances
+   * @param {Function} callback - Called with an array of { transcript, confidence }
+   * @returns {Function} - Unsubscribe function
+   */
+  onResult(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emitResult(alternatives) {
+    this.listeners.forEach(callback => callback(alternatives));
+  }
+}
+
+/**
+ * WebSpeechRecognizer - Browser speech recognition (Web Speech API)
+ */
+export class WebSpeechRecognizer extends VoiceRecognizer {
+  constructor(options = {}) {
+    super();
+    
+    const {
+      lang = 'en-US',
+      maxAlternatives = 3
+    } = options;
+    
+    const Recognition = typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+    this.recognition = Recognition ? new Recognition() : null;
+    
+    if (this.recognition) {
+      this.recognition.lang = lang;
+      this.recognition.continuous = true;
+      this.recognition.interimResults = false;
+      this.recognition.maxAlternatives = maxAlternatives;
+      
+      this.recognition.onresult = (event) => {
+        const result = event.results[event.results.length - 1];
+        if (!result.isFinal) return;
+        
+        this.emitResult(Array.from(result, alternative => ({
+          transcript: alternative.transcript,
+          confidence: alternative.confidence
+        })));
+      };
+      
+      // Browsers end recognition sessions on silence; keep listening until stopped
+      this.recognition.onend = () => {
+        if (this.listening) {
+          this.recognition.start();
+        }
+      };
+      
+      this.recognition.onerror = (event) => {
+        console.warn('Speech recognition error:', event.error);
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+          this.listening = false;
+        }
+      };
+    }
+  }
+  
+  isSupported() {
+    return this.recognition !== null;
+  }
+  
+  start() {
+    if (!this.recognition || this.listening) return;
+    
+    super.start();
+    this.recognition.start();
+  }
+  
+  stop() {
+    if (!this.recognition || !this.listening) return;
+    
+    super.stop();
+    this.recognition.stop();
+  }
+}
+
+/**
+ * TextInputRecognizer - Typed stand-in for speech, for desktop use and tests
+ */
+export class TextInputRecognizer extends VoiceRecognizer {
+  /**
+   * Recognize a typed utterance (ignored unless listening)
+   * @param {string} text - Utterance
+   * @param {number} confidence - Confidence to report
+   */
+  say(text, confidence = 1) {
+    if (!this.listening) return;
+    this.emitResult([{ transcript: text, confidence }]);
+  }
+  
+  /**
+   * Recognize the contents of a text input when Enter is pressed
+   * @param {HTMLInputElement} input - Text input
+   */
+  attach(input) {
+    input.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      
+      this.say(input.value);
+      input.value = '';
+    });
+  }
+}
+
+class VoiceCommandController {
+  constructor(options = {}) {
+    const {
+      recognizer,
+      commands,
+      grammar = DEFAULT_VOICE_GRAMMAR,
+      vocabulary = DEFAULT_CHANNEL_VOCABULARY,
+      minConfidence = 0.5,
+      speak = true
+    } = options;
+    
+    this.recognizer = recognizer;
+    this.commands = commands;
+    this.grammar = grammar;
+    this.vocabulary = vocabulary;
+    this.minConfidence = minConfidence;
+    
+    // Spoken confirmation through speech synthesis, when available
+    this.speak = speak && typeof window !== 'undefined' && 'speechSynthesis' in window;
+    
+    this.listeners = new Set();
+    this.unsubscribe = recognizer.onResult(alternatives => this.handleResult(alternatives));
+  }
+  
+  start() {
+    this.recognizer.start();
+    this.emit('listening', { listening: true });
+  }
+  
+  stop() {
+    this.recognizer.stop();
+    this.emit('listening', { listening: false });
+  }
+  
+  toggle() {
+    if (this.recognizer.listening) {
+      this.stop();
+    } else {
+      this.start();
+    }
+    return this.recognizer.listening;
+  }
+  
+  /**
+   * Handle recognizer alternatives: run the first confident match
+   * @param {Array} alternatives - [{ transcript, confidence }]
+   * @returns {boolean} - True when a command ran
+   */
+  handleResult(alternatives) {
+    const confident = alternatives.filter(alternative =>
+      alternative.confidence === undefined || alternative.confidence >= this.minConfidence
+    );
+    
+    for (const alternative of confident) {
+      const match = matchTranscript(alternative.transcript, this.grammar, this.vocabulary);
+      if (!match) continue;
+      
+      const commandId = this.commands.getBinding('voice', match.id);
+      if (!commandId) {
+        this.emit('unbound', { transcript: alternative.transcript, phrase: match.id });
+        return false;
+      }
+      
+      // Commands may answer (e.g. reading a value); otherwise confirm with the command label
+      let response = null;
+      this.commands.trigger('voice', match.id, {
+        slots: match.slots,
+        rest: match.rest,
+        transcript: alternative.transcript,
+        respond: (text) => { response = text; }
+      });
+      
+      const command = this.commands.getCommand(commandId);
+      this.confirm(response || command.label, { transcript: alternative.transcript, phrase: match.id, command: commandId });
+      return true;
+    }
+    
+    const transcript = alternatives.length ? alternatives[0].transcript : '';
+    this.emit('unrecognized', { transcript });
+    return false;
+  }
+  
+  // Report a recognized command, speaking it when enabled
+  confirm(text, detail) {
+    if (this.speak) {
+      window.speechSynthesis.cancel();
+      window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    }
+    
+    this.emit('recognized', { ...detail, text });
+  }
+  
+  /**
+   * Listen for voice events
+   * @param {Function} callback - Called with (type, detail) where type is
+   *   'recognized', 'unrecognized', 'unbound' or 'listening'
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+  
+  emit(type, detail) {
+    this.listeners.forEach(callback => callback(type, detail));
+  }
+  
+  destroy() {
+    this.stop();
+    this.unsubscribe();
+  }
+}
+
+export default VoiceCommandController;
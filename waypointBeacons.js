@@ -0,0 +1,310 @@
+import * as THREE from 'three';
+
+/**
+ * WaypointBeacons - World-anchored navigation aids driven by a map model
+ *
+ * For every waypoint of the model a beacon is placed in the scene through a
+ * coordinate service: a pillar standing on the ground and a label with the
+ * distance from the astronaut that keeps the same size on screen. The trail
+ * walked so far is drawn on the ground back to the base (airlock), and an
+ * arrow at the edge of the view points to the next waypoint while it is
+ * off-screen.
+ */
+
+// Beacon colors by waypoint type (same as the map)
+export const BEACON_COLORS = {
+  base: 0xf1c40f,
+  destination: 0xf1c40f,
+  start: 0x3498db,
+  waypoint: 0x3498db,
+  poi: 0xe67e22,
+  sample: 0x2ecc71,
+  hazard: 0xe74c3c
+};
+
+// Dispose the geometries and materials of an object tree
+function disposeObject(object) {
+  object.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      if (child.material.map) child.material.map.dispose();
+      child.material.dispose();
+    }
+  });
+}
+
+class WaypointBeacons {
+  constructor(scene, camera, options = {}) {
+    const {
+      renderer = null,
+      mapModel,
+      coordinates,
+      ui,
+      pillarHeight = 3,
+      labelScale = 0.06,
+      trailColor = 0x00FFFF,
+      arrowColor = 0x00FFFF,
+      arrowDistance = 0.6,
+      arrowRadius = 0.18
+    } = options;
+    
+    if (!mapModel || !coordinates || !ui) {
+      throw new Error('WaypointBeacons: mapModel, coordinates and ui are required');
+    }
+    
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.model = mapModel;
+    this.coordinates = coordinates;
+    this.ui = ui;
+    
+    // Pillar height in meters; label height as a fraction of the view height
+    this.pillarHeight = pillarHeight;
+    this.labelScale = labelScale;
+    
+    // Edge arrow: distance in front of the camera and radius of the circle it moves on (meters)
+    this.arrowDistance = arrowDistance;
+    this.arrowRadius = arrowRadius;
+    
+    // Waypoint the edge arrow points to; null picks the first unvisited stop
+    this.nextWaypointId = null;
+    
+    this.group = new THREE.Group();
+    this.group.name = 'waypoint-beacons';
+    scene.add(this.group);
+    
+    this.beacons = new Map();
+    this.trail = this.createTrail(trailColor);
+    this.arrow = this.createArrow(arrowColor);
+    
+    this.projected = new THREE.Vector3();
+    this.unsubscribers = [
+      mapModel.subscribe(type => {
+        if (type === 'waypoints') this.rebuild();
+        if (type === 'position') this.updateDistances();
+        if (type === 'breadcrumbs' || type === 'position' || type === 'waypoints') this.updateTrail();
+      }),
+      coordinates.subscribe(() => {
+        this.rebuild();
+        this.updateTrail();
+      })
+    ];
+    
+    this.rebuild();
+    this.updateTrail();
+  }
+  
+  // Ground line through the base, the breadcrumbs and the current position
+  createTrail(color) {
+    const material = new THREE.LineDashedMaterial({
+      color,
+      dashSize: 0.4,
+      gapSize: 0.3,
+      transparent: true,
+      opacity: 0.8
+    });
+    
+    const trail = new THREE.Line(new THREE.BufferGeometry(), material);
+    trail.name = 'breadcrumb-trail';
+    trail.frustumCulled = false;
+    this.group.add(trail);
+    return trail;
+  }
+  
+  // Flat triangle pointing along its local +Y, drawn over everything
+  createArrow(color) {
+    const shape = new THREE.Shape();
+    shape.moveTo(0, 0.025);
+    shape.lineTo(-0.018, -0.015);
+    shape.lineTo(0.018, -0.015);
+    shape.closePath();
+    
+    const arrow = new THREE.Mesh(
+      new THREE.ShapeGeometry(shape),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9, depthTest: false, side: THREE.DoubleSide })
+    );
+    arrow.name = 'waypoint-arrow';
+    arrow.renderOrder = 50000;
+    arrow.visible = false;
+    this.scene.add(arrow);
+    return arrow;
+  }
+  
+  // Label sprite that keeps its size on screen
+  createLabel(text, color) {
+    const texture = this.ui.createTextTexture(text, {
+      fontSize: 40,
+      textColor: `#${new THREE.Color(color).getHexString()}`,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      width: 512,
+      height: 96
+    });
+    
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: false,
+      sizeAttenuation: false
+    }));
+    sprite.scale.set(this.labelScale * 512 / 96, this.labelScale, 1);
+    sprite.renderOrder = 40000;
+    return sprite;
+  }
+  
+  /**
+   * Recreate the beacons from the model's waypoints
+   */
+  rebuild() {
+    this.beacons.forEach(beacon => {
+      this.group.remove(beacon);
+      disposeObject(beacon);
+    });
+    this.beacons.clear();
+    
+    this.model.waypoints.forEach(waypoint => {
+      const color = BEACON_COLORS[waypoint.type] || BEACON_COLORS.waypoint;
+      const opacity = waypoint.visited ? 0.35 : 0.8;
+      
+      const beacon = new THREE.Group();
+      beacon.name = `beacon-${waypoint.id}`;
+      beacon.userData.waypointId = waypoint.id;
+      
+      const pillar = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.04, 0.04, this.pillarHeight, 8),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity })
+      );
+      pillar.position.y = this.pillarHeight / 2;
+      beacon.add(pillar);
+      
+      // Glow ring on the ground around the foot of the pillar
+      const ring = new THREE.Mesh(
+        new THREE.RingGeometry(0.3, 0.4, 32),
+        new THREE.MeshBasicMaterial({ color, transparent: true, opacity: opacity * 0.6, side: THREE.DoubleSide })
+      );
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.y = 0.02;
+      beacon.add(ring);
+      
+      const label = this.createLabel(waypoint.label, color);
+      label.position.y = this.pillarHeight + 0.3;
+      label.material.opacity = waypoint.visited ? 0.5 : 1;
+      beacon.add(label);
+      beacon.userData.label = label;
+      beacon.userData.color = color;
+      
+      this.coordinates.utmToGround(waypoint, beacon.position);
+      this.group.add(beacon);
+      this.beacons.set(waypoint.id, beacon);
+    });
+    
+    this.updateDistances();
+  }
+  
+  // Rewrite the labels with the distance from the astronaut
+  updateDistances() {
+    const { position } = this.model;
+    
+    this.model.waypoints.forEach(waypoint => {
+      const beacon = this.beacons.get(waypoint.id);
+      if (!beacon) return;
+      
+      const distance = position ? this.coordinates.distance(position, waypoint) : null;
+      const text = distance === null ? waypoint.label : `${waypoint.label}  ${Math.round(distance)}m`;
+      if (beacon.userData.text === text) return;
+      
+      beacon.userData.text = text;
+      const { label, color } = beacon.userData;
+      this.ui.updateTextTexture(label.material.map, text, {
+        fontSize: 40,
+        textColor: `#${new THREE.Color(color).getHexString()}`,
+        backgroundColor: 'rgba(0, 0, 0, 0.5)'
+      });
+    });
+  }
+  
+  // Redraw the ground trail
+  updateTrail() {
+    const base = this.model.waypoints.find(waypoint => waypoint.type === 'base');
+    const points = [...(base ? [base] : []), ...this.model.breadcrumbs];
+    if (this.model.position) points.push(this.model.position);
+    
+    const positions = points.map(point => {
+      const world = this.coordinates.utmToGround(point);
+      world.y += 0.03;
+      return world;
+    });
+    
+    this.trail.geometry.dispose();
+    this.trail.geometry = new THREE.BufferGeometry().setFromPoints(positions);
+    this.trail.computeLineDistances();
+    this.trail.visible = positions.length > 1;
+  }
+  
+  /**
+   * Choose the waypoint the edge arrow points to
+   * @param {string|null} id - Waypoint id, or null for the first unvisited stop
+   */
+  setNextWaypoint(id) {
+    this.nextWaypointId = id;
+  }
+  
+  getNextWaypoint() {
+    if (this.nextWaypointId) {
+      return this.model.getWaypoint(this.nextWaypointId);
+    }
+    return this.model.waypoints.find(waypoint => !waypoint.visited && waypoint.type !== 'base') || null;
+  }
+  
+  /**
+   * Point the edge arrow at the next waypoint when it is off-screen (call once per frame)
+   */
+  update() {
+    const camera = this.renderer && this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+    const waypoint = this.getNextWaypoint();
+    const beacon = waypoint && this.beacons.get(waypoint.id);
+    if (!beacon) {
+      this.arrow.visible = false;
+      return;
+    }
+    
+    // Aim at the middle of the pillar
+    camera.updateMatrixWorld();
+    beacon.getWorldPosition(this.projected);
+    this.projected.y += this.pillarHeight / 2;
+    
+    // Target in camera space: on screen when in front and inside the view
+    const local = this.projected.clone().applyMatrix4(camera.matrixWorldInverse);
+    const ndc = this.projected.clone().project(camera);
+    const onScreen = local.z < 0 && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+    if (onScreen) {
+      this.arrow.visible = false;
+      return;
+    }
+    
+    // Direction across the view plane; targets behind point to the side they are on
+    const angle = Math.atan2(local.y, local.x);
+    
+    this.arrow.position.set(
+      Math.cos(angle) * this.arrowRadius,
+      Math.sin(angle) * this.arrowRadius,
+      -this.arrowDistance
+    ).applyMatrix4(camera.matrixWorld);
+    camera.getWorldQuaternion(this.arrow.quaternion);
+    this.arrow.rotateZ(angle - Math.PI / 2);
+    this.arrow.visible = true;
+  }
+  
+  dispose() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    
+    this.scene.remove(this.group);
+    this.scene.remove(this.arrow);
+    disposeObject(this.group);
+    disposeObject(this.arrow);
+    this.beacons.clear();
+  }
+}
+
+export default WaypointBeacons;